@@ -1,19 +1,19 @@
-const { Pool } = require('pg');
-
-// Create a connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: false
-});
-
-// Test the connection
-pool.connect((err, client, release) => {
-  if (err) {
-    console.error('Error connecting to PostgreSQL database:', err);
-  } else {
-    console.log('Successfully connected to PostgreSQL database');
-    release();
-  }
-});
-
+const { Pool } = require('pg');
+
+// Create a connection pool
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: false
+});
+
+// Test the connection
+pool.connect((err, client, release) => {
+  if (err) {
+    console.error('Error connecting to PostgreSQL database:', err);
+  } else {
+    console.log('Successfully connected to PostgreSQL database');
+    release();
+  }
+});
+
 module.exports = pool;
\ No newline at end of file
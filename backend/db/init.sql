@@ -1,234 +1,388 @@
--- Ocularr Database Schema
--- Enhanced version with individual club display names and password reset
-
--- Users table
-CREATE TABLE users (
-    id SERIAL PRIMARY KEY,
-    username VARCHAR(50) UNIQUE NOT NULL,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    password_hash VARCHAR(255) NOT NULL,
-    display_name VARCHAR(100),
-    bio TEXT,
-    profile_picture VARCHAR(255),
-    favorite_genre VARCHAR(100),
-    reset_token VARCHAR(255),
-    reset_token_expires TIMESTAMP,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Clubs table
-CREATE TABLE clubs (
-    id SERIAL PRIMARY KEY,
-    name VARCHAR(100) NOT NULL,
-    description TEXT,
-    creator_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    invite_code VARCHAR(10) UNIQUE NOT NULL,
-    is_public BOOLEAN DEFAULT false,
-    password_hash VARCHAR(255),
-    club_picture VARCHAR(255),
-    max_members INTEGER DEFAULT 50,
-    url_slug VARCHAR(100) UNIQUE NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Club membership with roles and individual club display names
-CREATE TYPE club_role AS ENUM ('critic', 'director', 'producer');
-
-CREATE TABLE club_members (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
-    role club_role DEFAULT 'critic',
-    club_display_name VARCHAR(100), -- NEW: Individual display name per club
-    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    is_active BOOLEAN DEFAULT true,
-    UNIQUE(user_id, club_id)
-);
-
--- Theme pool for clubs
-CREATE TABLE themes (
-    id SERIAL PRIMARY KEY,
-    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
-    submitted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
-    theme_text VARCHAR(200) NOT NULL,
-    is_used BOOLEAN DEFAULT false,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Movie cycles
-CREATE TYPE cycle_phase AS ENUM ('idle', 'nomination', 'watching', 'ranking', 'results');
-
-CREATE TABLE cycles (
-    id SERIAL PRIMARY KEY,
-    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
-    theme_id INTEGER REFERENCES themes(id) ON DELETE SET NULL,
-    theme_text VARCHAR(200),
-    phase cycle_phase DEFAULT 'nomination',
-    cycle_number INTEGER NOT NULL,
-    season_year INTEGER NOT NULL,
-    started_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
-    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    nomination_deadline TIMESTAMP,
-    watching_deadline TIMESTAMP,
-    ranking_deadline TIMESTAMP,
-    completed_at TIMESTAMP,
-    winner_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
-    winner_movie_id INTEGER,
-    winner_points DECIMAL(5,2)
-);
-
--- Movie nominations for cycles
-CREATE TABLE nominations (
-    id SERIAL PRIMARY KEY,
-    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    tmdb_id INTEGER NOT NULL, -- Changed from tmdb_movie_id to tmdb_id for consistency
-    title VARCHAR(255) NOT NULL,
-    year INTEGER,
-    poster_path VARCHAR(255),
-    overview TEXT,
-    release_date DATE, -- Added release_date field
-    genre_ids INTEGER[],
-    director VARCHAR(255),
-    runtime INTEGER,
-    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(cycle_id, user_id)
-);
-
--- User progress tracking movies they've watched
-CREATE TABLE watch_progress (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
-    nomination_id INTEGER REFERENCES nominations(id) ON DELETE CASCADE,
-    watched BOOLEAN DEFAULT false,
-    watched_at TIMESTAMP,
-    rating DECIMAL(2,1) CHECK (rating >= 0 AND rating <= 10),
-    personal_notes TEXT,
-    UNIQUE(user_id, cycle_id, nomination_id)
-);
-
--- User guesses for who nominated what movie
-CREATE TABLE guesses (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
-    nomination_id INTEGER REFERENCES nominations(id) ON DELETE CASCADE,
-    guessed_nominator_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    is_correct BOOLEAN,
-    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id, cycle_id, nomination_id)
-);
-
--- Movie rankings submitted by users
-CREATE TABLE rankings (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
-    nomination_id INTEGER REFERENCES nominations(id) ON DELETE CASCADE,
-    rank_position INTEGER NOT NULL CHECK (rank_position > 0),
-    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id, cycle_id, nomination_id),
-    UNIQUE(user_id, cycle_id, rank_position)
-);
-
--- Final cycle results and points
-CREATE TABLE cycle_results (
-    id SERIAL PRIMARY KEY,
-    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    nomination_id INTEGER REFERENCES nominations(id) ON DELETE CASCADE,
-    final_rank INTEGER NOT NULL,
-    average_rank DECIMAL(4,2),
-    points_earned DECIMAL(5,2) DEFAULT 0,
-    guess_accuracy DECIMAL(4,2) DEFAULT 0,
-    total_votes_received INTEGER DEFAULT 0,
-    calculated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(cycle_id, user_id)
-);
-
--- User season statistics and leaderboards
-CREATE TABLE user_season_stats (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
-    season_year INTEGER NOT NULL,
-    cycles_participated INTEGER DEFAULT 0,
-    cycles_won INTEGER DEFAULT 0,
-    total_points DECIMAL(8,2) DEFAULT 0,
-    average_points DECIMAL(5,2) DEFAULT 0,
-    average_rank DECIMAL(4,2) DEFAULT 0,
-    guess_accuracy DECIMAL(4,2) DEFAULT 0,
-    movies_watched INTEGER DEFAULT 0,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id, club_id, season_year)
-);
-
--- User favorite movies (final version)
-CREATE TABLE favorite_movies (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    tmdb_id INTEGER NOT NULL,
-    title VARCHAR(255) NOT NULL,
-    poster_path VARCHAR(255),
-    release_year INTEGER,
-    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id, tmdb_id)
-);
-
--- User watchlist (final version)
-CREATE TABLE watchlist (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    tmdb_id INTEGER NOT NULL,
-    title VARCHAR(255) NOT NULL,
-    poster_path VARCHAR(255),
-    release_year INTEGER,
-    is_watched BOOLEAN DEFAULT FALSE,
-    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id, tmdb_id)
-);
-
--- Create indexes for better performance
-CREATE INDEX idx_users_email ON users(email);
-CREATE INDEX idx_users_username ON users(username);
-CREATE INDEX idx_users_reset_token ON users(reset_token);
-CREATE INDEX idx_clubs_creator ON clubs(creator_id);
-CREATE INDEX idx_clubs_invite_code ON clubs(invite_code);
-CREATE INDEX idx_clubs_url_slug ON clubs(url_slug);
-CREATE INDEX idx_club_members_user ON club_members(user_id);
-CREATE INDEX idx_club_members_club ON club_members(club_id);
-CREATE INDEX idx_club_members_active ON club_members(club_id, is_active);
-CREATE INDEX idx_themes_club ON themes(club_id);
-CREATE INDEX idx_themes_unused ON themes(club_id, is_used);
-CREATE INDEX idx_cycles_club ON cycles(club_id);
-CREATE INDEX idx_cycles_club_phase ON cycles(club_id, phase);
-CREATE INDEX idx_cycles_season ON cycles(club_id, season_year);
-CREATE INDEX idx_nominations_cycle ON nominations(cycle_id);
-CREATE INDEX idx_nominations_user ON nominations(user_id);
-CREATE INDEX idx_nominations_tmdb_id ON nominations(tmdb_id);
-CREATE INDEX idx_watch_progress_user_cycle ON watch_progress(user_id, cycle_id);
-CREATE INDEX idx_guesses_user_cycle ON guesses(user_id, cycle_id);
-CREATE INDEX idx_rankings_user_cycle ON rankings(user_id, cycle_id);
-CREATE INDEX idx_cycle_results_cycle ON cycle_results(cycle_id);
-CREATE INDEX idx_cycle_results_user ON cycle_results(user_id);
-CREATE INDEX idx_user_season_stats_user_club ON user_season_stats(user_id, club_id);
-CREATE INDEX idx_user_season_stats_club_season ON user_season_stats(club_id, season_year);
-CREATE INDEX idx_favorite_movies_user_id ON favorite_movies(user_id);
-CREATE INDEX idx_watchlist_user_id ON watchlist(user_id);
-
--- Function to update timestamps
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = CURRENT_TIMESTAMP;
-    RETURN NEW;
-END;
-$$ language 'plpgsql';
-
--- Triggers for automatic timestamp updates
-CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-CREATE TRIGGER update_clubs_updated_at BEFORE UPDATE ON clubs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+-- Ocularr Database Schema
+-- Enhanced version with individual club display names and password reset
+
+-- Users table
+CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) UNIQUE NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    display_name VARCHAR(100),
+    bio TEXT,
+    profile_picture VARCHAR(255),
+    favorite_genre VARCHAR(100),
+    reset_token VARCHAR(255),
+    reset_token_expires TIMESTAMP,
+    email_phase_changes BOOLEAN DEFAULT true, -- email when a club cycle changes phase
+    email_deadline_reminders BOOLEAN DEFAULT true, -- email before a phase deadline the user hasn't met
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Clubs table
+CREATE TABLE clubs (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    creator_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    invite_code VARCHAR(10) UNIQUE NOT NULL,
+    is_public BOOLEAN DEFAULT false,
+    password_hash VARCHAR(255),
+    club_picture VARCHAR(255),
+    max_members INTEGER DEFAULT 50,
+    url_slug VARCHAR(100) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Club membership with roles and individual club display names
+CREATE TYPE club_role AS ENUM ('critic', 'director', 'producer');
+
+CREATE TABLE club_members (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    role club_role DEFAULT 'critic',
+    club_display_name VARCHAR(100), -- NEW: Individual display name per club
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_active BOOLEAN DEFAULT true,
+    UNIQUE(user_id, club_id)
+);
+
+-- Per-club rules for running cycles (one row per club, defaults apply when missing)
+CREATE TABLE club_settings (
+    club_id INTEGER PRIMARY KEY REFERENCES clubs(id) ON DELETE CASCADE,
+    nomination_days INTEGER CHECK (nomination_days > 0), -- NULL = no automatic deadline
+    watching_days INTEGER CHECK (watching_days > 0),
+    ranking_days INTEGER CHECK (ranking_days > 0),
+    nominations_per_member INTEGER DEFAULT 1 CHECK (nominations_per_member BETWEEN 1 AND 5),
+    guessing_enabled BOOLEAN DEFAULT true,
+    min_participants INTEGER DEFAULT 2 CHECK (min_participants >= 1),
+    deadline_grace_hours INTEGER DEFAULT 24 CHECK (deadline_grace_hours >= 0),
+    missed_deadline_policy VARCHAR(20) DEFAULT 'skip' CHECK (missed_deadline_policy IN ('skip', 'hold')),
+    scoring_strategy VARCHAR(30) DEFAULT 'average_rank', -- key in services/scoring.js
+    tiebreakers TEXT[] DEFAULT '{first_place_votes,head_to_head}', -- tried in order, see services/scoring.js
+    theme_selection VARCHAR(20) DEFAULT 'weighted' CHECK (theme_selection IN ('random', 'weighted', 'top_voted', 'director_pick')),
+    theme_constraint_mode VARCHAR(10) DEFAULT 'reject' CHECK (theme_constraint_mode IN ('reject', 'flag')),
+    theme_draft_enabled BOOLEAN DEFAULT false,
+    theme_rerolls INTEGER DEFAULT 2,
+    theme_veto_quorum INTEGER DEFAULT 50, -- percent of active members; NULL = vetoes off
+    hide_nominators_from_directors BOOLEAN DEFAULT false, -- critics never see nominators before results
+    repeat_nomination_policy VARCHAR(10) DEFAULT 'warn' CHECK (repeat_nomination_policy IN ('allow', 'warn', 'forbid')),
+    repeat_nomination_scope VARCHAR(10) DEFAULT 'nominated' CHECK (repeat_nomination_scope IN ('nominated', 'won')),
+    watch_progress_visibility VARCHAR(10) DEFAULT 'members' CHECK (watch_progress_visibility IN ('members', 'directors')),
+    ranking_watch_rule VARCHAR(20) DEFAULT 'none' CHECK (ranking_watch_rule IN ('none', 'watch_all', 'watched_only')),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Theme pool for clubs
+CREATE TABLE themes (
+    id SERIAL PRIMARY KEY,
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    submitted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    theme_text VARCHAR(200) NOT NULL,
+    is_used BOOLEAN DEFAULT false,
+    archived_at TIMESTAMP, -- set when a director moves the theme out of the pool
+    constraints JSONB, -- optional { minYear, maxYear, maxRuntime, genreIds, originalLanguage }, see services/themes.js
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Member votes on themes in the pool (+1 / -1), used to weight theme draws
+CREATE TABLE theme_votes (
+    id SERIAL PRIMARY KEY,
+    theme_id INTEGER REFERENCES themes(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    vote SMALLINT NOT NULL CHECK (vote IN (-1, 1)),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(theme_id, user_id)
+);
+
+-- Movie cycles
+CREATE TYPE cycle_phase AS ENUM ('idle', 'theme_draft', 'nomination', 'watching', 'ranking', 'results');
+
+CREATE TABLE cycles (
+    id SERIAL PRIMARY KEY,
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    theme_id INTEGER REFERENCES themes(id) ON DELETE SET NULL,
+    theme_text VARCHAR(200),
+    phase cycle_phase DEFAULT 'nomination',
+    cycle_number INTEGER NOT NULL,
+    season_year INTEGER NOT NULL,
+    started_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    nomination_deadline TIMESTAMP,
+    watching_deadline TIMESTAMP,
+    ranking_deadline TIMESTAMP,
+    completed_at TIMESTAMP,
+    winner_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    winner_movie_id INTEGER,
+    winner_points DECIMAL(5,2),
+    scoring_strategy VARCHAR(30), -- strategy used when results were calculated
+    tiebreak_log JSONB, -- how each tie was broken (including coin flips) when results were calculated
+    theme_constraints JSONB, -- copy of the theme's constraints when it was drawn
+    deadline_reminder_phase cycle_phase, -- phase whose deadline reminder went out; cleared when deadlines change
+    deadline_stalled_phase cycle_phase -- phase whose passed deadline couldn't advance the cycle; cleared the same way
+);
+
+-- Theme draft log: every theme drawn for a cycle and what happened to it
+CREATE TABLE cycle_theme_draws (
+    id SERIAL PRIMARY KEY,
+    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
+    theme_id INTEGER REFERENCES themes(id) ON DELETE SET NULL,
+    theme_text VARCHAR(200),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('drawn', 'rerolled', 'vetoed', 'accepted')),
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- director who re-rolled/accepted
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Member vetoes against the theme currently on offer in a theme draft
+CREATE TABLE theme_draft_vetoes (
+    id SERIAL PRIMARY KEY,
+    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
+    theme_id INTEGER REFERENCES themes(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(cycle_id, theme_id, user_id)
+);
+
+-- Movie nominations for cycles
+CREATE TABLE nominations (
+    id SERIAL PRIMARY KEY,
+    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    tmdb_id INTEGER NOT NULL, -- Changed from tmdb_movie_id to tmdb_id for consistency
+    title VARCHAR(255) NOT NULL,
+    year INTEGER,
+    poster_path VARCHAR(255),
+    overview TEXT,
+    release_date DATE, -- Added release_date field
+    genre_ids INTEGER[],
+    director VARCHAR(255),
+    runtime INTEGER,
+    original_language VARCHAR(10),
+    constraint_flags JSONB, -- theme constraints the movie breaks or couldn't be checked against
+    constraint_override_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- director who allowed it anyway
+    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(cycle_id, tmdb_id)
+);
+
+-- User progress tracking movies they've watched
+CREATE TABLE watch_progress (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
+    nomination_id INTEGER REFERENCES nominations(id) ON DELETE CASCADE,
+    watched BOOLEAN DEFAULT false,
+    watched_at TIMESTAMP,
+    rating DECIMAL(3,1) CHECK (rating >= 0 AND rating <= 10),
+    personal_notes TEXT, -- the member's review, see services/reviews.js
+    reviewed_at TIMESTAMP, -- set while the row holds a rating or review
+    UNIQUE(user_id, cycle_id, nomination_id)
+);
+
+-- Discussion on a nominated film; [spoiler]...[/spoiler] parts are hidden from members
+-- who haven't watched it (see services/comments.js)
+CREATE TABLE comments (
+    id SERIAL PRIMARY KEY,
+    nomination_id INTEGER REFERENCES nominations(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User guesses for who nominated what movie
+CREATE TABLE guesses (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
+    nomination_id INTEGER REFERENCES nominations(id) ON DELETE CASCADE,
+    guessed_nominator_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    is_correct BOOLEAN,
+    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, cycle_id, nomination_id)
+);
+
+-- Movie rankings submitted by users
+CREATE TABLE rankings (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
+    nomination_id INTEGER REFERENCES nominations(id) ON DELETE CASCADE,
+    rank_position INTEGER NOT NULL CHECK (rank_position > 0),
+    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, cycle_id, nomination_id),
+    UNIQUE(user_id, cycle_id, rank_position)
+);
+
+-- Draft ballots: editable until locked in, then copied into rankings and guesses
+CREATE TABLE ranking_ballots (
+    id SERIAL PRIMARY KEY,
+    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    rankings JSONB NOT NULL DEFAULT '[]', -- [{ nominationId, rankPosition }]
+    guesses JSONB NOT NULL DEFAULT '[]', -- [{ nominationId, guessedNominatorId }]
+    locked_at TIMESTAMP, -- NULL while still a draft
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(cycle_id, user_id)
+);
+
+-- Final cycle results and points
+CREATE TABLE cycle_results (
+    id SERIAL PRIMARY KEY,
+    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    nomination_id INTEGER REFERENCES nominations(id) ON DELETE CASCADE,
+    final_rank INTEGER NOT NULL,
+    average_rank DECIMAL(4,2),
+    score DECIMAL(8,2), -- strategy-specific: average rank, Borda count, Schulze wins or points
+    points_earned DECIMAL(5,2) DEFAULT 0,
+    guess_accuracy DECIMAL(5,2) DEFAULT 0, -- percentage, 0-100
+    total_votes_received INTEGER DEFAULT 0,
+    tiebreak JSONB, -- { tied_with, decided_by, shared } when the film tied on score
+    calculated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(cycle_id, nomination_id)
+);
+
+-- User season statistics and leaderboards
+CREATE TABLE user_season_stats (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    season_year INTEGER NOT NULL,
+    cycles_participated INTEGER DEFAULT 0,
+    cycles_won INTEGER DEFAULT 0,
+    total_points DECIMAL(8,2) DEFAULT 0,
+    average_points DECIMAL(5,2) DEFAULT 0,
+    average_rank DECIMAL(4,2) DEFAULT 0,
+    guess_accuracy DECIMAL(5,2) DEFAULT 0, -- percentage, 0-100
+    movies_watched INTEGER DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, club_id, season_year)
+);
+
+-- User favorite movies (final version)
+CREATE TABLE favorite_movies (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tmdb_id INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    poster_path VARCHAR(255),
+    release_year INTEGER,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, tmdb_id)
+);
+
+-- User watchlist (final version)
+CREATE TABLE watchlist (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tmdb_id INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    poster_path VARCHAR(255),
+    release_year INTEGER,
+    is_watched BOOLEAN DEFAULT FALSE,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, tmdb_id)
+);
+
+-- In-app notifications (see services/notifications.js)
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    cycle_id INTEGER REFERENCES cycles(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('phase_changed', 'deadline_approaching', 'deadline_stalled', 'role_changed', 'member_joined')),
+    message TEXT NOT NULL,
+    link VARCHAR(255), -- page the notification opens
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbound webhooks a producer registered for a club (see services/webhooks.js)
+CREATE TABLE club_webhooks (
+    id SERIAL PRIMARY KEY,
+    club_id INTEGER NOT NULL REFERENCES clubs(id) ON DELETE CASCADE,
+    url VARCHAR(500) NOT NULL,
+    events TEXT[] NOT NULL, -- cycle_started, phase_advanced, results_published
+    secret VARCHAR(64) NOT NULL, -- signs each payload (X-Ocularr-Signature)
+    format VARCHAR(20) NOT NULL DEFAULT 'json' CHECK (format IN ('json', 'discord', 'matrix')),
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every webhook call queued for delivery, with its retries and the last response
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES club_webhooks(id) ON DELETE CASCADE,
+    event VARCHAR(30) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    response_status INTEGER,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_users_email ON users(email);
+CREATE INDEX idx_users_username ON users(username);
+CREATE INDEX idx_users_reset_token ON users(reset_token);
+CREATE INDEX idx_clubs_creator ON clubs(creator_id);
+CREATE INDEX idx_clubs_invite_code ON clubs(invite_code);
+CREATE INDEX idx_clubs_url_slug ON clubs(url_slug);
+CREATE INDEX idx_club_members_user ON club_members(user_id);
+CREATE INDEX idx_club_members_club ON club_members(club_id);
+CREATE INDEX idx_club_members_active ON club_members(club_id, is_active);
+CREATE INDEX idx_themes_club ON themes(club_id);
+CREATE INDEX idx_themes_unused ON themes(club_id, is_used);
+CREATE INDEX idx_theme_votes_theme ON theme_votes(theme_id);
+CREATE INDEX idx_cycles_club ON cycles(club_id);
+CREATE INDEX idx_cycles_club_phase ON cycles(club_id, phase);
+CREATE INDEX idx_cycles_season ON cycles(club_id, season_year);
+CREATE INDEX idx_cycles_deadlines ON cycles(phase, nomination_deadline, watching_deadline, ranking_deadline);
+CREATE INDEX idx_cycle_theme_draws_cycle ON cycle_theme_draws(cycle_id);
+CREATE INDEX idx_nominations_cycle ON nominations(cycle_id);
+CREATE INDEX idx_nominations_user ON nominations(user_id);
+CREATE INDEX idx_nominations_cycle_user ON nominations(cycle_id, user_id);
+CREATE INDEX idx_nominations_tmdb_id ON nominations(tmdb_id);
+CREATE INDEX idx_watch_progress_user_cycle ON watch_progress(user_id, cycle_id);
+CREATE INDEX idx_comments_nomination ON comments(nomination_id, created_at);
+CREATE INDEX idx_watch_progress_reviews ON watch_progress(nomination_id) WHERE reviewed_at IS NOT NULL;
+CREATE INDEX idx_guesses_user_cycle ON guesses(user_id, cycle_id);
+CREATE INDEX idx_rankings_user_cycle ON rankings(user_id, cycle_id);
+CREATE INDEX idx_cycle_results_cycle ON cycle_results(cycle_id);
+CREATE INDEX idx_cycle_results_user ON cycle_results(user_id);
+CREATE INDEX idx_user_season_stats_user_club ON user_season_stats(user_id, club_id);
+CREATE INDEX idx_user_season_stats_club_season ON user_season_stats(club_id, season_year);
+CREATE INDEX idx_favorite_movies_user_id ON favorite_movies(user_id);
+CREATE INDEX idx_watchlist_user_id ON watchlist(user_id);
+CREATE INDEX idx_notifications_user ON notifications(user_id, created_at);
+CREATE INDEX idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX idx_club_webhooks_club ON club_webhooks(club_id);
+CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+CREATE INDEX idx_webhook_deliveries_pending ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- Function to update timestamps
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Triggers for automatic timestamp updates
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_clubs_updated_at BEFORE UPDATE ON clubs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_comments_updated_at BEFORE UPDATE ON comments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_club_webhooks_updated_at BEFORE UPDATE ON club_webhooks FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_club_settings_updated_at BEFORE UPDATE ON club_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_ranking_ballots_updated_at BEFORE UPDATE ON ranking_ballots FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_user_season_stats_updated_at BEFORE UPDATE ON user_season_stats FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
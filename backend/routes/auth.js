@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const pool = require('../db/db');
 const { authenticateToken } = require('../middleware/auth');
+const { sendPasswordResetEmail, sendWelcomeEmail } = require('../services/emails');
 
 const router = express.Router();
 
@@ -65,6 +66,10 @@ router.post('/register', async (req, res) => {
     // Don't send password hash
     delete user.password_hash;
 
+    if (user.email) {
+      sendWelcomeEmail(user);
+    }
+
     res.status(201).json({
       message: 'User registered successfully',
       token,
@@ -185,7 +190,7 @@ router.post('/forgot-password', async (req, res) => {
   try {
     // Find user by email
     const userResult = await pool.query(
-      'SELECT id, username, email FROM users WHERE email = $1',
+      'SELECT id, username, display_name, email FROM users WHERE email = $1',
       [email.toLowerCase()]
     );
 
@@ -209,13 +214,10 @@ router.post('/forgot-password', async (req, res) => {
       [resetTokenHash, resetTokenExpires, user.id]
     );
 
-    // In a real application, you would send an email here
-    // For now, we'll just log the reset URL (for development)
     const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5000'}/reset-password/${resetToken}`;
-    console.log(`Password reset URL for ${user.email}: ${resetUrl}`);
-
-    // TODO: Send email with reset link
-    // await sendPasswordResetEmail(user.email, resetUrl);
+    // Not awaited: waiting on the mail server would make this response slower than the one
+    // for unknown addresses, telling callers which emails have accounts
+    sendPasswordResetEmail(user, resetUrl);
 
     res.json({ 
       message: 'If an account with that email exists, we\'ve sent a password reset link.',
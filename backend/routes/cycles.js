@@ -1,777 +1,1517 @@
-const express = require('express');
-const pool = require('../db/db');
-const { authenticateToken, requireClubMembership, requireDirectorRole } = require('../middleware/auth');
-
-const router = express.Router();
-
-// Start new cycle
-router.post('/:clubId/start', authenticateToken, requireDirectorRole, async (req, res) => {
-  const { clubId } = req.params;
-
-  const client = await pool.connect();
-
-  try {
-    await client.query('BEGIN');
-
-    // Check if there's already an active cycle
-    const activeCycleResult = await client.query(
-      'SELECT id FROM cycles WHERE club_id = $1 AND phase != $2',
-      [clubId, 'idle']
-    );
-
-    if (activeCycleResult.rows.length > 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'There is already an active cycle for this club' });
-    }
-
-    // Get unused themes
-    const themesResult = await client.query(
-      'SELECT id, theme_text FROM themes WHERE club_id = $1 AND is_used = false',
-      [clubId]
-    );
-
-    if (themesResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'No unused themes available. Please add more themes to the pool.' });
-    }
-
-    // Select random theme
-    const randomTheme = themesResult.rows[Math.floor(Math.random() * themesResult.rows.length)];
-
-    // Mark theme as used
-    await client.query(
-      'UPDATE themes SET is_used = true WHERE id = $1',
-      [randomTheme.id]
-    );
-
-    // Get cycle number for this club
-    const cycleCountResult = await client.query(
-      'SELECT COUNT(*) as count FROM cycles WHERE club_id = $1',
-      [clubId]
-    );
-    const cycleNumber = parseInt(cycleCountResult.rows[0].count) + 1;
-
-    // Create new cycle
-    const currentYear = new Date().getFullYear();
-    const cycleResult = await client.query(
-      `INSERT INTO cycles (club_id, theme_id, theme_text, phase, cycle_number, season_year, started_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, theme_text, phase, cycle_number, season_year, started_at`,
-      [clubId, randomTheme.id, randomTheme.theme_text, 'nomination', cycleNumber, currentYear, req.user.id]
-    );
-
-    await client.query('COMMIT');
-
-    res.status(201).json({
-      message: 'New cycle started successfully',
-      cycle: cycleResult.rows[0]
-    });
-
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Start cycle error:', error);
-    res.status(500).json({ error: 'Server error' });
-  } finally {
-    client.release();
-  }
-});
-
-// Get current cycle for club
-router.get('/:clubId/current', authenticateToken, requireClubMembership, async (req, res) => {
-  const { clubId } = req.params;
-
-  try {
-    const result = await pool.query(
-      `SELECT c.id, c.theme_text, c.phase, c.cycle_number, c.season_year, c.started_at,
-              c.nomination_deadline, c.watching_deadline, c.ranking_deadline,
-              u.username as started_by_username, u.display_name as started_by_display_name
-       FROM cycles c
-       LEFT JOIN users u ON c.started_by = u.id
-       WHERE c.club_id = $1 AND c.phase != 'idle'
-       ORDER BY c.started_at DESC
-       LIMIT 1`,
-      [clubId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.json({ cycle: null });
-    }
-
-    const cycle = result.rows[0];
-
-    // Get nominations for this cycle
-    const nominationsResult = await pool.query(
-      `SELECT n.id, n.tmdb_movie_id, n.title, n.year, n.poster_path, n.overview, 
-              n.genre_ids, n.director, n.runtime, n.submitted_at,
-              u.username, u.display_name, u.id as user_id
-       FROM nominations n
-       JOIN users u ON n.user_id = u.id
-       WHERE n.cycle_id = $1
-       ORDER BY n.submitted_at`,
-      [cycle.id]
-    );
-
-    cycle.nominations = nominationsResult.rows;
-
-    // Get user's progress for this cycle
-    const progressResult = await pool.query(
-      `SELECT nomination_id, watched, rating, personal_notes
-       FROM watch_progress 
-       WHERE user_id = $1 AND cycle_id = $2`,
-      [req.user.id, cycle.id]
-    );
-
-    cycle.user_progress = progressResult.rows;
-
-    // Get member count for context
-    const memberCountResult = await pool.query(
-      'SELECT COUNT(*) FROM club_members WHERE club_id = $1 AND is_active = true',
-      [clubId]
-    );
-
-    cycle.total_members = parseInt(memberCountResult.rows[0].count);
-
-    res.json({ cycle });
-
-  } catch (error) {
-    console.error('Get current cycle error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Progress cycle to next phase
-router.put('/:cycleId/phase', authenticateToken, requireDirectorRole, async (req, res) => {
-  const { cycleId } = req.params;
-  const { action } = req.body; // 'next' or 'previous'
-
-  const client = await pool.connect();
-
-  try {
-    await client.query('BEGIN');
-
-    // Get current cycle
-    const cycleResult = await client.query(
-      'SELECT id, club_id, phase FROM cycles WHERE id = $1',
-      [cycleId]
-    );
-
-    if (cycleResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Cycle not found' });
-    }
-
-    const cycle = cycleResult.rows[0];
-    const phases = ['nomination', 'watching', 'ranking', 'results', 'idle'];
-    const currentPhaseIndex = phases.indexOf(cycle.phase);
-
-    let newPhaseIndex;
-    if (action === 'next') {
-      newPhaseIndex = Math.min(currentPhaseIndex + 1, phases.length - 1);
-    } else if (action === 'previous') {
-      newPhaseIndex = Math.max(currentPhaseIndex - 1, 0);
-    } else {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'Invalid action. Use "next" or "previous"' });
-    }
-
-    const newPhase = phases[newPhaseIndex];
-
-    // Validation checks before progressing
-    if (action === 'next') {
-      if (cycle.phase === 'nomination') {
-        // Check if all members have nominated
-        const memberCount = await client.query(
-          'SELECT COUNT(*) FROM club_members WHERE club_id = $1 AND is_active = true',
-          [cycle.club_id]
-        );
-
-        const nominationCount = await client.query(
-          'SELECT COUNT(*) FROM nominations WHERE cycle_id = $1',
-          [cycleId]
-        );
-
-        if (parseInt(nominationCount.rows[0].count) < parseInt(memberCount.rows[0].count)) {
-          await client.query('ROLLBACK');
-          return res.status(400).json({ 
-            error: 'Cannot progress to watching phase. Not all members have nominated movies.' 
-          });
-        }
-      } else if (cycle.phase === 'watching') {
-        // Initialize watch progress for all members if not exists
-        const members = await client.query(
-          'SELECT user_id FROM club_members WHERE club_id = $1 AND is_active = true',
-          [cycle.club_id]
-        );
-
-        const nominations = await client.query(
-          'SELECT id, user_id FROM nominations WHERE cycle_id = $1',
-          [cycleId]
-        );
-
-        for (const member of members.rows) {
-          for (const nomination of nominations.rows) {
-            // Auto-mark own nomination as watched
-            const watched = nomination.user_id === member.user_id;
-
-            await client.query(
-              `INSERT INTO watch_progress (user_id, cycle_id, nomination_id, watched)
-               VALUES ($1, $2, $3, $4)
-               ON CONFLICT (user_id, cycle_id, nomination_id) DO NOTHING`,
-              [member.user_id, cycleId, nomination.id, watched]
-            );
-          }
-        }
-      } else if (cycle.phase === 'ranking') {
-        // Calculate results when moving to results phase
-        await calculateCycleResults(client, cycleId);
-      }
-    }
-
-    // Update cycle phase
-    await client.query(
-      'UPDATE cycles SET phase = $1 WHERE id = $2',
-      [newPhase, cycleId]
-    );
-
-    // Mark cycle as completed if moving to idle
-    if (newPhase === 'idle') {
-      await client.query(
-        'UPDATE cycles SET completed_at = CURRENT_TIMESTAMP WHERE id = $1',
-        [cycleId]
-      );
-    }
-
-    await client.query('COMMIT');
-
-    res.json({
-      message: `Cycle phase updated to ${newPhase}`,
-      phase: newPhase
-    });
-
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Update cycle phase error:', error);
-    res.status(500).json({ error: 'Server error' });
-  } finally {
-    client.release();
-  }
-});
-
-// Nominate movie for cycle
-router.post('/:cycleId/nominate', authenticateToken, async (req, res) => {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-    const cycleId = req.params.cycleId;
-    const userId = req.user.id;
-    const { tmdbId, title, releaseDate, posterPath, overview } = req.body;
-
-    // Verify cycle exists and is in nomination phase
-    const cycle = await client.query(
-      'SELECT * FROM cycles WHERE id = $1 AND phase = $2',
-      [cycleId, 'nomination']
-    );
-
-    if (cycle.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'Cycle not in nomination phase' });
-    }
-
-    // Check if user already nominated
-    const existing = await client.query(
-      'SELECT * FROM nominations WHERE cycle_id = $1 AND user_id = $2',
-      [cycleId, userId]
-    );
-
-    if (existing.rows.length > 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'You have already nominated a movie' });
-    }
-
-    // Check if this movie (by TMDB ID) has already been nominated in this cycle
-    const duplicateMovie = await client.query(
-      'SELECT n.*, u.username FROM nominations n JOIN users u ON n.user_id = u.id WHERE n.cycle_id = $1 AND n.tmdb_id = $2',
-      [cycleId, tmdbId]
-    );
-
-    if (duplicateMovie.rows.length > 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ 
-        error: `This movie has already been nominated by ${duplicateMovie.rows[0].username}` 
-      });
-    }
-
-    // Insert nomination
-    await client.query(
-      `INSERT INTO nominations (cycle_id, user_id, tmdb_id, title, release_date, poster_path, overview)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-      [cycleId, userId, tmdbId, title, releaseDate, posterPath, overview]
-    );
-
-    await client.query('COMMIT');
-    res.json({ success: true });
-  } catch (err) {
-    await client.query('ROLLBACK');
-    console.error('Nomination error:', err);
-    res.status(500).json({ error: 'Server error' });
-  } finally {
-    client.release();
-  }
-});
-
-// Update watch progress
-router.put('/:cycleId/watch/:movieId', authenticateToken, requireClubMembership, async (req, res) => {
-  const { cycleId, movieId } = req.params;
-  const { watched, rating, personalNotes } = req.body;
-
-  try {
-    // Check if cycle is in watching phase
-    const cycleResult = await pool.query(
-      'SELECT phase FROM cycles WHERE id = $1',
-      [cycleId]
-    );
-
-    if (cycleResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Cycle not found' });
-    }
-
-    if (cycleResult.rows[0].phase !== 'watching') {
-      return res.status(400).json({ error: 'Cycle is not in watching phase' });
-    }
-
-    // Check if user nominated this movie (can't mark own nomination)
-    const nominationCheck = await pool.query(
-      'SELECT user_id FROM nominations WHERE id = $1 AND cycle_id = $2',
-      [movieId, cycleId]
-    );
-
-    if (nominationCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Movie nomination not found' });
-    }
-
-    if (nominationCheck.rows[0].user_id === req.user.id) {
-      return res.status(400).json({ error: 'Cannot update watch progress for your own nomination' });
-    }
-
-    // Update or insert watch progress
-    const result = await pool.query(
-      `INSERT INTO watch_progress (user_id, cycle_id, nomination_id, watched, rating, personal_notes, watched_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       ON CONFLICT (user_id, cycle_id, nomination_id)
-       DO UPDATE SET 
-         watched = EXCLUDED.watched,
-         rating = EXCLUDED.rating,
-         personal_notes = EXCLUDED.personal_notes,
-         watched_at = CASE WHEN EXCLUDED.watched = true AND watch_progress.watched = false 
-                          THEN CURRENT_TIMESTAMP 
-                          ELSE watch_progress.watched_at END
-       RETURNING *`,
-      [req.user.id, cycleId, movieId, watched, rating, personalNotes, watched ? new Date() : null]
-    );
-
-    res.json({
-      message: 'Watch progress updated successfully',
-      progress: result.rows[0]
-    });
-
-  } catch (error) {
-    console.error('Update watch progress error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Submit guesses and rankings
-router.post('/:cycleId/submit-rankings', authenticateToken, requireClubMembership, async (req, res) => {
-  const { cycleId } = req.params;
-  const { guesses, rankings } = req.body;
-
-  if (!guesses || !rankings || !Array.isArray(guesses) || !Array.isArray(rankings)) {
-    return res.status(400).json({ error: 'Guesses and rankings are required as arrays' });
-  }
-
-  const client = await pool.connect();
-
-  try {
-    await client.query('BEGIN');
-
-    // Check if cycle is in ranking phase
-    const cycleResult = await client.query(
-      'SELECT phase FROM cycles WHERE id = $1',
-      [cycleId]
-    );
-
-    if (cycleResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Cycle not found' });
-    }
-
-    if (cycleResult.rows[0].phase !== 'ranking') {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'Cycle is not in ranking phase' });
-    }
-
-    // Check if user already submitted rankings
-    const existingRankings = await client.query(
-      'SELECT id FROM rankings WHERE user_id = $1 AND cycle_id = $2',
-      [req.user.id, cycleId]
-    );
-
-    if (existingRankings.rows.length > 0) {
-      await client.query('ROLLBACK');
-      return res.status(409).json({ error: 'You have already submitted rankings for this cycle' });
-    }
-
-    // Get all nominations for this cycle
-    const nominations = await client.query(
-      'SELECT id, user_id FROM nominations WHERE cycle_id = $1',
-      [cycleId]
-    );
-
-    const nominationMap = new Map(nominations.rows.map(n => [n.id, n.user_id]));
-
-    // Validate and insert guesses
-    for (const guess of guesses) {
-      const { nominationId, guessedNominatorId } = guess;
-
-      if (!nominationMap.has(nominationId)) {
-        await client.query('ROLLBACK');
-        return res.status(400).json({ error: `Invalid nomination ID: ${nominationId}` });
-      }
-
-      // Check if guessing for own nomination (not allowed)
-      if (nominationMap.get(nominationId) === req.user.id) {
-        continue; // Skip own nominations
-      }
-
-      const isCorrect = nominationMap.get(nominationId) === guessedNominatorId;
-
-      await client.query(
-        `INSERT INTO guesses (user_id, cycle_id, nomination_id, guessed_nominator_id, is_correct)
-         VALUES ($1, $2, $3, $4, $5)`,
-        [req.user.id, cycleId, nominationId, guessedNominatorId, isCorrect]
-      );
-    }
-
-    // Validate and insert rankings
-    const rankPositions = new Set();
-    for (const ranking of rankings) {
-      const { nominationId, rankPosition } = ranking;
-
-      if (!nominationMap.has(nominationId)) {
-        await client.query('ROLLBACK');
-        return res.status(400).json({ error: `Invalid nomination ID: ${nominationId}` });
-      }
-
-      // Check if ranking own nomination (not allowed)
-      if (nominationMap.get(nominationId) === req.user.id) {
-        await client.query('ROLLBACK');
-        return res.status(400).json({ error: 'Cannot rank your own nomination' });
-      }
-
-      if (rankPositions.has(rankPosition)) {
-        await client.query('ROLLBACK');
-        return res.status(400).json({ error: `Duplicate rank position: ${rankPosition}` });
-      }
-
-      rankPositions.add(rankPosition);
-
-      await client.query(
-        `INSERT INTO rankings (user_id, cycle_id, nomination_id, rank_position)
-         VALUES ($1, $2, $3, $4)`,
-        [req.user.id, cycleId, nominationId, rankPosition]
-      );
-    }
-
-    await client.query('COMMIT');
-
-    res.json({ message: 'Rankings submitted successfully' });
-
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Submit rankings error:', error);
-    res.status(500).json({ error: 'Server error' });
-  } finally {
-    client.release();
-  }
-});
-
-// Get cycle history for club
-router.get('/:clubId/history', authenticateToken, requireClubMembership, async (req, res) => {
-  const { clubId } = req.params;
-  const { page = 1, limit = 10 } = req.query;
-  const offset = (parseInt(page) - 1) * parseInt(limit);
-
-  try {
-    const result = await pool.query(
-      `SELECT c.id, c.theme_text, c.cycle_number, c.season_year, c.started_at, c.completed_at,
-              c.winner_user_id, c.winner_movie_id, c.winner_points,
-              u.username as winner_username, u.display_name as winner_display_name,
-              n.title as winning_movie_title, n.poster_path as winning_movie_poster
-       FROM cycles c
-       LEFT JOIN users u ON c.winner_user_id = u.id
-       LEFT JOIN nominations n ON c.winner_movie_id = n.id
-       WHERE c.club_id = $1 AND c.phase = 'idle'
-       ORDER BY c.completed_at DESC
-       LIMIT $2 OFFSET $3`,
-      [clubId, parseInt(limit), offset]
-    );
-
-    // Get total count for pagination
-    const countResult = await pool.query(
-      'SELECT COUNT(*) FROM cycles WHERE club_id = $1 AND phase = $2',
-      [clubId, 'idle']
-    );
-
-    const totalCount = parseInt(countResult.rows[0].count);
-
-    res.json({
-      cycles: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: totalCount,
-        pages: Math.ceil(totalCount / parseInt(limit))
-      }
-    });
-
-  } catch (error) {
-    console.error('Get cycle history error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Get detailed cycle results
-router.get('/:cycleId/results', authenticateToken, requireClubMembership, async (req, res) => {
-  const { cycleId } = req.params;
-
-  try {
-    // Get cycle info
-    const cycleResult = await pool.query(
-      'SELECT id, theme_text, cycle_number, season_year, completed_at FROM cycles WHERE id = $1',
-      [cycleId]
-    );
-
-    if (cycleResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Cycle not found' });
-    }
-
-    const cycle = cycleResult.rows[0];
-
-    // Get results with nominations and user info
-    const resultsQuery = await pool.query(
-      `SELECT cr.final_rank, cr.average_rank, cr.points_earned, cr.guess_accuracy, cr.total_votes_received,
-              u.id as user_id, u.username, u.display_name, u.profile_picture,
-              n.id as nomination_id, n.tmdb_movie_id, n.title, n.year, n.poster_path, n.director, n.runtime
-       FROM cycle_results cr
-       JOIN users u ON cr.user_id = u.id
-       JOIN nominations n ON cr.nomination_id = n.id
-       WHERE cr.cycle_id = $1
-       ORDER BY cr.final_rank ASC`,
-      [cycleId]
-    );
-
-    cycle.results = resultsQuery.rows;
-
-    // Get all guesses for this cycle (for transparency)
-    const guessesQuery = await pool.query(
-      `SELECT g.user_id, g.nomination_id, g.guessed_nominator_id, g.is_correct,
-              u.username as guesser_username,
-              n.title as movie_title,
-              gn.username as guessed_username
-       FROM guesses g
-       JOIN users u ON g.user_id = u.id
-       JOIN nominations n ON g.nomination_id = n.id
-       JOIN users gn ON g.guessed_nominator_id = gn.id
-       WHERE g.cycle_id = $1
-       ORDER BY g.user_id, g.nomination_id`,
-      [cycleId]
-    );
-
-    cycle.guesses = guessesQuery.rows;
-
-    // Get all rankings for this cycle
-    const rankingsQuery = await pool.query(
-      `SELECT r.user_id, r.nomination_id, r.rank_position,
-              u.username as ranker_username,
-              n.title as movie_title
-       FROM rankings r
-       JOIN users u ON r.user_id = u.id
-       JOIN nominations n ON r.nomination_id = n.id
-       WHERE r.cycle_id = $1
-       ORDER BY r.user_id, r.rank_position`,
-      [cycleId]
-    );
-
-    cycle.rankings = rankingsQuery.rows;
-
-    res.json({ cycle });
-
-  } catch (error) {
-    console.error('Get cycle results error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Helper function to calculate cycle results - UPDATED WITH 1-POINT SCORING
-async function calculateCycleResults(client, cycleId) {
-  try {
-    // Get all nominations for this cycle
-    const nominations = await client.query(
-      'SELECT id, user_id FROM nominations WHERE cycle_id = $1',
-      [cycleId]
-    );
-
-    // Get all club members for this cycle
-    const cycleInfo = await client.query(
-      'SELECT club_id FROM cycles WHERE id = $1',
-      [cycleId]
-    );
-
-    const members = await client.query(
-      'SELECT user_id FROM club_members WHERE club_id = $1 AND is_active = true',
-      [cycleInfo.rows[0].club_id]
-    );
-
-    const memberCount = members.rows.length;
-
-    // Calculate results for each nomination
-    for (const nomination of nominations.rows) {
-      // Get all rankings for this nomination (excluding the nominator's own ranking)
-      const rankings = await client.query(
-        `SELECT rank_position FROM rankings 
-         WHERE cycle_id = $1 AND nomination_id = $2 AND user_id != $3
-         ORDER BY rank_position`,
-        [cycleId, nomination.id, nomination.user_id]
-      );
-
-      if (rankings.rows.length === 0) {
-        continue; // No rankings for this nomination
-      }
-
-      // Calculate average rank
-      const totalRank = rankings.rows.reduce((sum, r) => sum + r.rank_position, 0);
-      const averageRank = totalRank / rankings.rows.length;
-
-      // Calculate final rank (lower average = better rank)
-      const allAverages = await client.query(
-        `SELECT nomination_id, AVG(rank_position) as avg_rank
-         FROM rankings r
-         JOIN nominations n ON r.nomination_id = n.id
-         WHERE r.cycle_id = $1 AND r.user_id != n.user_id
-         GROUP BY nomination_id
-         ORDER BY avg_rank ASC`,
-        [cycleId]
-      );
-
-      const finalRank = allAverages.rows.findIndex(avg => avg.nomination_id === nomination.id) + 1;
-
-      // UPDATED: Calculate points (1 point for each member you beat)
-      const pointsEarned = Math.max(0, memberCount - finalRank);
-
-      // Calculate guess accuracy for this user
-      const guesses = await client.query(
-        'SELECT COUNT(*) as total, SUM(CASE WHEN is_correct THEN 1 ELSE 0 END) as correct FROM guesses WHERE cycle_id = $1 AND user_id = $2',
-        [cycleId, nomination.user_id]
-      );
-
-      const guessAccuracy = guesses.rows[0].total > 0 
-        ? (guesses.rows[0].correct / guesses.rows[0].total) * 100 
-        : 0;
-
-      // Insert or update cycle results
-      await client.query(
-        `INSERT INTO cycle_results (cycle_id, user_id, nomination_id, final_rank, average_rank, points_earned, guess_accuracy, total_votes_received)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-         ON CONFLICT (cycle_id, user_id)
-         DO UPDATE SET 
-           final_rank = EXCLUDED.final_rank,
-           average_rank = EXCLUDED.average_rank,
-           points_earned = EXCLUDED.points_earned,
-           guess_accuracy = EXCLUDED.guess_accuracy,
-           total_votes_received = EXCLUDED.total_votes_received,
-           calculated_at = CURRENT_TIMESTAMP`,
-        [cycleId, nomination.user_id, nomination.id, finalRank, averageRank, pointsEarned, guessAccuracy, rankings.rows.length]
-      );
-    }
-
-    // Update cycle with winner information
-    const winnerResult = await client.query(
-      `SELECT cr.user_id, cr.nomination_id, cr.points_earned
-       FROM cycle_results cr
-       WHERE cr.cycle_id = $1
-       ORDER BY cr.final_rank ASC
-       LIMIT 1`,
-      [cycleId]
-    );
-
-    if (winnerResult.rows.length > 0) {
-      const winner = winnerResult.rows[0];
-      await client.query(
-        'UPDATE cycles SET winner_user_id = $1, winner_movie_id = $2, winner_points = $3 WHERE id = $4',
-        [winner.user_id, winner.nomination_id, winner.points_earned, cycleId]
-      );
-    }
-
-    // Update user season stats
-    await updateUserSeasonStats(client, cycleId);
-
-  } catch (error) {
-    console.error('Calculate cycle results error:', error);
-    throw error;
-  }
-}
-
-// Helper function to update user season statistics
-async function updateUserSeasonStats(client, cycleId) {
-  try {
-    const cycleInfo = await client.query(
-      'SELECT club_id, season_year FROM cycles WHERE id = $1',
-      [cycleId]
-    );
-
-    const { club_id, season_year } = cycleInfo.rows[0];
-
-    const results = await client.query(
-      'SELECT user_id, final_rank, points_earned FROM cycle_results WHERE cycle_id = $1',
-      [cycleId]
-    );
-
-    for (const result of results.rows) {
-      const { user_id, final_rank, points_earned } = result;
-
-      // Get current season stats
-      const currentStats = await client.query(
-        'SELECT * FROM user_season_stats WHERE user_id = $1 AND club_id = $2 AND season_year = $3',
-        [user_id, club_id, season_year]
-      );
-
-      if (currentStats.rows.length === 0) {
-        // Create new season stats
-        await client.query(
-          `INSERT INTO user_season_stats (user_id, club_id, season_year, cycles_participated, cycles_won, total_points, average_points)
-           VALUES ($1, $2, $3, 1, $4, $5, $5)`,
-          [user_id, club_id, season_year, final_rank === 1 ? 1 : 0, points_earned]
-        );
-      } else {
-        // Update existing season stats
-        const stats = currentStats.rows[0];
-        const newCyclesParticipated = stats.cycles_participated + 1;
-        const newCyclesWon = stats.cycles_won + (final_rank === 1 ? 1 : 0);
-        const newTotalPoints = parseFloat(stats.total_points) + points_earned;
-        const newAveragePoints = newTotalPoints / newCyclesParticipated;
-
-        await client.query(
-          `UPDATE user_season_stats 
-           SET cycles_participated = $1, cycles_won = $2, total_points = $3, average_points = $4, updated_at = CURRENT_TIMESTAMP
-           WHERE user_id = $5 AND club_id = $6 AND season_year = $7`,
-          [newCyclesParticipated, newCyclesWon, newTotalPoints, newAveragePoints, user_id, club_id, season_year]
-        );
-      }
-    }
-  } catch (error) {
-    console.error('Update user season stats error:', error);
-    throw error;
-  }
-}
-
+const express = require('express');
+const pool = require('../db/db');
+const { authenticateToken, requireClubMembership, requireDirectorRole } = require('../middleware/auth');
+const { changeCyclePhase, phaseDeadlineFromNow } = require('../services/cyclePhases');
+const { getClubSettings } = require('../services/clubSettings');
+const { saveDraftBallot, lockBallot, unlockBallot } = require('../services/ballots');
+const {
+  SCORING_STRATEGIES,
+  computeCycleStandings,
+  listScoringStrategies,
+  listTiebreakers
+} = require('../services/scoring');
+const { fetchMovieDetails } = require('../services/tmdb');
+const { checkRepeatNomination } = require('../services/nominationHistory');
+const { parseReview, checkCanReview, listReviews } = require('../services/reviews');
+const { parseCommentBody, hasSeenFilm, toCommentView } = require('../services/comments');
+const { publishClubEvent } = require('../services/clubEvents');
+const { notifyPhaseChanged } = require('../services/notifications');
+const { sendNotificationEmails } = require('../services/emails');
+const { queueWebhookEvent, queuePhaseWebhooks, deliverWebhooksSoon } = require('../services/webhooks');
+const { drawTheme, describeThemeConstraints, checkThemeConstraints } = require('../services/themes');
+const {
+  recordThemeDraw,
+  rerollDraftTheme,
+  vetoDraftTheme,
+  withdrawVeto,
+  getThemeDraftStatus,
+  getThemeDrawHistory
+} = require('../services/themeDraft');
+
+const router = express.Router();
+
+const isDirectorRole = (role) => role === 'director' || role === 'producer';
+
+// Start new cycle
+router.post('/:clubId/start', authenticateToken, requireDirectorRole, async (req, res) => {
+  const { clubId } = req.params;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Check if there's already an active cycle
+    const activeCycleResult = await client.query(
+      'SELECT id FROM cycles WHERE club_id = $1 AND phase != $2',
+      [clubId, 'idle']
+    );
+
+    if (activeCycleResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'There is already an active cycle for this club' });
+    }
+
+    const settings = await getClubSettings(client, clubId);
+
+    // Check the club has enough members to run a cycle
+    const memberCountResult = await client.query(
+      'SELECT COUNT(*) FROM club_members WHERE club_id = $1 AND is_active = true',
+      [clubId]
+    );
+
+    if (parseInt(memberCountResult.rows[0].count) < settings.min_participants) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: `At least ${settings.min_participants} members are needed to start a cycle`
+      });
+    }
+
+    // Draw a theme from the pool the way the club has chosen
+    const { theme, error: themeError } = await drawTheme(client, clubId, settings.theme_selection, req.body.themeId);
+
+    if (themeError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: themeError });
+    }
+
+    // Mark theme as used
+    await client.query(
+      'UPDATE themes SET is_used = true WHERE id = $1',
+      [theme.id]
+    );
+
+    // Get cycle number for this club
+    const cycleCountResult = await client.query(
+      'SELECT COUNT(*) as count FROM cycles WHERE club_id = $1',
+      [clubId]
+    );
+    const cycleNumber = parseInt(cycleCountResult.rows[0].count) + 1;
+
+    // Create new cycle, with a nomination deadline if the club sets a default duration.
+    // Clubs using a theme draft start there instead; the clock starts when nominations open.
+    const currentYear = new Date().getFullYear();
+    const phase = settings.theme_draft_enabled ? 'theme_draft' : 'nomination';
+    const nominationDeadline = phase === 'nomination' && settings.nomination_days
+      ? phaseDeadlineFromNow(settings.nomination_days)
+      : null;
+    const cycleResult = await client.query(
+      `INSERT INTO cycles
+         (club_id, theme_id, theme_text, theme_constraints, phase, cycle_number, season_year, started_by, nomination_deadline)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, theme_text, theme_constraints, phase, cycle_number, season_year, started_at, nomination_deadline`,
+      [clubId, theme.id, theme.theme_text, theme.constraints, phase, cycleNumber, currentYear, req.user.id, nominationDeadline]
+    );
+
+    await recordThemeDraw(client, cycleResult.rows[0].id, 'drawn', req.user.id);
+
+    const notification = await notifyPhaseChanged(client, cycleResult.rows[0].id, phase, { exceptUserId: req.user.id });
+    await queueWebhookEvent(client, clubId, 'cycle_started', cycleResult.rows[0].id);
+
+    await client.query('COMMIT');
+
+    publishClubEvent(clubId, 'phase_changed', { cycle_id: cycleResult.rows[0].id, phase });
+    sendNotificationEmails(notification);
+    deliverWebhooksSoon();
+
+    res.status(201).json({
+      message: 'New cycle started successfully',
+      cycle: cycleResult.rows[0]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Start cycle error:', error);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get current cycle for club
+router.get('/:clubId/current', authenticateToken, requireClubMembership, async (req, res) => {
+  const { clubId } = req.params;
+
+  try {
+    const result = await pool.query(
+      `SELECT c.id, c.club_id, c.theme_id, c.theme_text, c.theme_constraints, c.phase, c.cycle_number, c.season_year, c.started_at,
+              c.nomination_deadline, c.watching_deadline, c.ranking_deadline,
+              u.username as started_by_username, u.display_name as started_by_display_name
+       FROM cycles c
+       LEFT JOIN users u ON c.started_by = u.id
+       WHERE c.club_id = $1 AND c.phase != 'idle'
+       ORDER BY c.started_at DESC
+       LIMIT 1`,
+      [clubId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.json({ cycle: null });
+    }
+
+    const cycle = result.rows[0];
+    cycle.theme_constraint_summary = describeThemeConstraints(cycle.theme_constraints);
+    const settings = await getClubSettings(pool, clubId);
+
+    if (cycle.phase === 'theme_draft') {
+      cycle.theme_draft = await getThemeDraftStatus(pool, cycle, settings, req.user.id);
+    }
+
+    // Get nominations for this cycle
+    const nominationsResult = await pool.query(
+      `SELECT n.id, n.tmdb_id, n.title, n.year, n.poster_path, n.overview, 
+              n.genre_ids, n.director, n.runtime, n.original_language, n.submitted_at,
+              n.constraint_flags, n.constraint_override_by,
+              u.username, u.display_name, u.id as user_id
+       FROM nominations n
+       JOIN users u ON n.user_id = u.id
+       WHERE n.cycle_id = $1
+       ORDER BY n.submitted_at`,
+      [cycle.id]
+    );
+
+    // Nominations stay blind until results: only your own are marked, and nominator identity
+    // is left out for everyone (directors too, if the club asks for it)
+    const hideNominators = !['results', 'idle'].includes(cycle.phase)
+      && (!isDirectorRole(req.userRole) || settings.hide_nominators_from_directors);
+
+    cycle.nominations_blind = hideNominators;
+    // Who allowed an off-theme film is hidden too: directors can push through their own nominations
+    cycle.nominations = nominationsResult.rows.map(({ user_id, username, display_name, constraint_override_by, ...nomination }) => ({
+      ...nomination,
+      is_own: user_id === req.user.id,
+      constraint_overridden: constraint_override_by !== null,
+      ...(hideNominators ? {} : { user_id, username, display_name, constraint_override_by })
+    }));
+
+    // Get user's progress for this cycle
+    const progressResult = await pool.query(
+      `SELECT nomination_id, watched, rating, personal_notes, reviewed_at
+       FROM watch_progress 
+       WHERE user_id = $1 AND cycle_id = $2`,
+      [req.user.id, cycle.id]
+    );
+
+    cycle.user_progress = progressResult.rows;
+
+    // Club-wide watch progress, so everyone can see who is still catching up. Members only have to
+    // watch the films they didn't nominate, so while nominations are blind the grid is reduced to
+    // counts: a per-film row would show a gap (or tick) on exactly the film each member nominated.
+    if (cycle.phase === 'watching'
+        && (settings.watch_progress_visibility === 'members' || isDirectorRole(req.userRole))) {
+      const watchStatus = await pool.query(
+        `SELECT cm.user_id, u.username, u.display_name, cm.club_display_name,
+                COUNT(n.id) FILTER (WHERE n.user_id <> cm.user_id)::int as to_watch_count,
+                COALESCE(array_agg(n.id ORDER BY n.id) FILTER (WHERE n.user_id <> cm.user_id AND wp.watched), '{}') as watched
+         FROM club_members cm
+         JOIN users u ON cm.user_id = u.id
+         LEFT JOIN nominations n ON n.cycle_id = $2
+         LEFT JOIN watch_progress wp ON wp.user_id = cm.user_id AND wp.nomination_id = n.id
+         WHERE cm.club_id = $1 AND cm.is_active = true
+         GROUP BY cm.user_id, u.username, u.display_name, cm.club_display_name
+         ORDER BY u.username`,
+        [clubId, cycle.id]
+      );
+
+      cycle.watch_status = watchStatus.rows.map(({ watched, ...member }) => ({
+        ...member,
+        ...(hideNominators ? {} : { watched }),
+        watched_count: watched.length,
+        completion: member.to_watch_count > 0 ? Math.round(watched.length / member.to_watch_count * 100) : 100
+      }));
+    }
+
+    // Who has locked in their rankings (never what they ranked)
+    if (cycle.phase === 'ranking') {
+      const ballotStatus = await pool.query(
+        `SELECT cm.user_id, u.username, u.display_name, cm.club_display_name,
+                (rb.locked_at IS NOT NULL) as locked_in
+         FROM club_members cm
+         JOIN users u ON cm.user_id = u.id
+         LEFT JOIN ranking_ballots rb ON rb.cycle_id = $2 AND rb.user_id = cm.user_id
+         WHERE cm.club_id = $1 AND cm.is_active = true
+         ORDER BY u.username`,
+        [clubId, cycle.id]
+      );
+
+      cycle.ranking_status = ballotStatus.rows;
+      cycle.user_ranking_submitted = ballotStatus.rows.some(b => b.user_id === req.user.id && b.locked_in);
+    }
+
+    // Get member count for context
+    const memberCountResult = await pool.query(
+      'SELECT COUNT(*) FROM club_members WHERE club_id = $1 AND is_active = true',
+      [clubId]
+    );
+
+    cycle.total_members = parseInt(memberCountResult.rows[0].count);
+
+    res.json({ cycle });
+
+  } catch (error) {
+    console.error('Get current cycle error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Progress cycle to next phase
+router.put('/:cycleId/phase', authenticateToken, requireDirectorRole, async (req, res) => {
+  const { cycleId } = req.params;
+  const { action } = req.body; // 'next' or 'previous'
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Get current cycle
+    const cycleResult = await client.query(
+      'SELECT id, club_id, phase FROM cycles WHERE id = $1 FOR UPDATE',
+      [cycleId]
+    );
+
+    if (cycleResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Cycle not found' });
+    }
+
+    const result = await changeCyclePhase(client, cycleResult.rows[0], action, { userId: req.user.id });
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: result.error });
+    }
+
+    const notification = await notifyPhaseChanged(client, cycleResult.rows[0].id, result.phase, { exceptUserId: req.user.id });
+    await queuePhaseWebhooks(client, cycleResult.rows[0].club_id, cycleResult.rows[0].id, result.phase);
+
+    await client.query('COMMIT');
+
+    publishClubEvent(cycleResult.rows[0].club_id, 'phase_changed', { cycle_id: cycleResult.rows[0].id, phase: result.phase });
+    sendNotificationEmails(notification);
+    deliverWebhooksSoon();
+
+    res.json({
+      message: `Cycle phase updated to ${result.phase}`,
+      phase: result.phase
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update cycle phase error:', error);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Set or clear phase deadlines. Passed deadlines are enforced by the cycle scheduler.
+router.put('/:cycleId/deadlines', authenticateToken, requireDirectorRole, async (req, res) => {
+  const { cycleId } = req.params;
+  const fields = {
+    nominationDeadline: 'nomination_deadline',
+    watchingDeadline: 'watching_deadline',
+    rankingDeadline: 'ranking_deadline'
+  };
+
+  try {
+    let updateFields = [];
+    let params = [];
+    let paramCount = 1;
+
+    for (const [key, column] of Object.entries(fields)) {
+      if (req.body[key] === undefined) continue;
+
+      let value = null;
+      if (req.body[key]) {
+        value = new Date(req.body[key]);
+        if (isNaN(value.getTime())) {
+          return res.status(400).json({ error: `Invalid date for ${key}` });
+        }
+      }
+
+      updateFields.push(`${column} = $${paramCount++}`);
+      params.push(value);
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: 'No deadlines to update' });
+    }
+
+    params.push(cycleId);
+
+    // New deadlines get a fresh reminder, and the scheduler tries again when they pass
+    updateFields.push('deadline_reminder_phase = NULL', 'deadline_stalled_phase = NULL');
+
+    const result = await pool.query(
+      `UPDATE cycles SET ${updateFields.join(', ')}
+       WHERE id = $${paramCount} AND phase != 'idle'
+       RETURNING id, phase, nomination_deadline, watching_deadline, ranking_deadline`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Cycle is not active' });
+    }
+
+    res.json({
+      message: 'Deadlines updated successfully',
+      cycle: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update cycle deadlines error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Load a cycle that is in its theme draft, locked for the caller's transaction.
+// Returns { cycle } or { status, error }.
+const getDraftCycle = async (client, cycleId) => {
+  const result = await client.query(
+    'SELECT id, club_id, phase, theme_id FROM cycles WHERE id = $1 FOR UPDATE',
+    [cycleId]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Cycle not found' };
+  }
+
+  if (result.rows[0].phase !== 'theme_draft') {
+    return { status: 400, error: 'Cycle is not in its theme draft' };
+  }
+
+  return { cycle: result.rows[0] };
+};
+
+// Re-roll the drafted theme (Director/Producer only)
+router.post('/:cycleId/theme-draft/reroll', authenticateToken, requireDirectorRole, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { cycle, status, error } = await getDraftCycle(client, req.params.cycleId);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+
+    const settings = await getClubSettings(client, cycle.club_id);
+    const result = await rerollDraftTheme(client, cycle, settings, req.user.id);
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: result.error });
+    }
+
+    await client.query('COMMIT');
+    publishClubEvent(cycle.club_id, 'theme_draft_updated', { cycle_id: cycle.id });
+    res.json({ success: true, theme_text: result.theme.theme_text });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Reroll theme error:', error);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Veto the drafted theme; enough vetoes re-roll it
+router.post('/:cycleId/theme-draft/veto', authenticateToken, requireClubMembership, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { cycle, status, error } = await getDraftCycle(client, req.params.cycleId);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+
+    const settings = await getClubSettings(client, cycle.club_id);
+    const result = await vetoDraftTheme(client, cycle, settings, req.user.id);
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: result.error });
+    }
+
+    await client.query('COMMIT');
+    publishClubEvent(cycle.club_id, 'theme_draft_updated', { cycle_id: cycle.id });
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Veto theme error:', error);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Take back a veto
+router.delete('/:cycleId/theme-draft/veto', authenticateToken, requireClubMembership, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { cycle, status, error } = await getDraftCycle(client, req.params.cycleId);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+
+    const vetoes = await withdrawVeto(client, cycle, req.user.id);
+
+    await client.query('COMMIT');
+    publishClubEvent(cycle.club_id, 'theme_draft_updated', { cycle_id: cycle.id });
+    res.json({ success: true, vetoes });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Withdraw veto error:', error);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Error message if a movie is already nominated in the cycle (ignoring one nomination, for swaps).
+// Doesn't say who nominated it, since nominations are blind.
+const findDuplicateNomination = async (client, cycleId, tmdbId, excludeNominationId = null) => {
+  const duplicateMovie = await client.query(
+    `SELECT 1 FROM nominations n
+     WHERE n.cycle_id = $1 AND n.tmdb_id = $2 AND n.id IS DISTINCT FROM $3`,
+    [cycleId, tmdbId, excludeNominationId]
+  );
+
+  return duplicateMovie.rows.length > 0
+    ? 'This movie has already been nominated this cycle'
+    : null;
+};
+
+// Load one of the user's own nominations while the cycle is still taking nominations.
+// The cycle is locked too, so changes queue behind new nominations and phase changes.
+// Returns { nomination } or { status, error }.
+const getOwnOpenNomination = async (client, cycleId, nominationId, userId) => {
+  const result = await client.query(
+    `SELECT n.id, n.user_id, c.phase, c.club_id, c.theme_constraints
+     FROM nominations n
+     JOIN cycles c ON n.cycle_id = c.id
+     WHERE n.id = $1 AND n.cycle_id = $2
+     FOR UPDATE OF n, c`,
+    [nominationId, cycleId]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Nomination not found' };
+  }
+
+  if (result.rows[0].user_id !== userId) {
+    return { status: 403, error: 'You can only change your own nominations' };
+  }
+
+  if (result.rows[0].phase !== 'nomination') {
+    return { status: 400, error: 'Nominations can only be changed during the nomination phase' };
+  }
+
+  return { nomination: result.rows[0] };
+};
+
+// Resolve the movie being nominated. TMDB is the source of truth for details and credits;
+// if TMDB can't be reached we fall back to what the client sent so nominations keep working.
+// Returns { movie } or { status, error }.
+const resolveNominatedMovie = async ({ tmdbId: rawTmdbId, title, releaseDate, posterPath, overview }) => {
+  if (!rawTmdbId || !title) {
+    return { status: 400, error: 'tmdbId and title are required' };
+  }
+
+  // The id goes into the TMDB request path, so only a plain positive integer is accepted
+  const tmdbId = Number(rawTmdbId);
+
+  if (!Number.isInteger(tmdbId) || tmdbId <= 0) {
+    return { status: 400, error: 'tmdbId must be a positive integer' };
+  }
+
+  try {
+    const movie = await fetchMovieDetails(tmdbId);
+
+    if (!movie) {
+      return { status: 400, error: 'Movie not found on TMDB' };
+    }
+
+    return { movie };
+  } catch (err) {
+    console.error('TMDB enrichment error:', err.response?.data || err.message);
+
+    return {
+      movie: {
+        tmdb_id: tmdbId,
+        title,
+        release_date: releaseDate || null,
+        year: releaseDate ? parseInt(releaseDate.slice(0, 4)) || null : null,
+        poster_path: posterPath || null,
+        overview: overview || null,
+        genre_ids: null,
+        director: null,
+        runtime: null,
+        original_language: null
+      }
+    };
+  }
+};
+
+// Check a movie against the cycle theme's constraints. In 'reject' mode a movie that breaks them,
+// or couldn't be checked (TMDB down, so the fallback details can't prove it fits), needs a
+// director: a director nominating it is asked to confirm with override, and a member's movie is
+// saved with flags, pending until a director allows it. Anything else is saved with flags.
+// Returns { flags, overridden, warning } or { status, error, violations }.
+const applyThemeConstraints = (constraints, movie, mode, { override, isDirector }) => {
+  const { violations, unverified } = checkThemeConstraints(constraints, movie);
+  const flags = [...violations, ...unverified];
+  let warning;
+
+  if (mode === 'reject' && !override && flags.length > 0) {
+    const problem = violations.length > 0
+      ? `This movie doesn't fit the theme: ${violations.join('; ')}`
+      : `This movie couldn't be checked against the theme right now: ${unverified.join('; ')}`;
+
+    if (isDirector) {
+      return { status: 400, error: `${problem}.`, violations: flags };
+    }
+
+    warning = `${problem}. It stays pending until a director allows it, and is dropped if nominations close first.`;
+  }
+
+  return {
+    flags: flags.length > 0 ? JSON.stringify(flags) : null,
+    overridden: override && flags.length > 0,
+    warning
+  };
+};
+
+// Nominate movie for cycle
+router.post('/:cycleId/nominate', authenticateToken, requireClubMembership, async (req, res) => {
+  const { status, error, movie } = await resolveNominatedMovie(req.body);
+
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const cycleId = req.params.cycleId;
+    const userId = req.user.id;
+
+    // Verify cycle exists and is in nomination phase. Locking it serializes nominations,
+    // so the per-member limit and duplicate check below can't race a second request.
+    const cycle = await client.query(
+      'SELECT * FROM cycles WHERE id = $1 AND phase = $2 FOR UPDATE',
+      [cycleId, 'nomination']
+    );
+
+    if (cycle.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Cycle not in nomination phase' });
+    }
+
+    // Check if user has used up their nominations
+    const settings = await getClubSettings(client, cycle.rows[0].club_id);
+    const existing = await client.query(
+      'SELECT COUNT(*) FROM nominations WHERE cycle_id = $1 AND user_id = $2',
+      [cycleId, userId]
+    );
+
+    if (parseInt(existing.rows[0].count) >= settings.nominations_per_member) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: settings.nominations_per_member === 1
+          ? 'You have already nominated a movie'
+          : `You have already nominated ${settings.nominations_per_member} movies`
+      });
+    }
+
+    // Check if this movie (by TMDB ID) has already been nominated in this cycle
+    const duplicateError = await findDuplicateNomination(client, cycleId, movie.tmdb_id);
+
+    if (duplicateError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: duplicateError });
+    }
+
+    // Directors can nominate outside the theme's constraints by passing override;
+    // a member's movie that breaks them waits for a director in 'reject' mode
+    const isDirector = isDirectorRole(req.userRole);
+    const fit = applyThemeConstraints(
+      cycle.rows[0].theme_constraints, movie, settings.theme_constraint_mode,
+      { override: req.body.override === true && isDirector, isDirector }
+    );
+
+    if (fit.error) {
+      await client.query('ROLLBACK');
+      return res.status(fit.status).json({ error: fit.error, violations: fit.violations });
+    }
+
+    // Films from the club's earlier cycles are refused or flagged, depending on the club
+    const repeat = await checkRepeatNomination(client, cycle.rows[0].club_id, movie.tmdb_id, movie.title, settings);
+
+    if (repeat.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: repeat.error });
+    }
+
+    // Insert nomination
+    const nomination = await client.query(
+      `INSERT INTO nominations
+         (cycle_id, user_id, tmdb_id, title, release_date, year, poster_path, overview, genre_ids, director, runtime,
+          original_language, constraint_flags, constraint_override_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING id, tmdb_id, title, year, poster_path, genre_ids, director, runtime, constraint_flags, constraint_override_by`,
+      [cycleId, userId, movie.tmdb_id, movie.title, movie.release_date, movie.year, movie.poster_path,
+        movie.overview, movie.genre_ids, movie.director, movie.runtime, movie.original_language,
+        fit.flags, fit.overridden ? userId : null]
+    );
+
+    await client.query('COMMIT');
+    publishClubEvent(req.clubId, 'nomination_added', { cycle_id: parseInt(cycleId) });
+    res.json({
+      success: true,
+      nomination: nomination.rows[0],
+      warning: [fit.warning, repeat.warning].filter(Boolean).join(' ') || undefined
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Nomination error:', err);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Swap a nomination for a different movie
+router.put('/:cycleId/nominations/:nominationId', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId, nominationId } = req.params;
+  const { status: movieStatus, error: movieError, movie } = await resolveNominatedMovie(req.body);
+
+  if (movieError) {
+    return res.status(movieStatus).json({ error: movieError });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { status, error, nomination: current } = await getOwnOpenNomination(client, cycleId, nominationId, req.user.id);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+
+    const duplicateError = await findDuplicateNomination(client, cycleId, movie.tmdb_id, parseInt(nominationId));
+
+    if (duplicateError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: duplicateError });
+    }
+
+    const settings = await getClubSettings(client, current.club_id);
+    const isDirector = isDirectorRole(req.userRole);
+    const fit = applyThemeConstraints(
+      current.theme_constraints, movie, settings.theme_constraint_mode,
+      { override: req.body.override === true && isDirector, isDirector }
+    );
+
+    if (fit.error) {
+      await client.query('ROLLBACK');
+      return res.status(fit.status).json({ error: fit.error, violations: fit.violations });
+    }
+
+    const repeat = await checkRepeatNomination(client, current.club_id, movie.tmdb_id, movie.title, settings);
+
+    if (repeat.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: repeat.error });
+    }
+
+    const nomination = await client.query(
+      `UPDATE nominations
+       SET tmdb_id = $1, title = $2, release_date = $3, year = $4, poster_path = $5, overview = $6,
+           genre_ids = $7, director = $8, runtime = $9, original_language = $10,
+           constraint_flags = $11, constraint_override_by = $12,
+           submitted_at = CURRENT_TIMESTAMP
+       WHERE id = $13
+       RETURNING id, tmdb_id, title, year, poster_path, genre_ids, director, runtime, constraint_flags, constraint_override_by`,
+      [movie.tmdb_id, movie.title, movie.release_date, movie.year, movie.poster_path, movie.overview,
+        movie.genre_ids, movie.director, movie.runtime, movie.original_language,
+        fit.flags, fit.overridden ? req.user.id : null, nominationId]
+    );
+
+    await client.query('COMMIT');
+    publishClubEvent(req.clubId, 'nomination_swapped', { cycle_id: parseInt(cycleId) });
+    res.json({
+      success: true,
+      nomination: nomination.rows[0],
+      warning: [fit.warning, repeat.warning].filter(Boolean).join(' ') || undefined
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Swap nomination error:', error);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Allow a nomination flagged against the theme's constraints (Director/Producer only)
+router.put('/:cycleId/nominations/:nominationId/override', authenticateToken, requireDirectorRole, async (req, res) => {
+  const { cycleId, nominationId } = req.params;
+
+  try {
+    const result = await pool.query(
+      `UPDATE nominations n SET constraint_override_by = $1
+       FROM cycles c
+       WHERE c.id = n.cycle_id AND n.id = $2 AND n.cycle_id = $3
+         AND c.phase = 'nomination' AND n.constraint_flags IS NOT NULL
+       RETURNING n.id, n.title, n.constraint_flags, n.constraint_override_by`,
+      [req.user.id, nominationId, cycleId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No flagged nomination found in an open nomination phase' });
+    }
+
+    res.json({ success: true, nomination: result.rows[0] });
+
+  } catch (error) {
+    console.error('Override nomination error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Withdraw a nomination
+router.delete('/:cycleId/nominations/:nominationId', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId, nominationId } = req.params;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { status, error } = await getOwnOpenNomination(client, cycleId, nominationId, req.user.id);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+
+    await client.query('DELETE FROM nominations WHERE id = $1', [nominationId]);
+
+    await client.query('COMMIT');
+    publishClubEvent(req.clubId, 'nomination_removed', { cycle_id: parseInt(cycleId) });
+    res.json({ message: 'Nomination withdrawn' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Withdraw nomination error:', error);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Update watch progress. Ratings and reviews go through the review route, which checks the film was watched.
+router.put('/:cycleId/watch/:movieId', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId, movieId } = req.params;
+  const { watched } = req.body;
+
+  try {
+    // Check if cycle is in watching phase
+    const cycleResult = await pool.query(
+      'SELECT club_id, phase FROM cycles WHERE id = $1',
+      [cycleId]
+    );
+
+    if (cycleResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Cycle not found' });
+    }
+
+    // Clubs that tie ranking to watching let members catch up while ranking is open
+    const { phase, club_id: clubId } = cycleResult.rows[0];
+    const catchingUp = phase === 'ranking'
+      && (await getClubSettings(pool, clubId)).ranking_watch_rule !== 'none';
+
+    if (phase !== 'watching' && !catchingUp) {
+      return res.status(400).json({ error: 'Cycle is not in watching phase' });
+    }
+
+    // Check if user nominated this movie (can't mark own nomination)
+    const nominationCheck = await pool.query(
+      'SELECT user_id FROM nominations WHERE id = $1 AND cycle_id = $2',
+      [movieId, cycleId]
+    );
+
+    if (nominationCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Movie nomination not found' });
+    }
+
+    if (nominationCheck.rows[0].user_id === req.user.id) {
+      return res.status(400).json({ error: 'Cannot update watch progress for your own nomination' });
+    }
+
+    // Update or insert watch progress
+    const result = await pool.query(
+      `INSERT INTO watch_progress (user_id, cycle_id, nomination_id, watched, watched_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, cycle_id, nomination_id)
+       DO UPDATE SET 
+         watched = EXCLUDED.watched,
+         watched_at = CASE WHEN EXCLUDED.watched = true AND watch_progress.watched = false 
+                          THEN CURRENT_TIMESTAMP 
+                          ELSE watch_progress.watched_at END
+       RETURNING *`,
+      [req.user.id, cycleId, movieId, watched, watched ? new Date() : null]
+    );
+
+    publishClubEvent(clubId, 'member_watched', { cycle_id: parseInt(cycleId) });
+
+    res.json({
+      message: 'Watch progress updated successfully',
+      progress: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update watch progress error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// A nomination in a cycle, with the cycle's phase, or null
+const findCycleNomination = async (db, cycleId, nominationId) => {
+  const result = await db.query(
+    `SELECT n.id, n.user_id, c.phase
+     FROM nominations n
+     JOIN cycles c ON n.cycle_id = c.id
+     WHERE n.id = $1 AND n.cycle_id = $2`,
+    [nominationId, cycleId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Rate and review a film. Sending neither a rating nor review text removes the review.
+router.put('/:cycleId/nominations/:nominationId/review', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId, nominationId } = req.params;
+
+  const review = parseReview(req.body);
+
+  if (review.error) {
+    return res.status(400).json({ error: review.error });
+  }
+
+  try {
+    const nomination = await findCycleNomination(pool, cycleId, nominationId);
+
+    if (!nomination) {
+      return res.status(404).json({ error: 'Movie nomination not found' });
+    }
+
+    const reviewError = await checkCanReview(pool, nomination, req.user.id);
+
+    if (reviewError) {
+      return res.status(400).json({ error: reviewError });
+    }
+
+    const hasReview = review.rating !== null || review.review !== null;
+    const result = await pool.query(
+      `INSERT INTO watch_progress (user_id, cycle_id, nomination_id, rating, personal_notes, reviewed_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (user_id, cycle_id, nomination_id)
+       DO UPDATE SET
+         rating = EXCLUDED.rating,
+         personal_notes = EXCLUDED.personal_notes,
+         reviewed_at = EXCLUDED.reviewed_at
+       RETURNING nomination_id, rating, personal_notes, reviewed_at`,
+      [req.user.id, cycleId, nominationId, review.rating, review.review, hasReview ? new Date() : null]
+    );
+
+    res.json({
+      message: hasReview ? 'Review saved' : 'Review removed',
+      review: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Save review error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reviews of one film that the current user is allowed to read
+router.get('/:cycleId/nominations/:nominationId/reviews', authenticateToken, requireClubMembership, async (req, res) => {
+  const { nominationId } = req.params;
+
+  try {
+    const reviews = await listReviews(pool, req.user.id, {
+      clubId: req.clubId,
+      nominationId: parseInt(nominationId)
+    });
+
+    res.json({ reviews });
+
+  } catch (error) {
+    console.error('Get film reviews error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Discussion thread for a film, oldest first
+router.get('/:cycleId/nominations/:nominationId/comments', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId, nominationId } = req.params;
+
+  try {
+    const nomination = await findCycleNomination(pool, cycleId, nominationId);
+
+    if (!nomination) {
+      return res.status(404).json({ error: 'Movie nomination not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT cmt.id, cmt.user_id, cmt.body, cmt.created_at, cmt.updated_at,
+              u.username, u.display_name, u.profile_picture, cm.club_display_name
+       FROM comments cmt
+       JOIN users u ON cmt.user_id = u.id
+       LEFT JOIN club_members cm ON cm.club_id = $2 AND cm.user_id = cmt.user_id
+       WHERE cmt.nomination_id = $1
+       ORDER BY cmt.created_at, cmt.id`,
+      [nomination.id, req.clubId]
+    );
+
+    const seenFilm = await hasSeenFilm(pool, nomination, req.user.id);
+
+    res.json({
+      comments: result.rows.map(comment => toCommentView(comment, req.user.id, seenFilm)),
+      spoilers_visible: seenFilm
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add a comment to a film's thread
+router.post('/:cycleId/nominations/:nominationId/comments', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId, nominationId } = req.params;
+
+  const { body, error } = parseCommentBody(req.body.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const nomination = await findCycleNomination(pool, cycleId, nominationId);
+
+    if (!nomination) {
+      return res.status(404).json({ error: 'Movie nomination not found' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO comments (nomination_id, user_id, body)
+       VALUES ($1, $2, $3)
+       RETURNING id, user_id, body, created_at, updated_at`,
+      [nomination.id, req.user.id, body]
+    );
+
+    res.status(201).json({
+      message: 'Comment added',
+      comment: toCommentView(result.rows[0], req.user.id, true)
+    });
+
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Edit your own comment
+router.put('/:cycleId/nominations/:nominationId/comments/:commentId', authenticateToken, requireClubMembership, async (req, res) => {
+  const { nominationId, commentId } = req.params;
+
+  const { body, error } = parseCommentBody(req.body.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE comments SET body = $1
+       WHERE id = $2 AND nomination_id = $3 AND user_id = $4
+       RETURNING id, user_id, body, created_at, updated_at`,
+      [body, commentId, nominationId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    res.json({
+      message: 'Comment updated',
+      comment: toCommentView(result.rows[0], req.user.id, true)
+    });
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a comment (its author, or a director moderating the thread)
+router.delete('/:cycleId/nominations/:nominationId/comments/:commentId', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId, nominationId, commentId } = req.params;
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM comments cmt
+       USING nominations n
+       WHERE cmt.id = $1 AND cmt.nomination_id = $2 AND n.id = cmt.nomination_id AND n.cycle_id = $3
+         AND (cmt.user_id = $4 OR $5)
+       RETURNING cmt.id`,
+      [commentId, nominationId, cycleId, req.user.id, isDirectorRole(req.userRole)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    res.json({ message: 'Comment deleted' });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Load a cycle for a ballot change, locked against concurrent phase changes.
+// Returns { cycle } or { status, error }.
+const getRankingCycle = async (client, cycleId) => {
+  const cycleResult = await client.query(
+    'SELECT id, club_id, phase FROM cycles WHERE id = $1 FOR UPDATE',
+    [cycleId]
+  );
+
+  if (cycleResult.rows.length === 0) {
+    return { status: 404, error: 'Cycle not found' };
+  }
+
+  if (cycleResult.rows[0].phase !== 'ranking') {
+    return { status: 400, error: 'Cycle is not in ranking phase' };
+  }
+
+  return { cycle: cycleResult.rows[0] };
+};
+
+// Save draft rankings and guesses (can be incomplete)
+router.put('/:cycleId/my-rankings', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId } = req.params;
+  const { guesses = [], rankings = [] } = req.body;
+
+  if (!Array.isArray(guesses) || !Array.isArray(rankings)) {
+    return res.status(400).json({ error: 'Guesses and rankings must be arrays' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { cycle, status, error } = await getRankingCycle(client, cycleId);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+
+    const locked = await client.query(
+      'SELECT 1 FROM ranking_ballots WHERE cycle_id = $1 AND user_id = $2 AND locked_at IS NOT NULL',
+      [cycleId, req.user.id]
+    );
+
+    if (locked.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Unlock your rankings before editing them' });
+    }
+
+    const draftError = await saveDraftBallot(client, cycle, req.user.id, { rankings, guesses });
+
+    if (draftError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: draftError });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Draft saved' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Save draft rankings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Submit guesses and rankings and lock them in
+router.post('/:cycleId/submit-rankings', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId } = req.params;
+  const { guesses = [], rankings } = req.body;
+
+  if (!rankings || !Array.isArray(guesses) || !Array.isArray(rankings)) {
+    return res.status(400).json({ error: 'Guesses and rankings are required as arrays' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { cycle, status, error } = await getRankingCycle(client, cycleId);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+
+    // Check if user already locked in their rankings
+    const locked = await client.query(
+      'SELECT 1 FROM ranking_ballots WHERE cycle_id = $1 AND user_id = $2 AND locked_at IS NOT NULL',
+      [cycleId, req.user.id]
+    );
+
+    if (locked.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Your rankings are already locked in' });
+    }
+
+    const ballotError = await saveDraftBallot(client, cycle, req.user.id, { rankings, guesses })
+      || await lockBallot(client, cycle, req.user.id);
+
+    if (ballotError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: ballotError });
+    }
+
+    await client.query('COMMIT');
+
+    publishClubEvent(cycle.club_id, 'member_ranked', { cycle_id: cycle.id, user_id: req.user.id, locked_in: true });
+
+    res.json({ message: 'Rankings locked in' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Submit rankings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Unlock submitted rankings so they can be edited again while ranking is open
+router.post('/:cycleId/unlock-rankings', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId } = req.params;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { cycle, status, error } = await getRankingCycle(client, cycleId);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+
+    const unlockError = await unlockBallot(client, cycle, req.user.id);
+
+    if (unlockError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: unlockError });
+    }
+
+    await client.query('COMMIT');
+
+    publishClubEvent(cycle.club_id, 'member_ranked', { cycle_id: cycle.id, user_id: req.user.id, locked_in: false });
+
+    res.json({ message: 'Rankings unlocked' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Unlock rankings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get the current user's ballot (draft or locked in) for a cycle
+router.get('/:cycleId/my-rankings', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId } = req.params;
+
+  try {
+    const result = await pool.query(
+      `SELECT rankings, guesses, locked_at, updated_at
+       FROM ranking_ballots
+       WHERE user_id = $1 AND cycle_id = $2`,
+      [req.user.id, cycleId]
+    );
+
+    const ballot = result.rows[0];
+
+    res.json({
+      rankings: ballot ? ballot.rankings : [],
+      guesses: ballot ? ballot.guesses : [],
+      locked: Boolean(ballot && ballot.locked_at),
+      locked_at: ballot ? ballot.locked_at : null,
+      updated_at: ballot ? ballot.updated_at : null
+    });
+
+  } catch (error) {
+    console.error('Get my rankings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get cycle history for club
+router.get('/:clubId/history', authenticateToken, requireClubMembership, async (req, res) => {
+  const { clubId } = req.params;
+  const { page = 1, limit = 10 } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  try {
+    const result = await pool.query(
+      `SELECT c.id, c.theme_text, c.cycle_number, c.season_year, c.started_at, c.completed_at,
+              c.winner_user_id, c.winner_movie_id, c.winner_points,
+              u.username as winner_username, u.display_name as winner_display_name,
+              n.title as winning_movie_title, n.poster_path as winning_movie_poster
+       FROM cycles c
+       LEFT JOIN users u ON c.winner_user_id = u.id
+       LEFT JOIN nominations n ON c.winner_movie_id = n.id
+       WHERE c.club_id = $1 AND c.phase = 'idle'
+       ORDER BY c.completed_at DESC
+       LIMIT $2 OFFSET $3`,
+      [clubId, parseInt(limit), offset]
+    );
+
+    // Get total count for pagination
+    const countResult = await pool.query(
+      'SELECT COUNT(*) FROM cycles WHERE club_id = $1 AND phase = $2',
+      [clubId, 'idle']
+    );
+
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    // How each cycle's theme was drafted (re-rolls, vetoes)
+    const themeDraws = await getThemeDrawHistory(pool, result.rows.map(cycle => cycle.id));
+    for (const cycle of result.rows) {
+      cycle.theme_draws = themeDraws[cycle.id] || [];
+    }
+
+    res.json({
+      cycles: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cycle history error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get detailed cycle results
+router.get('/:cycleId/results', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId } = req.params;
+
+  try {
+    // Get cycle info
+    const cycleResult = await pool.query(
+      `SELECT id, club_id, theme_text, phase, cycle_number, season_year, started_at, completed_at,
+              winner_user_id, winner_movie_id, winner_points, scoring_strategy, tiebreak_log
+       FROM cycles WHERE id = $1`,
+      [cycleId]
+    );
+
+    if (cycleResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Cycle not found' });
+    }
+
+    const cycle = cycleResult.rows[0];
+
+    // Rankings and guesses stay secret until the ranking phase is over
+    if (cycle.phase !== 'results' && cycle.phase !== 'idle') {
+      return res.status(400).json({ error: 'Results are not available until the ranking phase ends' });
+    }
+
+    // Get results with nominations and user info
+    const resultsQuery = await pool.query(
+      `SELECT cr.final_rank, cr.average_rank, cr.score, cr.points_earned, cr.guess_accuracy, cr.total_votes_received, cr.tiebreak,
+              u.id as user_id, u.username, u.display_name, u.profile_picture, cm.club_display_name,
+              n.id as nomination_id, n.tmdb_id, n.title, n.year, n.poster_path, n.director, n.runtime
+       FROM cycle_results cr
+       JOIN users u ON cr.user_id = u.id
+       JOIN nominations n ON cr.nomination_id = n.id
+       LEFT JOIN club_members cm ON cm.club_id = $2 AND cm.user_id = u.id
+       WHERE cr.cycle_id = $1
+       ORDER BY cr.final_rank ASC, n.title`,
+      [cycleId, cycle.club_id]
+    );
+
+    cycle.results = resultsQuery.rows;
+
+    // Get all guesses for this cycle (for transparency)
+    const guessesQuery = await pool.query(
+      `SELECT g.user_id, g.nomination_id, g.guessed_nominator_id, g.is_correct,
+              u.username as guesser_username,
+              n.title as movie_title, n.user_id as nominator_id,
+              gn.username as guessed_username
+       FROM guesses g
+       JOIN users u ON g.user_id = u.id
+       JOIN nominations n ON g.nomination_id = n.id
+       JOIN users gn ON g.guessed_nominator_id = gn.id
+       WHERE g.cycle_id = $1
+       ORDER BY g.user_id, g.nomination_id`,
+      [cycleId]
+    );
+
+    cycle.guesses = guessesQuery.rows;
+
+    // Get all rankings for this cycle
+    const rankingsQuery = await pool.query(
+      `SELECT r.user_id, r.nomination_id, r.rank_position,
+              u.username as ranker_username,
+              n.title as movie_title
+       FROM rankings r
+       JOIN users u ON r.user_id = u.id
+       JOIN nominations n ON r.nomination_id = n.id
+       WHERE r.cycle_id = $1
+       ORDER BY r.user_id, r.rank_position`,
+      [cycleId]
+    );
+
+    cycle.rankings = rankingsQuery.rows;
+
+    // Everyone who took part in the cycle, with how well they guessed the nominators
+    const participantsQuery = await pool.query(
+      `SELECT u.id as user_id, u.username, u.display_name, u.profile_picture, cm.club_display_name,
+              COUNT(g.id) as total_guesses,
+              COUNT(g.id) FILTER (WHERE g.is_correct) as correct_guesses
+       FROM users u
+       LEFT JOIN club_members cm ON cm.club_id = $2 AND cm.user_id = u.id
+       LEFT JOIN guesses g ON g.user_id = u.id AND g.cycle_id = $1
+       WHERE u.id IN (
+         SELECT user_id FROM nominations WHERE cycle_id = $1
+         UNION
+         SELECT user_id FROM rankings WHERE cycle_id = $1
+       )
+       GROUP BY u.id, cm.club_display_name
+       ORDER BY COUNT(g.id) FILTER (WHERE g.is_correct) DESC, u.username`,
+      [cycleId, cycle.club_id]
+    );
+
+    cycle.participants = participantsQuery.rows.map(p => ({
+      ...p,
+      total_guesses: parseInt(p.total_guesses),
+      correct_guesses: parseInt(p.correct_guesses),
+      guess_accuracy: parseInt(p.total_guesses) > 0
+        ? Math.round((parseInt(p.correct_guesses) / parseInt(p.total_guesses)) * 100)
+        : null
+    }));
+
+    cycle.scoring_strategies = listScoringStrategies();
+    cycle.tiebreakers = listTiebreakers();
+
+    res.json({ cycle });
+
+  } catch (error) {
+    console.error('Get cycle results error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Re-score a finished cycle under another strategy for comparison (nothing is saved)
+router.get('/:cycleId/results/compare', authenticateToken, requireClubMembership, async (req, res) => {
+  const { cycleId } = req.params;
+  const { strategy } = req.query;
+
+  if (!SCORING_STRATEGIES[strategy]) {
+    return res.status(400).json({ error: `strategy must be one of: ${Object.keys(SCORING_STRATEGIES).join(', ')}` });
+  }
+
+  try {
+    const cycleResult = await pool.query(
+      'SELECT phase FROM cycles WHERE id = $1',
+      [cycleId]
+    );
+
+    if (cycleResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Cycle not found' });
+    }
+
+    if (cycleResult.rows[0].phase !== 'results' && cycleResult.rows[0].phase !== 'idle') {
+      return res.status(400).json({ error: 'Results are not available until the ranking phase ends' });
+    }
+
+    const settings = await getClubSettings(pool, req.clubId);
+    const { standings, ties } = await computeCycleStandings(pool, cycleId, strategy, settings.tiebreakers);
+
+    const nominations = await pool.query(
+      `SELECT n.id, n.title, n.poster_path, u.username, u.display_name, cm.club_display_name
+       FROM nominations n
+       JOIN users u ON n.user_id = u.id
+       LEFT JOIN club_members cm ON cm.club_id = $2 AND cm.user_id = u.id
+       WHERE n.cycle_id = $1`,
+      [cycleId, req.clubId]
+    );
+
+    const nominationMap = new Map(nominations.rows.map(n => [n.id, n]));
+
+    res.json({
+      strategy,
+      ties,
+      results: standings.map(entry => {
+        const nomination = nominationMap.get(entry.nomination_id);
+        return {
+          ...entry,
+          title: nomination.title,
+          poster_path: nomination.poster_path,
+          username: nomination.username,
+          display_name: nomination.display_name,
+          club_display_name: nomination.club_display_name
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Compare cycle results error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,43 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { authenticateToken } = require('../middleware/auth');
+const { openEventStream } = require('../services/clubEvents');
+
+const router = express.Router();
+
+const STREAM_TOKEN_EXPIRY = '1m';
+
+// EventSource can't send an Authorization header, so the stream takes a token in the query
+// string. The login token would end up in proxy access logs there, so the browser swaps it
+// for a short-lived token that can only open the stream.
+router.post('/token', authenticateToken, (req, res) => {
+  const token = jwt.sign(
+    { userId: req.user.id, purpose: 'events' },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_EXPIRY }
+  );
+
+  res.json({ token });
+});
+
+const authenticateStreamToken = (req, res, next) => {
+  try {
+    const decoded = jwt.verify(req.query.token || '', process.env.JWT_SECRET);
+
+    if (decoded.purpose !== 'events') {
+      return res.status(401).json({ error: 'Invalid or expired stream token' });
+    }
+
+    req.user = { id: decoded.userId };
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired stream token' });
+  }
+};
+
+// Live updates for every club the user belongs to (Server-Sent Events)
+router.get('/', authenticateStreamToken, (req, res) => {
+  openEventStream(req, res, req.user.id);
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const pool = require('../db/db');
+const { authenticateToken } = require('../middleware/auth');
+const { listNotifications } = require('../services/notifications');
+
+const router = express.Router();
+
+// Get the current user's notifications (?unread=true for unread only)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await listNotifications(pool, req.user.id, {
+      limit: req.query.limit,
+      unreadOnly: req.query.unread === 'true'
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark every notification read
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ message: 'Notifications marked read', updated: result.rowCount });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark one notification read
+router.put('/:id/read', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query(
+      `UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, read_at`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification marked read', notification: result.rows[0] });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,354 @@
+// Ranking-phase ballots: a member's ordering of the cycle's films plus their nominator guesses.
+// Ballots are kept as editable drafts in ranking_ballots until the member locks them in,
+// at which point they are written to rankings/guesses and count towards the results.
+const { getClubSettings } = require('./clubSettings');
+
+// Check a ballot against the cycle's nominations. Every rankable film (see
+// getRankableNominationIds) must be ranked 1..n exactly once and, when guessing is on,
+// get one guess naming another member. Returns an error message, or null when the ballot is valid.
+function validateBallot({ userId, nominations, rankableIds, candidateIds, rankings, guesses, guessingEnabled }) {
+  const nominationMap = new Map(nominations.map(n => [n.id, n.user_id]));
+  const rankable = new Set(rankableIds);
+  const rankableCount = rankable.size;
+
+  if (rankableCount === 0) {
+    return 'Mark at least one movie watched before ranking';
+  }
+
+  const rankedIds = new Set();
+  const rankPositions = new Set();
+
+  for (const { nominationId, rankPosition } of rankings) {
+    if (!nominationMap.has(nominationId)) {
+      return `Invalid nomination ID: ${nominationId}`;
+    }
+
+    if (nominationMap.get(nominationId) === userId) {
+      return 'Cannot rank your own nomination';
+    }
+
+    if (!rankable.has(nominationId)) {
+      return 'You can only rank movies you have watched';
+    }
+
+    if (rankedIds.has(nominationId)) {
+      return `Movie ranked more than once: ${nominationId}`;
+    }
+
+    if (!Number.isInteger(rankPosition) || rankPosition < 1 || rankPosition > rankableCount) {
+      return `Rank positions must be between 1 and ${rankableCount}`;
+    }
+
+    if (rankPositions.has(rankPosition)) {
+      return `Duplicate rank position: ${rankPosition}`;
+    }
+
+    rankedIds.add(nominationId);
+    rankPositions.add(rankPosition);
+  }
+
+  if (rankedIds.size !== rankableCount) {
+    return rankableCount === nominations.filter(n => n.user_id !== userId).length
+      ? 'Every movie except your own must be ranked'
+      : 'Every movie you have watched must be ranked';
+  }
+
+  if (!guessingEnabled) {
+    return null;
+  }
+
+  const guessedIds = new Set();
+
+  for (const { nominationId, guessedNominatorId } of guesses) {
+    if (!nominationMap.has(nominationId)) {
+      return `Invalid nomination ID: ${nominationId}`;
+    }
+
+    // Guesses on your own nomination (or on films you can't rank) are ignored
+    if (!rankable.has(nominationId)) {
+      continue;
+    }
+
+    if (guessedIds.has(nominationId)) {
+      return `More than one guess for movie: ${nominationId}`;
+    }
+
+    if (guessedNominatorId === userId || !candidateIds.includes(guessedNominatorId)) {
+      return `Invalid nominator guess for movie: ${nominationId}`;
+    }
+
+    guessedIds.add(nominationId);
+  }
+
+  if (guessedIds.size !== rankableCount) {
+    return 'Guess who nominated every movie you rank';
+  }
+
+  return null;
+}
+
+// Check a draft for entries that could never be valid. Unlike validateBallot,
+// films may still be unranked or unguessed. Returns an error message or null.
+function validateDraft({ userId, nominations, rankableIds, candidateIds, rankings, guesses }) {
+  const nominationMap = new Map(nominations.map(n => [n.id, n.user_id]));
+  const rankableCount = rankableIds.length;
+
+  const rankedIds = new Set();
+  const rankPositions = new Set();
+
+  for (const { nominationId, rankPosition } of rankings) {
+    if (!nominationMap.has(nominationId) || nominationMap.get(nominationId) === userId) {
+      return `Invalid nomination ID: ${nominationId}`;
+    }
+
+    if (!rankableIds.includes(nominationId)) {
+      return 'You can only rank movies you have watched';
+    }
+
+    if (rankedIds.has(nominationId) || rankPositions.has(rankPosition)) {
+      return 'Each movie and rank position can only be used once';
+    }
+
+    if (!Number.isInteger(rankPosition) || rankPosition < 1 || rankPosition > rankableCount) {
+      return `Rank positions must be between 1 and ${rankableCount}`;
+    }
+
+    rankedIds.add(nominationId);
+    rankPositions.add(rankPosition);
+  }
+
+  for (const { nominationId, guessedNominatorId } of guesses) {
+    if (!nominationMap.has(nominationId) || nominationMap.get(nominationId) === userId) {
+      return `Invalid nomination ID: ${nominationId}`;
+    }
+
+    if (guessedNominatorId === userId || !candidateIds.includes(guessedNominatorId)) {
+      return `Invalid nominator guess for movie: ${nominationId}`;
+    }
+  }
+
+  return null;
+}
+
+// Everyone a member could guess as a nominator: active members plus anyone who
+// nominated in the cycle (in case they have since left the club)
+async function getNominatorCandidates(client, cycleId, clubId) {
+  const result = await client.query(
+    `SELECT user_id FROM club_members WHERE club_id = $1 AND is_active = true
+     UNION
+     SELECT user_id FROM nominations WHERE cycle_id = $2`,
+    [clubId, cycleId]
+  );
+
+  return result.rows.map(r => r.user_id);
+}
+
+// Films a member may rank: everything but their own nominations, or under the club's
+// watched_only rule just the ones they have marked watched
+async function getRankableNominationIds(client, cycle, userId, settings) {
+  const result = await client.query(
+    `SELECT n.id FROM nominations n
+     LEFT JOIN watch_progress wp ON wp.nomination_id = n.id AND wp.user_id = $2
+     WHERE n.cycle_id = $1 AND n.user_id != $2
+       AND ($3 != 'watched_only' OR wp.watched = true)
+     ORDER BY n.id`,
+    [cycle.id, userId, settings.ranking_watch_rule]
+  );
+
+  return result.rows.map(r => r.id);
+}
+
+// Titles of films (other than their own) a member hasn't marked watched
+async function getUnwatchedTitles(client, cycle, userId) {
+  const result = await client.query(
+    `SELECT n.title FROM nominations n
+     LEFT JOIN watch_progress wp ON wp.nomination_id = n.id AND wp.user_id = $2
+     WHERE n.cycle_id = $1 AND n.user_id != $2 AND wp.watched IS NOT TRUE
+     ORDER BY n.id`,
+    [cycle.id, userId]
+  );
+
+  return result.rows.map(r => r.title);
+}
+
+// Save a member's draft ballot. Returns an error message, or null once saved.
+async function saveDraftBallot(client, cycle, userId, { rankings, guesses }) {
+  const settings = await getClubSettings(client, cycle.club_id);
+  const nominations = await client.query(
+    'SELECT id, user_id FROM nominations WHERE cycle_id = $1',
+    [cycle.id]
+  );
+
+  const draftError = validateDraft({
+    userId,
+    nominations: nominations.rows,
+    rankableIds: await getRankableNominationIds(client, cycle, userId, settings),
+    candidateIds: await getNominatorCandidates(client, cycle.id, cycle.club_id),
+    rankings,
+    guesses
+  });
+
+  if (draftError) {
+    return draftError;
+  }
+
+  await client.query(
+    `INSERT INTO ranking_ballots (cycle_id, user_id, rankings, guesses)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (cycle_id, user_id)
+     DO UPDATE SET rankings = EXCLUDED.rankings, guesses = EXCLUDED.guesses`,
+    [cycle.id, userId, JSON.stringify(rankings), JSON.stringify(guesses)]
+  );
+
+  return null;
+}
+
+// Check a saved draft as a full ballot. Returns { error } or, when it would lock in cleanly,
+// the guesses that count and a map of nomination id to nominator.
+async function checkDraftBallot(client, cycle, userId, ballot) {
+  const settings = await getClubSettings(client, cycle.club_id);
+
+  if (settings.ranking_watch_rule === 'watch_all') {
+    const unwatched = await getUnwatchedTitles(client, cycle, userId);
+
+    if (unwatched.length > 0) {
+      return { error: `Mark every movie watched before ranking. Still to watch: ${unwatched.join(', ')}` };
+    }
+  }
+
+  const nominations = await client.query(
+    'SELECT id, user_id FROM nominations WHERE cycle_id = $1',
+    [cycle.id]
+  );
+  const nominationMap = new Map(nominations.rows.map(n => [n.id, n.user_id]));
+  const rankableIds = await getRankableNominationIds(client, cycle, userId, settings);
+
+  // Guesses are ignored when the club has guessing turned off, and only count for ranked films
+  const guesses = settings.guessing_enabled
+    ? ballot.guesses.filter(g => rankableIds.includes(g.nominationId))
+    : [];
+
+  const error = validateBallot({
+    userId,
+    nominations: nominations.rows,
+    rankableIds,
+    candidateIds: await getNominatorCandidates(client, cycle.id, cycle.club_id),
+    rankings: ballot.rankings,
+    guesses,
+    guessingEnabled: settings.guessing_enabled
+  });
+
+  return error ? { error } : { guesses, nominationMap };
+}
+
+// Members whose unlocked draft is already a complete ballot. These drafts are locked in
+// automatically when ranking closes, so they count as submitted.
+async function getCompleteDraftUserIds(client, cycle) {
+  const drafts = await client.query(
+    'SELECT user_id, rankings, guesses FROM ranking_ballots WHERE cycle_id = $1 AND locked_at IS NULL',
+    [cycle.id]
+  );
+
+  const userIds = [];
+
+  for (const draft of drafts.rows) {
+    const { error } = await checkDraftBallot(client, cycle, draft.user_id, draft);
+
+    if (!error) {
+      userIds.push(draft.user_id);
+    }
+  }
+
+  return userIds;
+}
+
+// Lock in a member's saved draft: validate it as a full ballot and write it to
+// rankings/guesses. Returns an error message, or null once locked.
+async function lockBallot(client, cycle, userId) {
+  const ballotResult = await client.query(
+    'SELECT rankings, guesses, locked_at FROM ranking_ballots WHERE cycle_id = $1 AND user_id = $2',
+    [cycle.id, userId]
+  );
+
+  if (ballotResult.rows.length === 0) {
+    return 'Save your rankings before locking them in';
+  }
+
+  const ballot = ballotResult.rows[0];
+
+  if (ballot.locked_at) {
+    return 'Your rankings are already locked in';
+  }
+
+  const { error, guesses, nominationMap } = await checkDraftBallot(client, cycle, userId, ballot);
+
+  if (error) {
+    return error;
+  }
+
+  for (const { nominationId, guessedNominatorId } of guesses) {
+    await client.query(
+      `INSERT INTO guesses (user_id, cycle_id, nomination_id, guessed_nominator_id, is_correct)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, cycle.id, nominationId, guessedNominatorId, nominationMap.get(nominationId) === guessedNominatorId]
+    );
+  }
+
+  for (const { nominationId, rankPosition } of ballot.rankings) {
+    await client.query(
+      `INSERT INTO rankings (user_id, cycle_id, nomination_id, rank_position)
+       VALUES ($1, $2, $3, $4)`,
+      [userId, cycle.id, nominationId, rankPosition]
+    );
+  }
+
+  await client.query(
+    'UPDATE ranking_ballots SET locked_at = CURRENT_TIMESTAMP WHERE cycle_id = $1 AND user_id = $2',
+    [cycle.id, userId]
+  );
+
+  return null;
+}
+
+// Reopen a locked ballot for editing. Its rankings and guesses stop counting until locked again.
+async function unlockBallot(client, cycle, userId) {
+  const result = await client.query(
+    `UPDATE ranking_ballots SET locked_at = NULL
+     WHERE cycle_id = $1 AND user_id = $2 AND locked_at IS NOT NULL`,
+    [cycle.id, userId]
+  );
+
+  if (result.rowCount === 0) {
+    return 'Your rankings are not locked in';
+  }
+
+  await client.query('DELETE FROM rankings WHERE cycle_id = $1 AND user_id = $2', [cycle.id, userId]);
+  await client.query('DELETE FROM guesses WHERE cycle_id = $1 AND user_id = $2', [cycle.id, userId]);
+
+  return null;
+}
+
+// When ranking closes, lock in every draft that is already a complete ballot
+// so members who forgot to press "lock in" still count
+async function lockCompleteDrafts(client, cycle) {
+  const drafts = await client.query(
+    'SELECT user_id FROM ranking_ballots WHERE cycle_id = $1 AND locked_at IS NULL',
+    [cycle.id]
+  );
+
+  for (const draft of drafts.rows) {
+    await lockBallot(client, cycle, draft.user_id);
+  }
+}
+
+module.exports = {
+  validateBallot,
+  validateDraft,
+  getRankableNominationIds,
+  getNominatorCandidates,
+  saveDraftBallot,
+  getCompleteDraftUserIds,
+  lockBallot,
+  unlockBallot,
+  lockCompleteDrafts
+};
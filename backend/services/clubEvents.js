@@ -0,0 +1,90 @@
+// Live club updates pushed to browsers over Server-Sent Events. Each open stream belongs to
+// one user and receives events for the clubs they are an active member of, checked as each
+// event is published so joining or leaving a club takes effect without reconnecting.
+// Events say what changed, not the new state: pages refetch what they show. Payloads must
+// never name a nominator while a cycle is blind.
+const pool = require('../db/db');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const CLUB_EVENT_TYPES = [
+  'phase_changed', // { cycle_id, phase }
+  'theme_draft_updated', // { cycle_id } re-rolls and vetoes during a theme draft
+  'nomination_added', // { cycle_id }
+  'nomination_swapped', // { cycle_id }
+  'nomination_removed', // { cycle_id }
+  'member_watched', // { cycle_id } (not who: the progress grid may be directors-only)
+  'member_ranked', // { cycle_id, user_id, locked_in }
+  'theme_added' // { theme_id }
+];
+
+const clients = new Set();
+
+let heartbeatTimer = null;
+
+// Keep proxies from closing idle streams
+const startHeartbeat = () => {
+  if (heartbeatTimer) return;
+
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients) {
+      client.res.write(': heartbeat\n\n');
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref();
+};
+
+// Turn a response into an event stream for a user's clubs. Cleans up when the browser disconnects.
+const openEventStream = (req, res, userId) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // tell nginx not to buffer the stream
+  });
+  res.flushHeaders();
+
+  // Browsers reconnect on their own; ask them to wait a few seconds first
+  res.write('retry: 5000\n\n');
+
+  const client = { userId, res };
+  clients.add(client);
+  startHeartbeat();
+
+  req.on('close', () => {
+    clients.delete(client);
+  });
+};
+
+// Send an event to everyone subscribed to a club. Call after the change is committed.
+const publishClubEvent = (clubId, type, data = {}) => {
+  if (!CLUB_EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown club event type: ${type}`);
+  }
+
+  if (clients.size === 0) {
+    return;
+  }
+
+  const payload = JSON.stringify({ club_id: Number(clubId), ...data, at: new Date().toISOString() });
+
+  pool.query('SELECT user_id FROM club_members WHERE club_id = $1 AND is_active = true', [clubId])
+    .then(result => {
+      const memberIds = new Set(result.rows.map(row => row.user_id));
+
+      for (const client of clients) {
+        if (memberIds.has(client.userId)) {
+          client.res.write(`event: ${type}\ndata: ${payload}\n\n`);
+        }
+      }
+    })
+    .catch(error => {
+      console.error('Publish club event error:', error);
+    });
+};
+
+module.exports = {
+  CLUB_EVENT_TYPES,
+  openEventStream,
+  publishClubEvent
+};
@@ -0,0 +1,131 @@
+const { SCORING_STRATEGIES, DEFAULT_STRATEGY, TIEBREAKERS, DEFAULT_TIEBREAKERS } = require('./scoring');
+const { THEME_SELECTION_MODES, DEFAULT_THEME_SELECTION, THEME_CONSTRAINT_MODES } = require('./themes');
+const { REPEAT_NOMINATION_POLICIES, REPEAT_NOMINATION_SCOPES } = require('./nominationHistory');
+
+// Rules a club runs its cycles by. Clubs without a club_settings row use these.
+const DEFAULT_SETTINGS = {
+  nomination_days: null, // NULL = no automatic deadline for the phase
+  watching_days: null,
+  ranking_days: null,
+  nominations_per_member: 1,
+  guessing_enabled: true,
+  min_participants: 2,
+  deadline_grace_hours: 24,
+  missed_deadline_policy: 'skip', // 'skip' = advance without late members, 'hold' = wait for a director
+  scoring_strategy: DEFAULT_STRATEGY,
+  tiebreakers: DEFAULT_TIEBREAKERS, // tried in order; ties left after all of them are shared
+  theme_selection: DEFAULT_THEME_SELECTION,
+  theme_constraint_mode: 'reject', // 'reject' = refuse nominations that break theme constraints, 'flag' = accept and mark them
+  theme_draft_enabled: false, // reveal the drawn theme before nominations open
+  theme_rerolls: 2, // director re-rolls allowed per theme draft
+  theme_veto_quorum: 50, // % of members whose veto re-rolls the theme; NULL = no vetoes
+  hide_nominators_from_directors: false, // nominators are always hidden from critics until results
+  repeat_nomination_policy: 'warn', // films from earlier cycles: 'allow', 'warn' or 'forbid'
+  repeat_nomination_scope: 'nominated', // 'nominated' = any earlier nomination, 'won' = only past winners
+  watch_progress_visibility: 'members', // who sees the club-wide watch progress grid: 'members' or 'directors'
+  ranking_watch_rule: 'none' // 'watch_all' = watch every film before ranking, 'watched_only' = rank only what you watched
+};
+
+// Editable settings, keyed by the camelCase name the API accepts
+const SETTING_FIELDS = {
+  nominationDays: { column: 'nomination_days', type: 'integer', min: 1, max: 90, nullable: true },
+  watchingDays: { column: 'watching_days', type: 'integer', min: 1, max: 90, nullable: true },
+  rankingDays: { column: 'ranking_days', type: 'integer', min: 1, max: 90, nullable: true },
+  nominationsPerMember: { column: 'nominations_per_member', type: 'integer', min: 1, max: 5 },
+  guessingEnabled: { column: 'guessing_enabled', type: 'boolean' },
+  minParticipants: { column: 'min_participants', type: 'integer', min: 1, max: 100 },
+  deadlineGraceHours: { column: 'deadline_grace_hours', type: 'integer', min: 0, max: 168 },
+  missedDeadlinePolicy: { column: 'missed_deadline_policy', type: 'enum', values: ['skip', 'hold'] },
+  scoringStrategy: { column: 'scoring_strategy', type: 'enum', values: Object.keys(SCORING_STRATEGIES) },
+  tiebreakers: { column: 'tiebreakers', type: 'list', values: Object.keys(TIEBREAKERS) },
+  themeSelection: { column: 'theme_selection', type: 'enum', values: Object.keys(THEME_SELECTION_MODES) },
+  themeConstraintMode: { column: 'theme_constraint_mode', type: 'enum', values: THEME_CONSTRAINT_MODES },
+  themeDraftEnabled: { column: 'theme_draft_enabled', type: 'boolean' },
+  themeRerolls: { column: 'theme_rerolls', type: 'integer', min: 0, max: 10 },
+  themeVetoQuorum: { column: 'theme_veto_quorum', type: 'integer', min: 1, max: 100, nullable: true },
+  hideNominatorsFromDirectors: { column: 'hide_nominators_from_directors', type: 'boolean' },
+  repeatNominationPolicy: { column: 'repeat_nomination_policy', type: 'enum', values: REPEAT_NOMINATION_POLICIES },
+  repeatNominationScope: { column: 'repeat_nomination_scope', type: 'enum', values: REPEAT_NOMINATION_SCOPES },
+  watchProgressVisibility: { column: 'watch_progress_visibility', type: 'enum', values: ['members', 'directors'] },
+  rankingWatchRule: { column: 'ranking_watch_rule', type: 'enum', values: ['none', 'watch_all', 'watched_only'] }
+};
+
+// Load a club's settings merged over the defaults
+const getClubSettings = async (db, clubId) => {
+  const result = await db.query(
+    'SELECT * FROM club_settings WHERE club_id = $1',
+    [clubId]
+  );
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...(result.rows[0] || {}),
+    club_id: parseInt(clubId)
+  };
+};
+
+// Validate a settings update from the API. Returns { values } keyed by column, or { error }.
+const parseSettingsUpdate = (body) => {
+  const values = {};
+
+  for (const [key, field] of Object.entries(SETTING_FIELDS)) {
+    const raw = body[key];
+    if (raw === undefined) continue;
+
+    if ((raw === null || raw === '') && field.nullable) {
+      values[field.column] = null;
+      continue;
+    }
+
+    if (field.type === 'integer') {
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        return { error: `${key} must be a whole number between ${field.min} and ${field.max}` };
+      }
+      values[field.column] = value;
+    } else if (field.type === 'boolean') {
+      if (typeof raw !== 'boolean') {
+        return { error: `${key} must be true or false` };
+      }
+      values[field.column] = raw;
+    } else if (field.type === 'enum') {
+      if (!field.values.includes(raw)) {
+        return { error: `${key} must be one of: ${field.values.join(', ')}` };
+      }
+      values[field.column] = raw;
+    } else if (field.type === 'list') {
+      // Ordered list of distinct enum values
+      if (!Array.isArray(raw) || raw.some(v => !field.values.includes(v)) || new Set(raw).size !== raw.length) {
+        return { error: `${key} must be a list of distinct values from: ${field.values.join(', ')}` };
+      }
+      values[field.column] = raw;
+    }
+  }
+
+  return { values };
+};
+
+// Insert or update a club's settings row with already-validated column values
+const saveClubSettings = async (db, clubId, values) => {
+  const columns = Object.keys(values);
+
+  if (columns.length > 0) {
+    await db.query(
+      `INSERT INTO club_settings (club_id, ${columns.join(', ')})
+       VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+       ON CONFLICT (club_id)
+       DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}`,
+      [clubId, ...columns.map(column => values[column])]
+    );
+  }
+
+  return getClubSettings(db, clubId);
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  SETTING_FIELDS,
+  getClubSettings,
+  parseSettingsUpdate,
+  saveClubSettings
+};
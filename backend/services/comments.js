@@ -0,0 +1,85 @@
+// Discussion threads on nominations. Comments can tag spoilers inline as
+// [spoiler]...[/spoiler]; those parts are withheld from members who haven't marked
+// the film watched (its nominator counts as having seen it).
+
+const COMMENT_MAX_LENGTH = 2000;
+
+const SPOILER_PATTERN = /\[spoiler\]([\s\S]*?)\[\/spoiler\]/gi;
+
+// Validate comment text. Returns { body } or { error }.
+function parseCommentBody(raw) {
+  const body = typeof raw === 'string' ? raw.trim() : '';
+
+  if (!body) {
+    return { error: 'Comment cannot be empty' };
+  }
+
+  if (body.length > COMMENT_MAX_LENGTH) {
+    return { error: `Comment must be ${COMMENT_MAX_LENGTH} characters or less` };
+  }
+
+  return { body };
+}
+
+// Split a comment into plain and spoiler segments: [{ text, spoiler }]
+function splitSpoilers(body) {
+  const segments = [];
+  let last = 0;
+
+  for (const match of body.matchAll(SPOILER_PATTERN)) {
+    if (match.index > last) {
+      segments.push({ text: body.slice(last, match.index), spoiler: false });
+    }
+    segments.push({ text: match[1], spoiler: true });
+    last = match.index + match[0].length;
+  }
+
+  if (last < body.length) {
+    segments.push({ text: body.slice(last), spoiler: false });
+  }
+
+  return segments;
+}
+
+// Whether a member has seen a film: marked it watched, or nominated it
+async function hasSeenFilm(db, nomination, userId) {
+  if (nomination.user_id === userId) {
+    return true;
+  }
+
+  const result = await db.query(
+    'SELECT 1 FROM watch_progress WHERE nomination_id = $1 AND user_id = $2 AND watched = true',
+    [nomination.id, userId]
+  );
+
+  return result.rows.length > 0;
+}
+
+// A comment as the API returns it. Spoiler text is nulled out (hidden: true) unless the
+// viewer has seen the film or wrote the comment; the raw body only goes back to its author.
+function toCommentView(comment, viewerId, seenFilm) {
+  const isAuthor = comment.user_id === viewerId;
+  const showSpoilers = seenFilm || isAuthor;
+
+  const segments = splitSpoilers(comment.body).map(segment => (
+    segment.spoiler && !showSpoilers ? { text: null, spoiler: true, hidden: true } : segment
+  ));
+
+  const { body, ...rest } = comment;
+
+  return {
+    ...rest,
+    segments,
+    has_spoilers: segments.some(segment => segment.spoiler),
+    is_own: isAuthor,
+    ...(isAuthor ? { body } : {})
+  };
+}
+
+module.exports = {
+  COMMENT_MAX_LENGTH,
+  parseCommentBody,
+  splitSpoilers,
+  hasSeenFilm,
+  toCommentView
+};
@@ -0,0 +1,260 @@
+// Cycle phase transitions, shared by the director's "Next Phase" button and the deadline scheduler
+const { getClubSettings } = require('./clubSettings');
+const { getCompleteDraftUserIds, lockCompleteDrafts } = require('./ballots');
+const { computeCycleStandings } = require('./scoring');
+const { rebuildSeasonStats } = require('./seasonStats');
+const { recordThemeDraw } = require('./themeDraft');
+
+const PHASES = ['nomination', 'watching', 'ranking', 'results', 'idle'];
+
+// Deadline column that closes each phase
+const PHASE_DEADLINES = {
+  nomination: 'nomination_deadline',
+  watching: 'watching_deadline',
+  ranking: 'ranking_deadline'
+};
+
+// Club setting holding the default length of each phase
+const PHASE_DURATIONS = {
+  nomination: 'nomination_days',
+  watching: 'watching_days',
+  ranking: 'ranking_days'
+};
+
+// Active members who still owe something for the current phase
+// (their full set of nominations while nominating, a ballot while ranking). A complete but
+// unlocked draft counts as a ballot, since it is locked in when ranking closes.
+async function getMissingParticipants(client, cycle) {
+  if (cycle.phase === 'nomination') {
+    const settings = await getClubSettings(client, cycle.club_id);
+    const result = await client.query(
+      `SELECT cm.user_id FROM club_members cm
+       WHERE cm.club_id = $1 AND cm.is_active = true
+         AND (SELECT COUNT(*) FROM nominations n WHERE n.cycle_id = $2 AND n.user_id = cm.user_id) < $3`,
+      [cycle.club_id, cycle.id, settings.nominations_per_member]
+    );
+    return result.rows.map(r => r.user_id);
+  }
+
+  if (cycle.phase === 'ranking') {
+    const result = await client.query(
+      `SELECT cm.user_id FROM club_members cm
+       WHERE cm.club_id = $1 AND cm.is_active = true
+         AND NOT EXISTS (SELECT 1 FROM rankings r WHERE r.cycle_id = $2 AND r.user_id = cm.user_id)`,
+      [cycle.club_id, cycle.id]
+    );
+    const completeDrafts = await getCompleteDraftUserIds(client, cycle);
+    return result.rows.map(r => r.user_id).filter(userId => !completeDrafts.includes(userId));
+  }
+
+  return [];
+}
+
+// Deadline for a phase that starts now and lasts the given number of days
+function phaseDeadlineFromNow(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+// Move a cycle one phase forward or back. Runs inside the caller's transaction.
+// Returns { phase } on success or { error } when the move isn't allowed.
+// allowIncomplete lets the scheduler close nominations once the grace period is over.
+// userId is the director making the change, recorded when a theme draft is accepted.
+async function changeCyclePhase(client, cycle, action, { allowIncomplete = false, userId = null } = {}) {
+  // A theme draft sits before nominations and can only move forward into them
+  if (cycle.phase === 'theme_draft') {
+    if (action !== 'next') {
+      return { error: 'The theme draft is the first step of a cycle' };
+    }
+    await recordThemeDraw(client, cycle.id, 'accepted', userId);
+  }
+
+  const currentPhaseIndex = cycle.phase === 'theme_draft' ? -1 : PHASES.indexOf(cycle.phase);
+
+  let newPhaseIndex;
+  if (action === 'next') {
+    newPhaseIndex = Math.min(currentPhaseIndex + 1, PHASES.length - 1);
+  } else if (action === 'previous') {
+    newPhaseIndex = Math.max(currentPhaseIndex - 1, 0);
+  } else {
+    return { error: 'Invalid action. Use "next" or "previous"' };
+  }
+
+  const newPhase = PHASES[newPhaseIndex];
+
+  // Validation checks before progressing
+  if (action === 'next') {
+    if (cycle.phase === 'nomination') {
+      // In 'reject' mode, films that break the theme wait for a director to allow them.
+      // The director's button refuses to close nominations around them; the scheduler drops them.
+      const settings = await getClubSettings(client, cycle.club_id);
+
+      if (settings.theme_constraint_mode === 'reject') {
+        if (!allowIncomplete) {
+          const pending = await client.query(
+            'SELECT COUNT(*) FROM nominations WHERE cycle_id = $1 AND constraint_flags IS NOT NULL AND constraint_override_by IS NULL',
+            [cycle.id]
+          );
+
+          if (parseInt(pending.rows[0].count) > 0) {
+            return { error: 'Cannot progress to watching phase. Some nominations don\'t fit the theme and are waiting for a director to allow them.' };
+          }
+        } else {
+          await client.query(
+            'DELETE FROM nominations WHERE cycle_id = $1 AND constraint_flags IS NOT NULL AND constraint_override_by IS NULL',
+            [cycle.id]
+          );
+        }
+      }
+
+      const nominationCount = await client.query(
+        'SELECT COUNT(*) FROM nominations WHERE cycle_id = $1',
+        [cycle.id]
+      );
+
+      if (parseInt(nominationCount.rows[0].count) === 0) {
+        return { error: 'Cannot progress to watching phase. No movies have been nominated.' };
+      }
+
+      // Check if all members have nominated
+      if (!allowIncomplete) {
+        const missing = await getMissingParticipants(client, cycle);
+
+        if (missing.length > 0) {
+          return { error: 'Cannot progress to watching phase. Not all members have nominated movies.' };
+        }
+      }
+    } else if (cycle.phase === 'watching') {
+      // Initialize watch progress for all members if not exists
+      const members = await client.query(
+        'SELECT user_id FROM club_members WHERE club_id = $1 AND is_active = true',
+        [cycle.club_id]
+      );
+
+      const nominations = await client.query(
+        'SELECT id, user_id FROM nominations WHERE cycle_id = $1',
+        [cycle.id]
+      );
+
+      for (const member of members.rows) {
+        for (const nomination of nominations.rows) {
+          // Auto-mark own nomination as watched
+          const watched = nomination.user_id === member.user_id;
+
+          await client.query(
+            `INSERT INTO watch_progress (user_id, cycle_id, nomination_id, watched)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (user_id, cycle_id, nomination_id) DO NOTHING`,
+            [member.user_id, cycle.id, nomination.id, watched]
+          );
+        }
+      }
+    } else if (cycle.phase === 'ranking') {
+      // Calculate results when moving to results phase, counting finished drafts
+      await lockCompleteDrafts(client, cycle);
+      await calculateCycleResults(client, cycle.id);
+    }
+  }
+
+  // Update cycle phase. The new phase hasn't had its deadline reminder yet, even if it was
+  // reached before and the cycle was moved back, nor been stalled at its deadline.
+  await client.query(
+    'UPDATE cycles SET phase = $1, deadline_reminder_phase = NULL, deadline_stalled_phase = NULL WHERE id = $2',
+    [newPhase, cycle.id]
+  );
+
+  // Start the clock on the new phase if it has no deadline yet, or only one that has already
+  // passed (after moving back), which would let the scheduler advance the cycle again straight
+  // away. Without a default duration for the phase, a passed deadline is cleared.
+  if (PHASE_DEADLINES[newPhase]) {
+    const settings = await getClubSettings(client, cycle.club_id);
+    const days = settings[PHASE_DURATIONS[newPhase]];
+
+    await client.query(
+      `UPDATE cycles SET ${PHASE_DEADLINES[newPhase]} = $1
+       WHERE id = $2 AND (${PHASE_DEADLINES[newPhase]} IS NULL OR ${PHASE_DEADLINES[newPhase]} <= $3)`,
+      [days ? phaseDeadlineFromNow(days) : null, cycle.id, new Date()]
+    );
+  }
+
+  // Rebuild season stats so results (and watched counts) appear or disappear with the phase
+  const seasonResult = await client.query(
+    'SELECT season_year FROM cycles WHERE id = $1',
+    [cycle.id]
+  );
+  await rebuildSeasonStats(client, cycle.club_id, seasonResult.rows[0].season_year);
+
+  // Mark cycle as completed if moving to idle
+  if (newPhase === 'idle') {
+    await client.query(
+      'UPDATE cycles SET completed_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [cycle.id]
+    );
+  }
+
+  return { phase: newPhase };
+}
+
+// Helper function to calculate cycle results using the club's scoring strategy
+async function calculateCycleResults(client, cycleId) {
+  try {
+    const cycleInfo = await client.query(
+      'SELECT club_id FROM cycles WHERE id = $1',
+      [cycleId]
+    );
+
+    const settings = await getClubSettings(client, cycleInfo.rows[0].club_id);
+    const { standings, ties } = await computeCycleStandings(
+      client, cycleId, settings.scoring_strategy, settings.tiebreakers
+    );
+
+    // Films nobody ranked (e.g. after a recalculation) drop out of the results
+    await client.query(
+      'DELETE FROM cycle_results WHERE cycle_id = $1 AND NOT (nomination_id = ANY($2))',
+      [cycleId, standings.map(entry => entry.nomination_id)]
+    );
+
+    for (const entry of standings) {
+      await client.query(
+        `INSERT INTO cycle_results (cycle_id, user_id, nomination_id, final_rank, average_rank, score, points_earned, guess_accuracy, total_votes_received, tiebreak)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (cycle_id, nomination_id)
+         DO UPDATE SET 
+           final_rank = EXCLUDED.final_rank,
+           average_rank = EXCLUDED.average_rank,
+           score = EXCLUDED.score,
+           points_earned = EXCLUDED.points_earned,
+           guess_accuracy = EXCLUDED.guess_accuracy,
+           total_votes_received = EXCLUDED.total_votes_received,
+           tiebreak = EXCLUDED.tiebreak,
+           calculated_at = CURRENT_TIMESTAMP`,
+        [cycleId, entry.user_id, entry.nomination_id, entry.final_rank, entry.average_rank,
+          entry.score, entry.points_earned, entry.guess_accuracy, entry.total_votes_received,
+          entry.tiebreak && JSON.stringify(entry.tiebreak)]
+      );
+    }
+
+    // Update cycle with winner information and the rules that decided it.
+    // A shared first place is listed in the results; the cycle records the first of them.
+    const winner = standings[0];
+    await client.query(
+      `UPDATE cycles SET winner_user_id = $1, winner_movie_id = $2, winner_points = $3,
+         scoring_strategy = $4, tiebreak_log = $5
+       WHERE id = $6`,
+      [winner ? winner.user_id : null, winner ? winner.nomination_id : null, winner ? winner.points_earned : null,
+        settings.scoring_strategy, JSON.stringify(ties), cycleId]
+    );
+
+  } catch (error) {
+    console.error('Calculate cycle results error:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  PHASES,
+  PHASE_DEADLINES,
+  phaseDeadlineFromNow,
+  getMissingParticipants,
+  changeCyclePhase,
+  calculateCycleResults
+};
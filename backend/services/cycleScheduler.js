@@ -0,0 +1,214 @@
+// Background job that advances cycles whose phase deadline has passed,
+// so a cycle doesn't stall while its directors are away. It also reminds
+// members who still have something to do when a deadline is close.
+const pool = require('../db/db');
+const { PHASE_DEADLINES, getMissingParticipants, changeCyclePhase } = require('./cyclePhases');
+const { getClubSettings } = require('./clubSettings');
+const { publishClubEvent } = require('./clubEvents');
+const { notifyPhaseChanged, notifyDeadlineApproaching, notifyDeadlineStalled } = require('./notifications');
+const { sendNotificationEmails } = require('./emails');
+const { queuePhaseWebhooks, deliverWebhooksSoon } = require('./webhooks');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.CYCLE_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const DEADLINE_REMINDER_HOURS = parseInt(process.env.DEADLINE_REMINDER_HOURS) || 24;
+
+let schedulerTimer = null;
+let tickRunning = false;
+
+// Advance a single cycle if its deadline (plus grace, when members are missing) has passed
+const processCycle = async (cycleId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the cycle so a director clicking "Next Phase" at the same moment can't double-advance it
+    const cycleResult = await client.query(
+      `SELECT id, club_id, phase, nomination_deadline, watching_deadline, ranking_deadline
+       FROM cycles WHERE id = $1
+       FOR UPDATE SKIP LOCKED`,
+      [cycleId]
+    );
+
+    if (cycleResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    const cycle = cycleResult.rows[0];
+    const deadline = cycle[PHASE_DEADLINES[cycle.phase]];
+
+    // Phase may have moved on since the cycle was picked up
+    if (!deadline || deadline > new Date()) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    const missing = await getMissingParticipants(client, cycle);
+
+    if (missing.length > 0) {
+      const settings = await getClubSettings(client, cycle.club_id);
+      const graceEndsAt = new Date(deadline.getTime() + settings.deadline_grace_hours * 60 * 60 * 1000);
+
+      if (graceEndsAt > new Date() || settings.missed_deadline_policy === 'hold') {
+        await client.query('ROLLBACK');
+        return;
+      }
+    }
+
+    // Try the phase change inside a savepoint, so a refusal can be recorded on its own
+    await client.query('SAVEPOINT advance');
+    const result = await changeCyclePhase(client, cycle, 'next', { allowIncomplete: true });
+
+    // The cycle can't move on (e.g. no nominations at all). Tell the directors once and leave
+    // this deadline alone until the phase changes or the deadlines are edited.
+    if (result.error) {
+      await client.query('ROLLBACK TO SAVEPOINT advance');
+      const stalled = await notifyDeadlineStalled(client, cycle.id, result.error);
+      await client.query('UPDATE cycles SET deadline_stalled_phase = phase WHERE id = $1', [cycle.id]);
+      await client.query('COMMIT');
+      sendNotificationEmails(stalled);
+      console.log(`Cycle scheduler: cycle ${cycle.id} not advanced: ${result.error}`);
+      return;
+    }
+
+    const notification = await notifyPhaseChanged(client, cycle.id, result.phase);
+    await queuePhaseWebhooks(client, cycle.club_id, cycle.id, result.phase);
+
+    await client.query('COMMIT');
+    publishClubEvent(cycle.club_id, 'phase_changed', { cycle_id: cycle.id, phase: result.phase });
+    sendNotificationEmails(notification);
+    deliverWebhooksSoon();
+    console.log(`Cycle scheduler: cycle ${cycle.id} advanced from ${cycle.phase} to ${result.phase}` +
+      (missing.length > 0 ? ` (${missing.length} member(s) missed the deadline)` : ''));
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Cycle scheduler error for cycle ${cycleId}:`, error);
+  } finally {
+    client.release();
+  }
+};
+
+// Members who haven't finished the cycle's current phase
+const getPendingMembers = async (client, cycle) => {
+  if (cycle.phase !== 'watching') {
+    return getMissingParticipants(client, cycle);
+  }
+
+  // Watch progress rows only exist for films a member has marked, so look for any film they
+  // didn't nominate that has no watched row
+  const result = await client.query(
+    `SELECT DISTINCT cm.user_id FROM club_members cm
+     JOIN nominations n ON n.cycle_id = $2 AND n.user_id <> cm.user_id
+     WHERE cm.club_id = $1 AND cm.is_active = true
+       AND NOT EXISTS (
+         SELECT 1 FROM watch_progress wp
+         WHERE wp.user_id = cm.user_id AND wp.nomination_id = n.id AND wp.watched = true
+       )`,
+    [cycle.club_id, cycle.id]
+  );
+  return result.rows.map(r => r.user_id);
+};
+
+// Send a cycle's deadline reminder for its current phase, once
+const remindCycle = async (cycleId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const cycleResult = await client.query(
+      `SELECT id, club_id, phase, nomination_deadline, watching_deadline, ranking_deadline, deadline_reminder_phase
+       FROM cycles WHERE id = $1
+       FOR UPDATE SKIP LOCKED`,
+      [cycleId]
+    );
+
+    const cycle = cycleResult.rows[0];
+    const deadline = cycle && cycle[PHASE_DEADLINES[cycle.phase]];
+
+    // Already reminded, or the deadline moved or passed since the cycle was picked up
+    if (!deadline || cycle.deadline_reminder_phase === cycle.phase || deadline <= new Date()) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    const pending = await getPendingMembers(client, cycle);
+
+    const notification = await notifyDeadlineApproaching(client, cycle.id, cycle.phase, deadline, pending);
+
+    await client.query(
+      'UPDATE cycles SET deadline_reminder_phase = phase WHERE id = $1',
+      [cycle.id]
+    );
+
+    await client.query('COMMIT');
+    sendNotificationEmails(notification);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Deadline reminder error for cycle ${cycleId}:`, error);
+  } finally {
+    client.release();
+  }
+};
+
+// Find every cycle sitting past its current phase deadline and try to advance it
+const runSchedulerTick = async () => {
+  if (tickRunning) return;
+  tickRunning = true;
+
+  try {
+    const dueResult = await pool.query(
+      `SELECT id FROM cycles
+       WHERE deadline_stalled_phase IS DISTINCT FROM phase
+         AND ((phase = 'nomination' AND nomination_deadline <= $1)
+           OR (phase = 'watching' AND watching_deadline <= $1)
+           OR (phase = 'ranking' AND ranking_deadline <= $1))`,
+      [new Date()]
+    );
+
+    for (const row of dueResult.rows) {
+      await processCycle(row.id);
+    }
+
+    // Then remind anyone with a deadline coming up
+    const now = new Date();
+    const reminderCutoff = new Date(now.getTime() + DEADLINE_REMINDER_HOURS * 60 * 60 * 1000);
+    const reminderResult = await pool.query(
+      `SELECT id FROM cycles
+       WHERE deadline_reminder_phase IS DISTINCT FROM phase
+         AND ((phase = 'nomination' AND nomination_deadline > $1 AND nomination_deadline <= $2)
+           OR (phase = 'watching' AND watching_deadline > $1 AND watching_deadline <= $2)
+           OR (phase = 'ranking' AND ranking_deadline > $1 AND ranking_deadline <= $2))`,
+      [now, reminderCutoff]
+    );
+
+    for (const row of reminderResult.rows) {
+      await remindCycle(row.id);
+    }
+  } catch (error) {
+    console.error('Cycle scheduler tick error:', error);
+  } finally {
+    tickRunning = false;
+  }
+};
+
+const startCycleScheduler = () => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(runSchedulerTick, SCHEDULER_INTERVAL_MS);
+  console.log(`Cycle scheduler running every ${Math.round(SCHEDULER_INTERVAL_MS / 1000)}s`);
+};
+
+const stopCycleScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+module.exports = {
+  startCycleScheduler,
+  stopCycleScheduler,
+  runSchedulerTick
+};
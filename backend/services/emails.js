@@ -0,0 +1,155 @@
+// The emails Ocularr sends. Templates return { subject, html, text } and share one HTML layout.
+// The send helpers log delivery failures instead of throwing, so a mail outage never fails
+// the request or scheduler job that triggered the email.
+const pool = require('../db/db');
+const { sendMail } = require('./mailer');
+
+const APP_URL = process.env.FRONTEND_URL || 'http://localhost:5000';
+
+// Which user preference controls each kind of notification email
+const NOTIFICATION_EMAIL_PREFERENCES = {
+  phase_changed: 'email_phase_changes',
+  deadline_approaching: 'email_deadline_reminders',
+  deadline_stalled: 'email_phase_changes'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wrap paragraphs and an optional button in the shared email layout
+const renderLayout = ({ heading, paragraphs, button, footer }) => {
+  const body = paragraphs
+    .map(text => `<p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(text)}</p>`)
+    .join('');
+
+  const buttonHtml = button
+    ? `<p style="margin:24px 0;"><a href="${escapeHtml(button.url)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:600;">${escapeHtml(button.label)}</a></p>`
+    : '';
+
+  const footerHtml = footer
+    ? `<p style="margin:24px 0 0;font-size:12px;color:#9ca3af;">${escapeHtml(footer)}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#111827;font-family:Arial,Helvetica,sans-serif;color:#e5e7eb;">
+    <div style="max-width:560px;margin:0 auto;background:#1f2937;border-radius:8px;padding:32px;">
+      <p style="margin:0 0 24px;font-size:20px;font-weight:700;color:#3b82f6;">Ocularr</p>
+      <h1 style="margin:0 0 16px;font-size:22px;color:#ffffff;">${escapeHtml(heading)}</h1>
+      ${body}${buttonHtml}${footerHtml}
+    </div>
+  </body>
+</html>`;
+};
+
+const renderText = ({ heading, paragraphs, button, footer }) => [
+  heading,
+  '',
+  ...paragraphs,
+  ...(button ? ['', `${button.label}: ${button.url}`] : []),
+  ...(footer ? ['', footer] : [])
+].join('\n');
+
+const renderEmail = (subject, content) => ({
+  subject,
+  html: renderLayout(content),
+  text: renderText(content)
+});
+
+const PREFERENCES_FOOTER = 'You can turn these emails off from your Ocularr profile.';
+
+const templates = {
+  passwordReset: ({ name, resetUrl }) => renderEmail('Reset your Ocularr password', {
+    heading: 'Reset your password',
+    paragraphs: [
+      `Hi ${name},`,
+      'Someone asked to reset the password for your Ocularr account. The link below works for 10 minutes.',
+      "If it wasn't you, you can ignore this email and your password won't change."
+    ],
+    button: { label: 'Choose a new password', url: resetUrl }
+  }),
+
+  welcome: ({ name }) => renderEmail('Welcome to Ocularr', {
+    heading: `Welcome, ${name}!`,
+    paragraphs: [
+      'Your Ocularr account is ready. Create a club or join one with an invite code to start your first movie cycle.'
+    ],
+    button: { label: 'Go to your dashboard', url: `${APP_URL}/dashboard` }
+  }),
+
+  phaseChanged: ({ name, message, url }) => renderEmail(message, {
+    heading: message,
+    paragraphs: [`Hi ${name},`, 'Head over to your club to see what happens next.'],
+    button: { label: 'Open the club', url },
+    footer: PREFERENCES_FOOTER
+  }),
+
+  deadlineReminder: ({ name, message, url }) => renderEmail(message, {
+    heading: message,
+    paragraphs: [`Hi ${name},`, "You still have something to do before the deadline. Don't miss out!"],
+    button: { label: 'Open the club', url },
+    footer: PREFERENCES_FOOTER
+  })
+};
+
+// Send one templated email, logging instead of throwing on failure
+const deliver = async (to, email) => {
+  try {
+    await sendMail({ to, ...email });
+    return true;
+  } catch (error) {
+    console.error(`Send email error (${email.subject}):`, error);
+    return false;
+  }
+};
+
+// The reset link signs the user in, so it is never printed to the log
+const sendPasswordResetEmail = (user, resetUrl) => deliver(user.email, {
+  ...templates.passwordReset({ name: user.display_name || user.username, resetUrl }),
+  sensitive: true
+});
+
+const sendWelcomeEmail = (user) => deliver(
+  user.email,
+  templates.welcome({ name: user.display_name || user.username })
+);
+
+// Email an in-app notification (see services/notifications.js) to the recipients who want it
+const sendNotificationEmails = async (notification) => {
+  const preference = notification && NOTIFICATION_EMAIL_PREFERENCES[notification.type];
+
+  if (!preference || notification.userIds.length === 0) {
+    return;
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT id, username, display_name, email FROM users
+       WHERE id = ANY($1::int[]) AND email IS NOT NULL AND ${preference} = true`,
+      [notification.userIds]
+    );
+
+    const template = notification.type === 'deadline_approaching' ? templates.deadlineReminder : templates.phaseChanged;
+
+    for (const user of result.rows) {
+      await deliver(user.email, template({
+        name: user.display_name || user.username,
+        message: notification.message,
+        url: `${APP_URL}${notification.link || '/dashboard'}`
+      }));
+    }
+  } catch (error) {
+    console.error('Send notification emails error:', error);
+  }
+};
+
+module.exports = {
+  templates,
+  sendPasswordResetEmail,
+  sendWelcomeEmail,
+  sendNotificationEmails
+};
@@ -0,0 +1,72 @@
+// Outgoing email. MAIL_TRANSPORT picks where mail goes:
+//   smtp    - a real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file    - each message is saved as an .eml file in MAIL_FILE_DIR, for local development
+//   console - messages are printed to the log (the default when SMTP_HOST isn't set, outside
+//             production). Sensitive messages, like password resets, only log their subject.
+// In production without SMTP_HOST or MAIL_TRANSPORT, sending fails rather than logging mail.
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Ocularr <no-reply@ocularr.local>';
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.SMTP_HOST) return 'smtp';
+  return process.env.NODE_ENV === 'production' ? null : 'console';
+};
+
+let transporter = null;
+
+const createTransporter = (name) => {
+  switch (name) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'file':
+    case 'console':
+      // Render the full message without sending it anywhere
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+};
+
+// Send one email. sensitive keeps the body out of the console log (it holds a secret link).
+// Resolves with nodemailer's info object; rejects if delivery fails.
+const sendMail = async ({ to, subject, html, text, sensitive = false }) => {
+  const name = getTransportName();
+
+  if (!name) {
+    throw new Error('No mail transport is configured; set SMTP_HOST or MAIL_TRANSPORT');
+  }
+
+  if (!transporter) {
+    transporter = createTransporter(name);
+  }
+
+  const info = await transporter.sendMail({ from: MAIL_FROM, to, subject, html, text });
+
+  if (name === 'file') {
+    fs.mkdirSync(MAIL_FILE_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+    fs.writeFileSync(path.join(MAIL_FILE_DIR, fileName), info.message);
+  } else if (name === 'console') {
+    console.log(sensitive
+      ? `Email to ${to}: ${subject} (body not logged; use MAIL_TRANSPORT=file to read it)`
+      : `Email to ${to}: ${subject}\n${text}`);
+  }
+
+  return info;
+};
+
+module.exports = {
+  sendMail
+};
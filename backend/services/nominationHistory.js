@@ -0,0 +1,61 @@
+// Past nominations of the same film in a club, used to stop (or warn about) repeat picks.
+// Only finished cycles are searched, so nominators can be named without spoiling a blind cycle.
+
+const REPEAT_NOMINATION_POLICIES = ['allow', 'warn', 'forbid'];
+const REPEAT_NOMINATION_SCOPES = ['nominated', 'won'];
+
+// Earlier nominations of the given TMDB ids, keyed by tmdb_id (oldest first)
+async function findPastNominations(client, clubId, tmdbIds) {
+  if (tmdbIds.length === 0) return {};
+
+  const result = await client.query(
+    `SELECT n.tmdb_id, n.title, c.id as cycle_id, c.cycle_number, c.theme_text,
+            u.username, u.display_name, cm.club_display_name,
+            (c.winner_movie_id = n.id OR cr.final_rank = 1) as won
+     FROM nominations n
+     JOIN cycles c ON n.cycle_id = c.id
+     JOIN users u ON n.user_id = u.id
+     LEFT JOIN club_members cm ON cm.club_id = c.club_id AND cm.user_id = u.id
+     LEFT JOIN cycle_results cr ON cr.nomination_id = n.id
+     WHERE c.club_id = $1 AND c.phase IN ('results', 'idle') AND n.tmdb_id = ANY($2::int[])
+     ORDER BY c.cycle_number`,
+    [clubId, tmdbIds]
+  );
+
+  const byMovie = {};
+  for (const row of result.rows) {
+    row.won = row.won === true;
+    (byMovie[row.tmdb_id] = byMovie[row.tmdb_id] || []).push(row);
+  }
+
+  return byMovie;
+}
+
+// "previously nominated in cycle #3 by Sam (won)"
+function describePastNomination(past) {
+  const name = past.club_display_name || past.display_name || past.username;
+  return `previously nominated in cycle #${past.cycle_number} by ${name}${past.won ? ' (won)' : ''}`;
+}
+
+// Apply the club's repeat policy to a film. Returns { error } when it's forbidden,
+// { warning } when the club only warns, or {} when it's fine.
+async function checkRepeatNomination(client, clubId, tmdbId, title, settings) {
+  if (settings.repeat_nomination_policy === 'allow') return {};
+
+  const past = (await findPastNominations(client, clubId, [tmdbId]))[tmdbId] || [];
+  const relevant = settings.repeat_nomination_scope === 'won' ? past.filter(p => p.won) : past;
+
+  if (relevant.length === 0) return {};
+
+  const message = `${title} was ${describePastNomination(relevant[relevant.length - 1])}`;
+
+  return settings.repeat_nomination_policy === 'forbid' ? { error: message } : { warning: message };
+}
+
+module.exports = {
+  REPEAT_NOMINATION_POLICIES,
+  REPEAT_NOMINATION_SCOPES,
+  findPastNominations,
+  describePastNomination,
+  checkRepeatNomination
+};
@@ -0,0 +1,224 @@
+// In-app notifications. Create them inside the caller's transaction when there is one, so a
+// rolled-back change never notifies anyone. The message is written when the notification is
+// created and the list endpoint returns it as-is. The notify helpers return what they created
+// ({ type, userIds, message, link }, or null) so callers can email it after committing.
+
+const NOTIFICATION_TYPES = ['phase_changed', 'deadline_approaching', 'deadline_stalled', 'role_changed', 'member_joined'];
+
+const DEFAULT_LIST_LIMIT = 30;
+const MAX_LIST_LIMIT = 100;
+
+// What members are asked to do in each phase, used in deadline reminders
+const PHASE_TASKS = {
+  nomination: 'Nominations close',
+  watching: 'Watching ends',
+  ranking: 'Rankings are due'
+};
+
+// Club and cycle details that go into a notification's message and link
+async function getCycleContext(db, cycleId) {
+  const result = await db.query(
+    `SELECT c.id, c.club_id, c.cycle_number, c.theme_text, cl.name as club_name, cl.url_slug
+     FROM cycles c
+     JOIN clubs cl ON c.club_id = cl.id
+     WHERE c.id = $1`,
+    [cycleId]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function getClubContext(db, clubId) {
+  const result = await db.query('SELECT id, name, url_slug FROM clubs WHERE id = $1', [clubId]);
+  return result.rows[0] || null;
+}
+
+// Insert the same notification for several users
+async function createNotifications(db, userIds, { type, clubId = null, cycleId = null, message, link = null }) {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  if (userIds.length > 0) {
+    await db.query(
+      `INSERT INTO notifications (user_id, club_id, cycle_id, type, message, link)
+       SELECT unnest($1::int[]), $2, $3, $4, $5, $6`,
+      [userIds, clubId, cycleId, type, message, link]
+    );
+  }
+
+  return { type, userIds, message, link };
+}
+
+const phaseChangeMessage = (cycle, phase) => {
+  const cycleName = `Cycle #${cycle.cycle_number} in ${cycle.club_name}`;
+
+  switch (phase) {
+    case 'theme_draft':
+      return `${cycleName} has started: the drafted theme is "${cycle.theme_text}"`;
+    case 'nomination':
+      return `${cycleName} is open for nominations: "${cycle.theme_text}"`;
+    case 'watching':
+      return `${cycleName} has moved to watching`;
+    case 'ranking':
+      return `${cycleName} is open for ranking`;
+    case 'results':
+      return `Results are in for cycle #${cycle.cycle_number} in ${cycle.club_name}`;
+    default:
+      return null;
+  }
+};
+
+const phaseLink = (cycle, phase) => {
+  if (phase === 'ranking') return `/club/${cycle.url_slug}/ranking`;
+  if (phase === 'results') return `/club/${cycle.url_slug}/results/${cycle.id}`;
+  return `/club/${cycle.url_slug}`;
+};
+
+// Tell every active member that a cycle moved to a new phase (except whoever moved it)
+async function notifyPhaseChanged(db, cycleId, phase, { exceptUserId = null } = {}) {
+  const cycle = await getCycleContext(db, cycleId);
+  const message = cycle && phaseChangeMessage(cycle, phase);
+
+  if (!message) {
+    return null;
+  }
+
+  const members = await db.query(
+    'SELECT user_id FROM club_members WHERE club_id = $1 AND is_active = true AND user_id IS DISTINCT FROM $2',
+    [cycle.club_id, exceptUserId]
+  );
+
+  return createNotifications(db, members.rows.map(row => row.user_id), {
+    type: 'phase_changed',
+    clubId: cycle.club_id,
+    cycleId: cycle.id,
+    message,
+    link: phaseLink(cycle, phase)
+  });
+}
+
+// Remind members who still have something to do that the phase deadline is close
+async function notifyDeadlineApproaching(db, cycleId, phase, deadline, userIds) {
+  const cycle = await getCycleContext(db, cycleId);
+
+  if (!cycle || !PHASE_TASKS[phase]) {
+    return null;
+  }
+
+  const hoursLeft = Math.max(1, Math.round((new Date(deadline) - Date.now()) / (60 * 60 * 1000)));
+
+  return createNotifications(db, userIds, {
+    type: 'deadline_approaching',
+    clubId: cycle.club_id,
+    cycleId: cycle.id,
+    message: `${PHASE_TASKS[phase]} in ${hoursLeft} hour${hoursLeft === 1 ? '' : 's'} for cycle #${cycle.cycle_number} in ${cycle.club_name}`,
+    link: phaseLink(cycle, phase)
+  });
+}
+
+// Tell a club's directors and producers that a passed deadline couldn't advance the cycle,
+// and why, so they can move it on themselves or set a new deadline
+async function notifyDeadlineStalled(db, cycleId, reason) {
+  const cycle = await getCycleContext(db, cycleId);
+
+  if (!cycle) {
+    return null;
+  }
+
+  const managers = await db.query(
+    `SELECT user_id FROM club_members
+     WHERE club_id = $1 AND is_active = true AND role IN ('director', 'producer')`,
+    [cycle.club_id]
+  );
+
+  return createNotifications(db, managers.rows.map(row => row.user_id), {
+    type: 'deadline_stalled',
+    clubId: cycle.club_id,
+    cycleId: cycle.id,
+    message: `The deadline passed for cycle #${cycle.cycle_number} in ${cycle.club_name}, but it couldn't move on: ${reason}`,
+    link: `/club/${cycle.url_slug}`
+  });
+}
+
+// Tell a member their club role changed
+async function notifyRoleChanged(db, clubId, userId, role) {
+  const club = await getClubContext(db, clubId);
+
+  if (!club) {
+    return;
+  }
+
+  await createNotifications(db, [userId], {
+    type: 'role_changed',
+    clubId: club.id,
+    message: role === 'critic'
+      ? `Your role in ${club.name} is now critic`
+      : `You were promoted to ${role} in ${club.name}`,
+    link: `/club/${club.url_slug}`
+  });
+}
+
+// Tell a club's directors and producers that someone joined
+async function notifyMemberJoined(db, clubId, userId) {
+  const club = await getClubContext(db, clubId);
+
+  const memberResult = await db.query(
+    'SELECT COALESCE(display_name, username) as name FROM users WHERE id = $1',
+    [userId]
+  );
+
+  if (!club || memberResult.rows.length === 0) {
+    return;
+  }
+
+  const managers = await db.query(
+    `SELECT user_id FROM club_members
+     WHERE club_id = $1 AND is_active = true AND role IN ('director', 'producer') AND user_id != $2`,
+    [clubId, userId]
+  );
+
+  await createNotifications(db, managers.rows.map(row => row.user_id), {
+    type: 'member_joined',
+    clubId: club.id,
+    message: `${memberResult.rows[0].name} joined ${club.name}`,
+    link: `/club/${club.url_slug}`
+  });
+}
+
+// A user's notifications, newest first, plus how many are unread
+async function listNotifications(db, userId, { limit, unreadOnly = false } = {}) {
+  const rowLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+
+  const result = await db.query(
+    `SELECT n.id, n.type, n.message, n.link, n.read_at, n.created_at,
+            n.club_id, cl.name as club_name, n.cycle_id
+     FROM notifications n
+     LEFT JOIN clubs cl ON n.club_id = cl.id
+     WHERE n.user_id = $1 ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+     ORDER BY n.created_at DESC, n.id DESC
+     LIMIT $2`,
+    [userId, rowLimit]
+  );
+
+  const countResult = await db.query(
+    'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+
+  return {
+    notifications: result.rows,
+    unread_count: parseInt(countResult.rows[0].count)
+  };
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  createNotifications,
+  notifyPhaseChanged,
+  notifyDeadlineApproaching,
+  notifyDeadlineStalled,
+  notifyRoleChanged,
+  notifyMemberJoined,
+  listNotifications
+};
@@ -0,0 +1,103 @@
+// Member ratings and reviews of nominated films, kept on watch_progress (rating, personal_notes).
+// A review only shows to members who have watched the film themselves, or to everyone once
+// the cycle's results are out. Nobody reviews their own nomination before then, so reviews
+// can't give nominators away.
+
+const REVIEW_MAX_LENGTH = 5000;
+
+const FINISHED_PHASES = ['results', 'idle'];
+
+// Validate a review from the API. Returns { rating, review } (either may be null) or { error }.
+function parseReview({ rating, review }) {
+  let parsedRating = null;
+
+  if (rating !== undefined && rating !== null && rating !== '') {
+    parsedRating = Number(rating);
+    if (!Number.isFinite(parsedRating) || parsedRating < 0 || parsedRating > 10
+        || Math.abs(Math.round(parsedRating * 10) - parsedRating * 10) > 1e-9) {
+      return { error: 'Rating must be a number from 0 to 10 with at most one decimal place' };
+    }
+  }
+
+  let text = null;
+
+  if (review !== undefined && review !== null) {
+    if (typeof review !== 'string') {
+      return { error: 'Review must be text' };
+    }
+    text = review.trim() || null;
+    if (text && text.length > REVIEW_MAX_LENGTH) {
+      return { error: `Review must be ${REVIEW_MAX_LENGTH} characters or less` };
+    }
+  }
+
+  return { rating: parsedRating, review: text };
+}
+
+// Whether a member may write a review of a nomination right now.
+// Returns null when they can, or an error message.
+async function checkCanReview(client, nomination, userId) {
+  if (FINISHED_PHASES.includes(nomination.phase)) {
+    return null;
+  }
+
+  if (nomination.phase === 'nomination' || nomination.phase === 'theme_draft') {
+    return 'Reviews open once the watching phase starts';
+  }
+
+  if (nomination.user_id === userId) {
+    return 'You can review your own nomination once results are out';
+  }
+
+  const progress = await client.query(
+    'SELECT watched FROM watch_progress WHERE user_id = $1 AND nomination_id = $2',
+    [userId, nomination.id]
+  );
+
+  if (!progress.rows[0] || !progress.rows[0].watched) {
+    return 'Mark the movie watched before reviewing it';
+  }
+
+  return null;
+}
+
+// Reviews visible to a viewer, newest first. Filter by clubId, nominationId and/or authorId.
+// Outside the author's own reviews, a viewer needs to be in the club (or the club public)
+// and to have watched the film, nominated it, or be looking at a finished cycle.
+async function listReviews(db, viewerId, { clubId = null, nominationId = null, authorId = null, limit = 50 } = {}) {
+  const result = await db.query(
+    `SELECT wp.id, wp.user_id, wp.rating, wp.personal_notes as review, wp.reviewed_at,
+            n.id as nomination_id, n.tmdb_id, n.title, n.year, n.poster_path,
+            c.id as cycle_id, c.cycle_number, c.theme_text,
+            cl.id as club_id, cl.name as club_name, cl.url_slug as club_slug,
+            u.username, u.display_name, u.profile_picture, cm.club_display_name
+     FROM watch_progress wp
+     JOIN nominations n ON wp.nomination_id = n.id
+     JOIN cycles c ON wp.cycle_id = c.id
+     JOIN clubs cl ON c.club_id = cl.id
+     JOIN users u ON wp.user_id = u.id
+     LEFT JOIN club_members cm ON cm.club_id = cl.id AND cm.user_id = wp.user_id
+     LEFT JOIN club_members vm ON vm.club_id = cl.id AND vm.user_id = $1 AND vm.is_active = true
+     LEFT JOIN watch_progress vwp ON vwp.nomination_id = n.id AND vwp.user_id = $1
+     WHERE wp.reviewed_at IS NOT NULL
+       AND (wp.user_id = $1 OR (
+         (vm.user_id IS NOT NULL OR cl.is_public = true)
+         AND (c.phase IN ('results', 'idle') OR vwp.watched = true OR n.user_id = $1)
+       ))
+       AND ($2::int IS NULL OR cl.id = $2)
+       AND ($3::int IS NULL OR n.id = $3)
+       AND ($4::int IS NULL OR wp.user_id = $4)
+     ORDER BY wp.reviewed_at DESC
+     LIMIT $5`,
+    [viewerId, clubId, nominationId, authorId, limit]
+  );
+
+  return result.rows.map(row => ({ ...row, rating: row.rating === null ? null : Number(row.rating) }));
+}
+
+module.exports = {
+  REVIEW_MAX_LENGTH,
+  parseReview,
+  checkCanReview,
+  listReviews
+};
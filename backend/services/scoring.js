@@ -0,0 +1,407 @@
+// Scoring strategies: how a cycle's locked-in ballots become final standings.
+// Every strategy receives the same cycle data and returns the ranked films best-first,
+// each with a strategy-specific score and the points its nominator earns.
+const crypto = require('crypto');
+
+// Extra points a nominator earns per correct nominator guess under points_guess_bonus
+const GUESS_BONUS_POINTS = 0.5;
+
+// Load everything a strategy needs to score a cycle
+async function loadCycleBallots(client, cycleId) {
+  const nominations = await client.query(
+    'SELECT id, user_id FROM nominations WHERE cycle_id = $1 ORDER BY id',
+    [cycleId]
+  );
+
+  // Rankings of your own nomination never count
+  const rankings = await client.query(
+    `SELECT r.user_id, r.nomination_id, r.rank_position
+     FROM rankings r
+     JOIN nominations n ON r.nomination_id = n.id
+     WHERE r.cycle_id = $1 AND r.user_id != n.user_id`,
+    [cycleId]
+  );
+
+  const guesses = await client.query(
+    `SELECT user_id, COUNT(*) as total, COUNT(*) FILTER (WHERE is_correct) as correct
+     FROM guesses WHERE cycle_id = $1
+     GROUP BY user_id`,
+    [cycleId]
+  );
+
+  // Films on each ballot, and how many it would hold if complete (every film but the voter's own).
+  // They differ for clubs that only let members rank the films they watched.
+  const ballotSizes = new Map();
+  for (const r of rankings.rows) {
+    ballotSizes.set(r.user_id, (ballotSizes.get(r.user_id) || 0) + 1);
+  }
+
+  const fullBallotSizes = new Map([...ballotSizes.keys()].map(userId => [
+    userId,
+    nominations.rows.filter(n => n.user_id !== userId).length
+  ]));
+
+  return {
+    cycleId: Number(cycleId),
+    nominations: nominations.rows,
+    rankings: rankings.rows,
+    ballotSizes,
+    fullBallotSizes,
+    guessesByUser: new Map(guesses.rows.map(g => [g.user_id, {
+      total: parseInt(g.total),
+      correct: parseInt(g.correct)
+    }]))
+  };
+}
+
+// Rank on a partial ballot stretched over the full ballot length, so 2nd of 3 watched films
+// counts the same as the middle of a complete ballot. A one-film ballot says nothing about
+// order and sits in the middle. Complete ballots are unchanged.
+function normalizedRank(data, r) {
+  const size = data.ballotSizes.get(r.user_id);
+  const full = data.fullBallotSizes.get(r.user_id);
+
+  if (size === full) return r.rank_position;
+  if (size === 1) return (full + 1) / 2;
+  return 1 + (r.rank_position - 1) * (full - 1) / (size - 1);
+}
+
+// Average rank and vote count for every nomination that received at least one vote
+function summarizeVotes(data) {
+  return data.nominations
+    .map(nomination => {
+      const votes = data.rankings.filter(r => r.nomination_id === nomination.id);
+      const total = votes.reduce((sum, r) => sum + normalizedRank(data, r), 0);
+
+      return {
+        nomination_id: nomination.id,
+        user_id: nomination.user_id,
+        average_rank: votes.length > 0 ? total / votes.length : null,
+        total_votes_received: votes.length
+      };
+    })
+    .filter(entry => entry.total_votes_received > 0);
+}
+
+// 1 point for each film you finish above. Counting films rather than members keeps
+// this fair when members nominate more than one film.
+const placementPoints = (filmCount, finalRank) => Math.max(0, filmCount - finalRank);
+
+// Placement points where films sharing a place split the points for the places they cover
+function sharedPlacementPoints(filmCount, firstPosition, groupSize) {
+  let total = 0;
+  for (let position = firstPosition; position < firstPosition + groupSize; position++) {
+    total += placementPoints(filmCount, position);
+  }
+  return total / groupSize;
+}
+
+const sameScore = (a, b) => Math.abs(a - b) < 1e-9;
+
+// Split entries already sorted best-first into runs of equal score
+function groupByScore(entries) {
+  const groups = [];
+  for (const entry of entries) {
+    const last = groups[groups.length - 1];
+    if (last && sameScore(last[0].score, entry.score)) {
+      last.push(entry);
+    } else {
+      groups.push([entry]);
+    }
+  }
+  return groups;
+}
+
+function scoreByAverageRank(data) {
+  return summarizeVotes(data).map(entry => ({ ...entry, score: entry.average_rank }));
+}
+
+// Each ballot gives a film one point for every film it was ranked above
+// (on a partial ballot, only films the voter watched count)
+function scoreByBorda(data) {
+  return summarizeVotes(data).map(entry => ({
+    ...entry,
+    score: data.rankings
+      .filter(r => r.nomination_id === entry.nomination_id)
+      .reduce((sum, r) => sum + data.ballotSizes.get(r.user_id) - r.rank_position, 0)
+  }));
+}
+
+// How many voters ranked film a above film b (only voters who ranked both count)
+function headToHead(data, a, b) {
+  const positions = new Map();
+  for (const r of data.rankings) {
+    positions.set(`${r.user_id}:${r.nomination_id}`, r.rank_position);
+  }
+
+  const voters = [...new Set(data.rankings.map(r => r.user_id))];
+  return voters.filter(voter => {
+    const posA = positions.get(`${voter}:${a}`);
+    const posB = positions.get(`${voter}:${b}`);
+    return posA && posB && posA < posB;
+  }).length;
+}
+
+// Schulze method: rank films by how many others they beat through the strongest
+// chain of head-to-head majorities
+function scoreBySchulze(data) {
+  const entries = summarizeVotes(data);
+  const ids = entries.map(e => e.nomination_id);
+
+  const preferred = {};
+  for (const a of ids) {
+    preferred[a] = {};
+    for (const b of ids) {
+      preferred[a][b] = a === b ? 0 : headToHead(data, a, b);
+    }
+  }
+
+  const strength = {};
+  for (const a of ids) {
+    strength[a] = {};
+    for (const b of ids) {
+      strength[a][b] = a !== b && preferred[a][b] > preferred[b][a] ? preferred[a][b] : 0;
+    }
+  }
+
+  for (const k of ids) {
+    for (const a of ids) {
+      if (a === k) continue;
+      for (const b of ids) {
+        if (b === a || b === k) continue;
+        strength[a][b] = Math.max(strength[a][b], Math.min(strength[a][k], strength[k][b]));
+      }
+    }
+  }
+
+  return entries.map(entry => ({
+    ...entry,
+    score: ids.filter(other => strength[entry.nomination_id][other] > strength[other][entry.nomination_id]).length
+  }));
+}
+
+// Placement points by average rank (ties split), plus a bonus for each correct nominator
+// guess. A nominator's bonus is split across their films in the cycle.
+function scoreByPointsWithGuessBonus(data) {
+  const filmsByNominator = new Map();
+  for (const nomination of data.nominations) {
+    filmsByNominator.set(nomination.user_id, (filmsByNominator.get(nomination.user_id) || 0) + 1);
+  }
+
+  const byAverage = scoreByAverageRank(data).sort((a, b) => a.score - b.score);
+  const scored = [];
+  let position = 1;
+
+  for (const group of groupByScore(byAverage)) {
+    const base = sharedPlacementPoints(byAverage.length, position, group.length);
+    for (const entry of group) {
+      const guesses = data.guessesByUser.get(entry.user_id);
+      const bonus = guesses
+        ? (guesses.correct * GUESS_BONUS_POINTS) / filmsByNominator.get(entry.user_id)
+        : 0;
+      scored.push({ ...entry, score: base + bonus });
+    }
+    position += group.length;
+  }
+
+  return scored;
+}
+
+// higherIsBetter: sort direction of score. pointsFromPlacement: points come from the
+// final place (split on ties) rather than being the score itself.
+const SCORING_STRATEGIES = {
+  average_rank: {
+    label: 'Average rank',
+    description: 'Lowest average rank wins; points for every place above last',
+    higherIsBetter: false,
+    pointsFromPlacement: true,
+    score: scoreByAverageRank
+  },
+  borda: {
+    label: 'Borda count',
+    description: 'Each ballot gives a film a point for every film it was ranked above',
+    higherIsBetter: true,
+    pointsFromPlacement: false,
+    score: scoreByBorda
+  },
+  schulze: {
+    label: 'Schulze (Condorcet)',
+    description: 'Head-to-head majorities decide the order',
+    higherIsBetter: true,
+    pointsFromPlacement: true,
+    score: scoreBySchulze
+  },
+  points_guess_bonus: {
+    label: 'Points + guess bonus',
+    description: `Average-rank points plus ${GUESS_BONUS_POINTS} per correct nominator guess`,
+    higherIsBetter: true,
+    pointsFromPlacement: false,
+    score: scoreByPointsWithGuessBonus
+  }
+};
+
+const DEFAULT_STRATEGY = 'average_rank';
+
+// A number in [0, 1) that is random-looking but fixed for a film in a cycle
+const seededFlip = (cycleId, nominationId) => crypto
+  .createHash('sha256')
+  .update(`${cycleId}:${nominationId}`)
+  .digest()
+  .readUInt32BE(0) / 0x100000000;
+
+// Tiebreakers, tried in the club's chosen order on films with equal scores.
+// Each returns a value per tied film; higher wins.
+const TIEBREAKERS = {
+  first_place_votes: {
+    label: 'Most first-place votes',
+    values: (group, data) => new Map(group.map(entry => [
+      entry.nomination_id,
+      data.rankings.filter(r => r.nomination_id === entry.nomination_id && r.rank_position === 1).length
+    ]))
+  },
+  guess_accuracy: {
+    label: "Nominator's guess accuracy",
+    values: (group, data) => new Map(group.map(entry => {
+      const guesses = data.guessesByUser.get(entry.user_id);
+      return [entry.nomination_id, guesses && guesses.total > 0 ? guesses.correct / guesses.total : 0];
+    }))
+  },
+  head_to_head: {
+    label: 'Head-to-head',
+    // Head-to-head wins against the other tied films
+    values: (group, data) => new Map(group.map(entry => [
+      entry.nomination_id,
+      group.filter(other => other !== entry &&
+        headToHead(data, entry.nomination_id, other.nomination_id) >
+        headToHead(data, other.nomination_id, entry.nomination_id)).length
+    ]))
+  },
+  coin_flip: {
+    label: 'Coin flip',
+    // Seeded by cycle and film, so recalculating or comparing strategies lands the same way
+    values: (group, data) => new Map(group.map(entry => [entry.nomination_id, seededFlip(data.cycleId, entry.nomination_id)]))
+  }
+};
+
+const DEFAULT_TIEBREAKERS = ['first_place_votes', 'head_to_head'];
+
+// Order a group of tied films using tiebreakers in turn. Returns the group split into
+// best-first subgroups (films still tied share a subgroup) and logs each step taken.
+function breakTie(group, tiebreakers, data, steps) {
+  if (group.length === 1 || tiebreakers.length === 0) {
+    return [group];
+  }
+
+  const [key, ...rest] = tiebreakers;
+  const values = TIEBREAKERS[key].values(group, data);
+
+  steps.push({
+    tiebreaker: key,
+    nomination_ids: group.map(entry => entry.nomination_id),
+    values: Object.fromEntries(values)
+  });
+
+  const sorted = [...group].sort((a, b) => values.get(b.nomination_id) - values.get(a.nomination_id));
+  const subgroups = [];
+  for (const entry of sorted) {
+    const last = subgroups[subgroups.length - 1];
+    if (last && sameScore(values.get(last[0].nomination_id), values.get(entry.nomination_id))) {
+      last.push(entry);
+    } else {
+      subgroups.push([entry]);
+    }
+  }
+
+  if (subgroups.length > 1) {
+    for (const entry of group) {
+      entry.decided_by = key;
+    }
+  }
+
+  return subgroups.flatMap(subgroup => breakTie(subgroup, rest, data, steps));
+}
+
+// Score a cycle's ballots with a strategy and break ties. Standings are best-first with
+// final_rank filled in; films still tied after every tiebreaker share a rank and split
+// its points. Returns { standings, ties } where ties logs how each tie was handled.
+function scoreCycle(data, strategyKey, tiebreakers = DEFAULT_TIEBREAKERS) {
+  const strategy = SCORING_STRATEGIES[strategyKey] || SCORING_STRATEGIES[DEFAULT_STRATEGY];
+  const direction = strategy.higherIsBetter ? -1 : 1;
+
+  const entries = strategy.score(data).sort((a, b) => direction * (a.score - b.score));
+  const standings = [];
+  const ties = [];
+  let position = 1;
+
+  for (const group of groupByScore(entries)) {
+    const steps = [];
+    const subgroups = breakTie(group, tiebreakers.filter(key => TIEBREAKERS[key]), data, steps);
+
+    if (group.length > 1) {
+      ties.push({
+        nomination_ids: group.map(entry => entry.nomination_id),
+        score: group[0].score,
+        steps,
+        unresolved: subgroups.filter(sub => sub.length > 1).map(sub => sub.map(entry => entry.nomination_id))
+      });
+    }
+
+    for (const subgroup of subgroups) {
+      const points = sharedPlacementPoints(entries.length, position, subgroup.length);
+
+      for (const entry of subgroup) {
+        const guesses = data.guessesByUser.get(entry.user_id);
+
+        standings.push({
+          nomination_id: entry.nomination_id,
+          user_id: entry.user_id,
+          average_rank: entry.average_rank,
+          total_votes_received: entry.total_votes_received,
+          score: entry.score,
+          final_rank: position,
+          points_earned: strategy.pointsFromPlacement ? points : entry.score,
+          guess_accuracy: guesses && guesses.total > 0 ? (guesses.correct / guesses.total) * 100 : 0,
+          tiebreak: group.length > 1 ? {
+            tied_with: group.filter(other => other !== entry).map(other => other.nomination_id),
+            decided_by: entry.decided_by || null,
+            shared: subgroup.length > 1
+          } : null
+        });
+      }
+
+      position += subgroup.length;
+    }
+  }
+
+  return { standings, ties };
+}
+
+// Load and score a cycle without saving anything
+async function computeCycleStandings(client, cycleId, strategyKey, tiebreakers) {
+  const data = await loadCycleBallots(client, cycleId);
+  return scoreCycle(data, strategyKey, tiebreakers);
+}
+
+// Strategy keys and labels for the API
+const listScoringStrategies = () => Object.entries(SCORING_STRATEGIES).map(([key, strategy]) => ({
+  key,
+  label: strategy.label,
+  description: strategy.description
+}));
+
+const listTiebreakers = () => Object.entries(TIEBREAKERS).map(([key, tiebreaker]) => ({
+  key,
+  label: tiebreaker.label
+}));
+
+module.exports = {
+  SCORING_STRATEGIES,
+  DEFAULT_STRATEGY,
+  TIEBREAKERS,
+  DEFAULT_TIEBREAKERS,
+  listTiebreakers,
+  loadCycleBallots,
+  scoreCycle,
+  computeCycleStandings,
+  listScoringStrategies
+};
@@ -0,0 +1,98 @@
+// Season statistics are derived data: user_season_stats is rebuilt from cycle_results,
+// guesses and watch_progress rather than incremented, so re-running a phase change
+// (or repairing old data) always lands on the same numbers.
+
+// Recompute every member's stats for one club season. Only cycles that have reached
+// results (or finished) count towards points, wins and guesses.
+async function rebuildSeasonStats(client, clubId, seasonYear) {
+  await client.query(
+    'DELETE FROM user_season_stats WHERE club_id = $1 AND season_year = $2',
+    [clubId, seasonYear]
+  );
+
+  const result = await client.query(
+    `WITH scored_cycles AS (
+       SELECT id FROM cycles
+       WHERE club_id = $1 AND season_year = $2 AND phase IN ('results', 'idle')
+     ),
+     season_cycles AS (
+       SELECT id FROM cycles WHERE club_id = $1 AND season_year = $2
+     ),
+     participation AS (
+       SELECT user_id, cycle_id FROM cycle_results WHERE cycle_id IN (SELECT id FROM scored_cycles)
+       UNION
+       SELECT user_id, cycle_id FROM rankings WHERE cycle_id IN (SELECT id FROM scored_cycles)
+     ),
+     results AS (
+       SELECT user_id,
+              COUNT(DISTINCT cycle_id) FILTER (WHERE final_rank = 1) as cycles_won,
+              SUM(points_earned) as total_points,
+              AVG(final_rank) as average_rank
+       FROM cycle_results
+       WHERE cycle_id IN (SELECT id FROM scored_cycles)
+       GROUP BY user_id
+     ),
+     guess_totals AS (
+       SELECT user_id, COUNT(*) as total, COUNT(*) FILTER (WHERE is_correct) as correct
+       FROM guesses
+       WHERE cycle_id IN (SELECT id FROM scored_cycles)
+       GROUP BY user_id
+     ),
+     watched AS (
+       SELECT wp.user_id, COUNT(*) as movies_watched
+       FROM watch_progress wp
+       JOIN nominations n ON wp.nomination_id = n.id
+       WHERE wp.cycle_id IN (SELECT id FROM season_cycles) AND wp.watched = true AND n.user_id != wp.user_id
+       GROUP BY wp.user_id
+     ),
+     members AS (
+       SELECT user_id FROM participation
+       UNION
+       SELECT user_id FROM watched
+     )
+     INSERT INTO user_season_stats
+       (user_id, club_id, season_year, cycles_participated, cycles_won, total_points,
+        average_points, average_rank, guess_accuracy, movies_watched)
+     SELECT m.user_id, $1, $2,
+            COALESCE(p.cycles, 0),
+            COALESCE(r.cycles_won, 0),
+            COALESCE(r.total_points, 0),
+            CASE WHEN COALESCE(p.cycles, 0) > 0 THEN COALESCE(r.total_points, 0) / p.cycles ELSE 0 END,
+            COALESCE(r.average_rank, 0),
+            CASE WHEN g.total > 0 THEN g.correct * 100.0 / g.total ELSE 0 END,
+            COALESCE(w.movies_watched, 0)
+     FROM members m
+     LEFT JOIN (SELECT user_id, COUNT(DISTINCT cycle_id) as cycles FROM participation GROUP BY user_id) p
+       ON p.user_id = m.user_id
+     LEFT JOIN results r ON r.user_id = m.user_id
+     LEFT JOIN guess_totals g ON g.user_id = m.user_id
+     LEFT JOIN watched w ON w.user_id = m.user_id
+     WHERE m.user_id IS NOT NULL`,
+    [clubId, seasonYear]
+  );
+
+  return result.rowCount;
+}
+
+// Rebuild every season a club has cycles in (or just one, when seasonYear is given).
+// Returns [{ season_year, members }].
+async function rebuildClubSeasonStats(client, clubId, seasonYear) {
+  const seasons = seasonYear
+    ? [seasonYear]
+    : (await client.query(
+      'SELECT DISTINCT season_year FROM cycles WHERE club_id = $1 ORDER BY season_year',
+      [clubId]
+    )).rows.map(row => row.season_year);
+
+  const rebuilt = [];
+  for (const season of seasons) {
+    rebuilt.push({ season_year: season, members: await rebuildSeasonStats(client, clubId, season) });
+  }
+
+  return rebuilt;
+}
+
+module.exports = {
+  rebuildSeasonStats,
+  rebuildClubSeasonStats
+};
@@ -0,0 +1,169 @@
+// Optional "theme draft" step at the start of a cycle. The drawn theme is shown before
+// nominations open: directors can re-roll it a limited number of times and members can veto
+// it; once enough members veto, it is re-rolled automatically. Every draw, re-roll, veto and
+// the final acceptance is logged in cycle_theme_draws for the cycle's history.
+const { drawTheme } = require('./themes');
+
+// Log a draft event for the theme the cycle currently holds
+async function recordThemeDraw(client, cycleId, action, userId = null) {
+  await client.query(
+    `INSERT INTO cycle_theme_draws (cycle_id, theme_id, theme_text, action, user_id)
+     SELECT id, theme_id, theme_text, $2, $3 FROM cycles WHERE id = $1`,
+    [cycleId, action, userId]
+  );
+}
+
+// Swap the cycle's theme for a fresh draw. The rejected theme goes back into the pool, but
+// themes already seen in this draft are skipped. Returns { theme } or { error }.
+async function replaceDraftTheme(client, cycle, settings, action, userId) {
+  const seen = await client.query(
+    'SELECT DISTINCT theme_id FROM cycle_theme_draws WHERE cycle_id = $1 AND theme_id IS NOT NULL',
+    [cycle.id]
+  );
+
+  // A director can't hand-pick mid-draft, so director_pick clubs re-roll weighted by votes
+  const mode = settings.theme_selection === 'director_pick' ? 'weighted' : settings.theme_selection;
+  const { theme, error } = await drawTheme(client, cycle.club_id, mode, null, seen.rows.map(row => row.theme_id));
+
+  if (error) {
+    return { error: 'No other themes left in the pool to draw' };
+  }
+
+  await recordThemeDraw(client, cycle.id, action, userId);
+
+  if (cycle.theme_id) {
+    await client.query('UPDATE themes SET is_used = false WHERE id = $1', [cycle.theme_id]);
+  }
+  await client.query('UPDATE themes SET is_used = true WHERE id = $1', [theme.id]);
+
+  await client.query(
+    'UPDATE cycles SET theme_id = $1, theme_text = $2, theme_constraints = $3 WHERE id = $4',
+    [theme.id, theme.theme_text, theme.constraints, cycle.id]
+  );
+
+  await recordThemeDraw(client, cycle.id, 'drawn');
+
+  return { theme };
+}
+
+// Members needed to veto a theme, or null when the club doesn't allow vetoes
+async function getVetoQuorum(client, clubId, settings) {
+  if (!settings.theme_veto_quorum) return null;
+
+  const members = await client.query(
+    'SELECT COUNT(*) FROM club_members WHERE club_id = $1 AND is_active = true',
+    [clubId]
+  );
+
+  return Math.max(1, Math.ceil(parseInt(members.rows[0].count) * settings.theme_veto_quorum / 100));
+}
+
+// Director re-roll, limited by the club's theme_rerolls setting
+async function rerollDraftTheme(client, cycle, settings, userId) {
+  const used = await client.query(
+    "SELECT COUNT(*) FROM cycle_theme_draws WHERE cycle_id = $1 AND action = 'rerolled'",
+    [cycle.id]
+  );
+
+  if (parseInt(used.rows[0].count) >= settings.theme_rerolls) {
+    return { error: 'No re-rolls left for this cycle' };
+  }
+
+  return replaceDraftTheme(client, cycle, settings, 'rerolled', userId);
+}
+
+// Record a member's veto; re-rolls the theme once the quorum is reached.
+// Returns { vetoes, quorum, rerolled } or { error }.
+async function vetoDraftTheme(client, cycle, settings, userId) {
+  const quorum = await getVetoQuorum(client, cycle.club_id, settings);
+
+  if (!quorum) {
+    return { error: 'This club does not allow theme vetoes' };
+  }
+
+  await client.query(
+    `INSERT INTO theme_draft_vetoes (cycle_id, theme_id, user_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (cycle_id, theme_id, user_id) DO NOTHING`,
+    [cycle.id, cycle.theme_id, userId]
+  );
+
+  const vetoes = await countVetoes(client, cycle);
+
+  if (vetoes < quorum) {
+    return { vetoes, quorum, rerolled: false };
+  }
+
+  const { error } = await replaceDraftTheme(client, cycle, settings, 'vetoed', null);
+
+  // Out of themes: the veto stands, and the director can still accept the theme (or re-roll
+  // once more themes are added to the pool)
+  return { vetoes, quorum, rerolled: !error };
+}
+
+async function withdrawVeto(client, cycle, userId) {
+  await client.query(
+    'DELETE FROM theme_draft_vetoes WHERE cycle_id = $1 AND theme_id IS NOT DISTINCT FROM $2 AND user_id = $3',
+    [cycle.id, cycle.theme_id, userId]
+  );
+
+  return countVetoes(client, cycle);
+}
+
+async function countVetoes(client, cycle) {
+  const result = await client.query(
+    'SELECT COUNT(*) FROM theme_draft_vetoes WHERE cycle_id = $1 AND theme_id IS NOT DISTINCT FROM $2',
+    [cycle.id, cycle.theme_id]
+  );
+
+  return parseInt(result.rows[0].count);
+}
+
+// Draft state shown while a cycle is in the theme_draft phase
+async function getThemeDraftStatus(client, cycle, settings, userId) {
+  const used = await client.query(
+    "SELECT COUNT(*) FROM cycle_theme_draws WHERE cycle_id = $1 AND action = 'rerolled'",
+    [cycle.id]
+  );
+  const myVeto = await client.query(
+    'SELECT 1 FROM theme_draft_vetoes WHERE cycle_id = $1 AND theme_id IS NOT DISTINCT FROM $2 AND user_id = $3',
+    [cycle.id, cycle.theme_id, userId]
+  );
+
+  return {
+    rerolls_used: parseInt(used.rows[0].count),
+    rerolls_left: Math.max(0, settings.theme_rerolls - parseInt(used.rows[0].count)),
+    vetoes: await countVetoes(client, cycle),
+    veto_quorum: await getVetoQuorum(client, cycle.club_id, settings),
+    vetoed_by_me: myVeto.rows.length > 0
+  };
+}
+
+// Every draft event for a set of cycles, grouped by cycle id
+async function getThemeDrawHistory(client, cycleIds) {
+  const result = await client.query(
+    `SELECT d.cycle_id, d.theme_text, d.action, d.created_at,
+            u.username, u.display_name
+     FROM cycle_theme_draws d
+     LEFT JOIN users u ON d.user_id = u.id
+     WHERE d.cycle_id = ANY($1::int[])
+     ORDER BY d.created_at, d.id`,
+    [cycleIds]
+  );
+
+  const byCycle = {};
+  for (const row of result.rows) {
+    (byCycle[row.cycle_id] = byCycle[row.cycle_id] || []).push(row);
+  }
+
+  return byCycle;
+}
+
+module.exports = {
+  recordThemeDraw,
+  rerollDraftTheme,
+  vetoDraftTheme,
+  withdrawVeto,
+  getThemeDraftStatus,
+  getThemeDrawHistory
+};
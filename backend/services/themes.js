@@ -0,0 +1,225 @@
+const { genreName } = require('./tmdb');
+
+// Theme pool draws. Members up/downvote unused themes; how the next cycle's theme is
+// chosen from the pool is a club setting (theme_selection).
+
+const THEME_SELECTION_MODES = {
+  random: { label: 'Random', description: 'Every unused theme has the same chance' },
+  weighted: { label: 'Weighted by votes', description: 'Upvoted themes come up more often, downvoted ones less' },
+  top_voted: { label: 'Top voted', description: 'The highest scoring theme is drawn (ties picked at random)' },
+  director_pick: { label: 'Director picks', description: 'The director starting the cycle chooses the theme' }
+};
+
+const DEFAULT_THEME_SELECTION = 'weighted';
+
+// Draw weight for a vote score: +n is n+1 times as likely as a neutral theme, -n is 1/(n+1)
+// as likely, so no theme ever drops out of the draw entirely.
+const themeWeight = (score) => (score >= 0 ? score + 1 : 1 / (1 - score));
+
+const pickRandom = (rows) => rows[Math.floor(Math.random() * rows.length)];
+
+const pickWeighted = (rows) => {
+  const weights = rows.map(row => themeWeight(row.score));
+  let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+
+  for (let i = 0; i < rows.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return rows[i];
+  }
+
+  return rows[rows.length - 1];
+};
+
+// Optional structured rules a theme can carry, checked against TMDB data at nomination time.
+// Stored as JSONB on themes.constraints and copied onto the cycle when the theme is drawn.
+const THEME_CONSTRAINT_MODES = ['reject', 'flag'];
+
+const CURRENT_YEAR_LIMIT = () => new Date().getFullYear() + 5;
+
+// Validate constraints sent by the client. Empty fields are dropped; no fields = no constraints.
+// Returns { constraints } (null when there are none) or { error }.
+function parseThemeConstraints(raw) {
+  if (raw === undefined || raw === null) {
+    return { constraints: null };
+  }
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'constraints must be an object' };
+  }
+
+  const constraints = {};
+  const isBlank = (value) => value === undefined || value === null || value === '';
+
+  for (const key of ['minYear', 'maxYear']) {
+    if (isBlank(raw[key])) continue;
+    const year = Number(raw[key]);
+    if (!Number.isInteger(year) || year < 1870 || year > CURRENT_YEAR_LIMIT()) {
+      return { error: `${key} must be a year between 1870 and ${CURRENT_YEAR_LIMIT()}` };
+    }
+    constraints[key] = year;
+  }
+
+  if (constraints.minYear && constraints.maxYear && constraints.minYear > constraints.maxYear) {
+    return { error: 'minYear cannot be after maxYear' };
+  }
+
+  if (!isBlank(raw.maxRuntime)) {
+    const runtime = Number(raw.maxRuntime);
+    if (!Number.isInteger(runtime) || runtime < 1 || runtime > 1000) {
+      return { error: 'maxRuntime must be a number of minutes between 1 and 1000' };
+    }
+    constraints.maxRuntime = runtime;
+  }
+
+  if (!isBlank(raw.genreIds)) {
+    const genreIds = Array.isArray(raw.genreIds) ? raw.genreIds.map(Number) : [Number(raw.genreIds)];
+    if (genreIds.some(genreId => !Number.isInteger(genreId) || genreId <= 0)) {
+      return { error: 'genreIds must be TMDB genre ids' };
+    }
+    if (genreIds.length > 0) {
+      constraints.genreIds = [...new Set(genreIds)];
+    }
+  }
+
+  if (!isBlank(raw.originalLanguage)) {
+    const language = String(raw.originalLanguage).trim().toLowerCase();
+    if (!/^[a-z]{2}$/.test(language)) {
+      return { error: 'originalLanguage must be a two-letter language code (e.g. "fr")' };
+    }
+    constraints.originalLanguage = language;
+  }
+
+  return { constraints: Object.keys(constraints).length > 0 ? constraints : null };
+}
+
+// Human-readable lines for a theme's constraints, e.g. ['Released 1970-1979', 'Under 90 minutes']
+function describeThemeConstraints(constraints) {
+  if (!constraints) return [];
+
+  const lines = [];
+  const { minYear, maxYear, maxRuntime, genreIds, originalLanguage } = constraints;
+
+  if (minYear && maxYear) {
+    lines.push(minYear === maxYear ? `Released in ${minYear}` : `Released ${minYear}-${maxYear}`);
+  } else if (minYear) {
+    lines.push(`Released ${minYear} or later`);
+  } else if (maxYear) {
+    lines.push(`Released ${maxYear} or earlier`);
+  }
+
+  if (maxRuntime) lines.push(`${maxRuntime} minutes or less`);
+  if (genreIds) lines.push(`Genre: ${genreIds.map(genreName).join(' or ')}`);
+  if (originalLanguage) lines.push(`Original language: ${originalLanguage}`);
+
+  return lines;
+}
+
+// Check a movie (nomination columns, as filled from TMDB) against constraints.
+// violations = rules the movie breaks; unverified = rules we had no TMDB data to check.
+function checkThemeConstraints(constraints, movie) {
+  const violations = [];
+  const unverified = [];
+
+  if (!constraints) {
+    return { violations, unverified };
+  }
+
+  const { minYear, maxYear, maxRuntime, genreIds, originalLanguage } = constraints;
+
+  if (minYear || maxYear) {
+    if (!movie.year) {
+      unverified.push('Release year could not be checked');
+    } else if ((minYear && movie.year < minYear) || (maxYear && movie.year > maxYear)) {
+      const range = minYear && maxYear ? `${minYear}-${maxYear}` : minYear ? `${minYear} or later` : `${maxYear} or earlier`;
+      violations.push(`Released in ${movie.year}, theme needs ${range}`);
+    }
+  }
+
+  if (maxRuntime) {
+    if (!movie.runtime) {
+      unverified.push('Runtime could not be checked');
+    } else if (movie.runtime > maxRuntime) {
+      violations.push(`Runs ${movie.runtime} minutes, theme allows ${maxRuntime}`);
+    }
+  }
+
+  if (genreIds) {
+    if (!movie.genre_ids) {
+      unverified.push('Genres could not be checked');
+    } else if (!movie.genre_ids.some(genreId => genreIds.includes(genreId))) {
+      violations.push(`Not a ${genreIds.map(genreName).join(' or ')} film`);
+    }
+  }
+
+  if (originalLanguage) {
+    if (!movie.original_language) {
+      unverified.push('Original language could not be checked');
+    } else if (movie.original_language !== originalLanguage) {
+      violations.push(`Original language is ${movie.original_language}, theme needs ${originalLanguage}`);
+    }
+  }
+
+  return { violations, unverified };
+}
+
+// Unused themes in a club's pool with their vote score
+async function getAvailableThemes(client, clubId) {
+  const result = await client.query(
+    `SELECT t.id, t.theme_text, t.constraints, COALESCE(SUM(tv.vote), 0)::int as score
+     FROM themes t
+     LEFT JOIN theme_votes tv ON tv.theme_id = t.id
+     WHERE t.club_id = $1 AND t.is_used = false AND t.archived_at IS NULL
+     GROUP BY t.id
+     ORDER BY t.id`,
+    [clubId]
+  );
+
+  return result.rows;
+}
+
+// Choose the theme for a new cycle. pickedThemeId is only used in director_pick mode;
+// excludeThemeIds skips themes (e.g. ones already re-rolled away). Returns { theme } or { error }.
+async function drawTheme(client, clubId, mode, pickedThemeId, excludeThemeIds = []) {
+  const themes = (await getAvailableThemes(client, clubId))
+    .filter(row => !excludeThemeIds.includes(row.id));
+
+  if (themes.length === 0) {
+    return { error: 'No unused themes available. Please add more themes to the pool.' };
+  }
+
+  if (mode === 'director_pick') {
+    if (!pickedThemeId) {
+      return { error: 'Pick a theme from the pool to start the cycle' };
+    }
+
+    const theme = themes.find(row => row.id === parseInt(pickedThemeId));
+    return theme ? { theme } : { error: 'That theme is not available in the pool' };
+  }
+
+  if (mode === 'top_voted') {
+    const topScore = Math.max(...themes.map(row => row.score));
+    return { theme: pickRandom(themes.filter(row => row.score === topScore)) };
+  }
+
+  if (mode === 'random') {
+    return { theme: pickRandom(themes) };
+  }
+
+  return { theme: pickWeighted(themes) };
+}
+
+const listThemeSelectionModes = () =>
+  Object.entries(THEME_SELECTION_MODES).map(([key, mode]) => ({ key, ...mode }));
+
+module.exports = {
+  THEME_SELECTION_MODES,
+  DEFAULT_THEME_SELECTION,
+  THEME_CONSTRAINT_MODES,
+  parseThemeConstraints,
+  describeThemeConstraints,
+  checkThemeConstraints,
+  themeWeight,
+  getAvailableThemes,
+  drawTheme,
+  listThemeSelectionModes
+};
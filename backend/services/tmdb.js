@@ -0,0 +1,78 @@
+const axios = require('axios');
+
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+const TMDB_API_KEY = process.env.TMDB_API_KEY;
+
+// TMDB's movie genre list; it rarely changes, so stats can label genre_ids without a lookup
+const TMDB_GENRES = {
+  28: 'Action',
+  12: 'Adventure',
+  16: 'Animation',
+  35: 'Comedy',
+  80: 'Crime',
+  99: 'Documentary',
+  18: 'Drama',
+  10751: 'Family',
+  14: 'Fantasy',
+  36: 'History',
+  27: 'Horror',
+  10402: 'Music',
+  9648: 'Mystery',
+  10749: 'Romance',
+  878: 'Science Fiction',
+  10770: 'TV Movie',
+  53: 'Thriller',
+  10752: 'War',
+  37: 'Western'
+};
+
+const genreName = (genreId) => TMDB_GENRES[genreId] || `Genre ${genreId}`;
+
+// Map a TMDB movie (with credits appended) onto the nomination columns
+const toNominationDetails = (movie) => {
+  const directors = (movie.credits?.crew || [])
+    .filter(member => member.job === 'Director')
+    .map(member => member.name);
+
+  return {
+    tmdb_id: movie.id,
+    title: movie.title,
+    release_date: movie.release_date || null,
+    year: movie.release_date ? parseInt(movie.release_date.slice(0, 4)) : null,
+    poster_path: movie.poster_path || null,
+    overview: movie.overview || null,
+    genre_ids: (movie.genres || []).map(genre => genre.id),
+    director: directors.length > 0 ? [...new Set(directors)].join(', ').slice(0, 255) : null,
+    runtime: movie.runtime || null,
+    original_language: movie.original_language || null
+  };
+};
+
+// Fetch details and credits for one movie. Resolves to null when TMDB doesn't know the id;
+// any other failure (network, bad key) is thrown so callers can decide how to degrade.
+const fetchMovieDetails = async (tmdbId) => {
+  try {
+    const response = await axios.get(`${TMDB_BASE_URL}/movie/${tmdbId}`, {
+      params: {
+        api_key: TMDB_API_KEY,
+        language: 'en-US',
+        append_to_response: 'credits'
+      },
+      timeout: 10000
+    });
+
+    return toNominationDetails(response.data);
+  } catch (err) {
+    if (err.response?.status === 404) {
+      return null;
+    }
+    throw err;
+  }
+};
+
+module.exports = {
+  TMDB_GENRES,
+  genreName,
+  toNominationDetails,
+  fetchMovieDetails
+};
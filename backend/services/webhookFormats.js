@@ -0,0 +1,161 @@
+// How a webhook payload (see buildCyclePayload in services/webhooks.js) is written on the wire.
+//   json    - the payload itself, for custom receivers
+//   discord - a Discord webhook message with one embed
+//   matrix  - an m.notice message with an HTML body, in the shape Matrix webhook bridges
+//             (e.g. matrix-hookshot generic webhooks) post to a room
+
+const WEBHOOK_FORMATS = ['json', 'discord', 'matrix'];
+
+const PHASE_LABELS = {
+  idle: 'Finished',
+  theme_draft: 'Theme draft',
+  nomination: 'Nominations',
+  watching: 'Watching',
+  ranking: 'Ranking',
+  results: 'Results'
+};
+
+const DISCORD_COLORS = {
+  cycle_started: 0x3b82f6,
+  phase_advanced: 0x8b5cf6,
+  results_published: 0xf59e0b,
+  test: 0x6b7280
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const filmName = (film) => (film.year ? `${film.title} (${film.year})` : film.title);
+
+const winnerLine = (winner) => {
+  const details = [
+    winner.nominated_by && `nominated by ${winner.nominated_by}`,
+    winner.points !== null && `${winner.points} points`
+  ].filter(Boolean);
+
+  return details.length > 0 ? `${filmName(winner)}, ${details.join(', ')}` : filmName(winner);
+};
+
+// One-line summary of the event, shared by every chat format
+const headline = ({ event, club, cycle }) => {
+  if (event === 'test') {
+    return `Test message from Ocularr for ${club.name}`;
+  }
+
+  const cycleName = `Cycle #${cycle.number} in ${club.name}`;
+
+  switch (event) {
+    case 'cycle_started':
+      return `${cycleName} has started`;
+    case 'results_published':
+      return `Results are in for cycle #${cycle.number} in ${club.name}`;
+    default:
+      return `${cycleName} moved to ${PHASE_LABELS[cycle.phase] || cycle.phase}`;
+  }
+};
+
+const renderDiscord = (payload) => {
+  const { event, club, cycle, winner, films } = payload;
+  const fields = [];
+
+  if (cycle) {
+    if (cycle.theme) fields.push({ name: 'Theme', value: cycle.theme, inline: true });
+    fields.push({ name: 'Phase', value: PHASE_LABELS[cycle.phase] || cycle.phase, inline: true });
+  }
+
+  if (winner) {
+    fields.push({ name: 'Winner', value: winnerLine(winner) });
+  } else if (films && films.length > 0) {
+    fields.push({ name: 'Films', value: films.map(filmName).join('\n').slice(0, 1024) });
+  }
+
+  const embed = {
+    title: headline(payload),
+    url: cycle ? cycle.url : club.url,
+    color: DISCORD_COLORS[event] || DISCORD_COLORS.phase_advanced,
+    fields,
+    footer: { text: 'Ocularr' },
+    timestamp: payload.occurred_at
+  };
+
+  if (event === 'test') {
+    embed.description = 'This webhook is set up correctly. Cycle updates will look like this.';
+  }
+
+  if (winner && winner.poster_url) {
+    embed.image = { url: winner.poster_url };
+  }
+
+  return { username: 'Ocularr', embeds: [embed] };
+};
+
+const renderMatrix = (payload) => {
+  const { event, club, cycle, winner, films } = payload;
+  const url = cycle ? cycle.url : club.url;
+  const lines = [];
+
+  if (event === 'test') {
+    lines.push({ label: null, text: 'This webhook is set up correctly. Cycle updates will look like this.' });
+  }
+
+  if (cycle) {
+    if (cycle.theme) lines.push({ label: 'Theme', text: cycle.theme });
+    lines.push({ label: 'Phase', text: PHASE_LABELS[cycle.phase] || cycle.phase });
+  }
+
+  if (winner) {
+    lines.push({ label: 'Winner', text: winnerLine(winner), link: winner.poster_url && { label: 'poster', url: winner.poster_url } });
+  } else if (films && films.length > 0) {
+    lines.push({ label: 'Films', text: films.map(filmName).join(', ') });
+  }
+
+  const title = headline(payload);
+
+  const text = [
+    title,
+    ...lines.map(line => `${line.label ? `${line.label}: ` : ''}${line.text}${line.link ? ` (${line.link.url})` : ''}`),
+    url
+  ].join('\n');
+
+  // Matrix clients only show inline images from mxc:// URLs, so the poster is linked instead
+  const html = [
+    `<strong><a href="${escapeHtml(url)}">${escapeHtml(title)}</a></strong>`,
+    ...lines.map(line => [
+      line.label ? `<strong>${escapeHtml(line.label)}:</strong> ` : '',
+      escapeHtml(line.text),
+      line.link ? ` (<a href="${escapeHtml(line.link.url)}">${escapeHtml(line.link.label)}</a>)` : ''
+    ].join(''))
+  ].join('<br>');
+
+  return {
+    msgtype: 'm.notice',
+    body: text,
+    format: 'org.matrix.custom.html',
+    formatted_body: html,
+    // Names used by bridges that build the room message themselves
+    text,
+    html,
+    username: 'Ocularr'
+  };
+};
+
+// The request body for a payload in the given format
+const renderWebhookBody = (format, payload) => {
+  switch (format) {
+    case 'discord':
+      return renderDiscord(payload);
+    case 'matrix':
+      return renderMatrix(payload);
+    default:
+      return payload;
+  }
+};
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  renderWebhookBody
+};
@@ -0,0 +1,448 @@
+// Outbound webhooks. Producers register URLs per club and pick the events each one receives.
+// Events are queued in webhook_deliveries inside the caller's transaction, then a background
+// worker posts them, retrying failures with exponential backoff. Each request is signed:
+//   X-Ocularr-Signature: sha256=<HMAC-SHA256 of `${X-Ocularr-Timestamp}.${body}` with the webhook secret>
+// The body is the JSON payload, or a Discord/Matrix message built from it (services/webhookFormats.js).
+// Webhooks may only point at public addresses: the target is checked when it is saved and again on
+// every connection, so a hostname that later resolves to the private network is still refused.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const pool = require('../db/db');
+const { WEBHOOK_FORMATS, renderWebhookBody } = require('./webhookFormats');
+
+const WEBHOOK_EVENTS = ['cycle_started', 'phase_advanced', 'results_published'];
+
+const MAX_WEBHOOKS_PER_CLUB = 5;
+const URL_MAX_LENGTH = 500;
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 30 * 1000; // waits 30s, 2m, 8m, 32m, ~2h between attempts
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const DELIVERY_BATCH_SIZE = 20;
+const WORKER_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 15 * 1000;
+
+const APP_URL = process.env.FRONTEND_URL || 'http://localhost:5000';
+
+// Lets webhooks reach private addresses, for local development against a receiver on this machine
+const ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+const PRIVATE_TARGET_ERROR = 'Webhook URL must point to a public address';
+const UNREACHABLE_ERROR = 'Could not reach the receiver';
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+
+  if (mapped) {
+    return blockedAddresses.check(mapped[1], 'ipv4');
+  }
+
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Check a webhook URL's host before saving or sending. Resolves with an error message, or null.
+// Single-label names (like the docker-compose service names) and .local/.internal hosts are refused outright.
+async function checkWebhookTarget(url) {
+  if (ALLOW_PRIVATE_TARGETS) {
+    return null;
+  }
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+
+  if (net.isIP(hostname)) {
+    return isBlockedAddress(hostname) ? PRIVATE_TARGET_ERROR : null;
+  }
+
+  if (!hostname.includes('.') || /(^|\.)(localhost|local|internal)$/.test(hostname)) {
+    return PRIVATE_TARGET_ERROR;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.some(({ address }) => isBlockedAddress(address)) ? PRIVATE_TARGET_ERROR : null;
+  } catch (error) {
+    return 'Webhook URL host could not be resolved';
+  }
+}
+
+// DNS lookup for delivery connections that refuses private addresses, so the address checked is
+// the address connected to
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+
+    if (!ALLOW_PRIVATE_TARGETS && addresses.some(isBlockedAddress)) {
+      const blocked = new Error(PRIVATE_TARGET_ERROR);
+      blocked.code = 'EPRIVATETARGET';
+      return callback(blocked);
+    }
+
+    callback(null, address, family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+const posterUrl = (posterPath) => (posterPath ? `https://image.tmdb.org/t/p/w500${posterPath}` : null);
+
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Validate a webhook create/update body. Returns { values } or { error }.
+// partial allows leaving fields out (updates).
+function parseWebhookInput(body, { partial = false } = {}) {
+  const values = {};
+
+  if (body.url !== undefined || !partial) {
+    const url = typeof body.url === 'string' ? body.url.trim() : '';
+    let parsed;
+
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { error: 'Webhook URL must be a valid http(s) URL' };
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { error: 'Webhook URL must be a valid http(s) URL' };
+    }
+
+    if (url.length > URL_MAX_LENGTH) {
+      return { error: `Webhook URL must be ${URL_MAX_LENGTH} characters or less` };
+    }
+
+    values.url = url;
+  }
+
+  if (body.events !== undefined || !partial) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      return { error: 'Choose at least one event' };
+    }
+
+    const unknown = body.events.find(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown) {
+      return { error: `Unknown webhook event: ${unknown}` };
+    }
+
+    values.events = [...new Set(body.events)];
+  }
+
+  if (body.format !== undefined) {
+    if (!WEBHOOK_FORMATS.includes(body.format)) {
+      return { error: `Format must be one of: ${WEBHOOK_FORMATS.join(', ')}` };
+    }
+    values.format = body.format;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') {
+      return { error: 'isActive must be true or false' };
+    }
+    values.is_active = body.isActive;
+  }
+
+  return { values };
+}
+
+// The JSON body sent for a cycle event. Names who won only once results are out; the
+// nominated films are listed once nominations close, without who nominated them.
+async function buildCyclePayload(db, event, cycleId) {
+  const result = await db.query(
+    `SELECT c.id, c.cycle_number, c.theme_text, c.phase, c.winner_points,
+            cl.id as club_id, cl.name as club_name, cl.url_slug,
+            n.tmdb_id as winner_tmdb_id, n.title as winner_title, n.year as winner_year,
+            n.poster_path as winner_poster_path,
+            COALESCE(cm.club_display_name, u.display_name, u.username) as winner_nominated_by
+     FROM cycles c
+     JOIN clubs cl ON c.club_id = cl.id
+     LEFT JOIN nominations n ON n.id = c.winner_movie_id AND c.phase IN ('results', 'idle')
+     LEFT JOIN users u ON u.id = n.user_id
+     LEFT JOIN club_members cm ON cm.user_id = n.user_id AND cm.club_id = c.club_id
+     WHERE c.id = $1`,
+    [cycleId]
+  );
+
+  const row = result.rows[0];
+  const clubUrl = `${APP_URL}/club/${row.url_slug}`;
+
+  let films = null;
+  if (['watching', 'ranking', 'results', 'idle'].includes(row.phase)) {
+    const filmsResult = await db.query(
+      'SELECT title, year, tmdb_id, poster_path FROM nominations WHERE cycle_id = $1 ORDER BY title',
+      [cycleId]
+    );
+    films = filmsResult.rows.map(film => ({
+      title: film.title,
+      year: film.year,
+      tmdb_id: film.tmdb_id,
+      poster_url: posterUrl(film.poster_path)
+    }));
+  }
+
+  return {
+    event,
+    occurred_at: new Date().toISOString(),
+    club: { id: row.club_id, name: row.club_name, url: clubUrl },
+    cycle: {
+      id: row.id,
+      number: row.cycle_number,
+      theme: row.theme_text,
+      phase: row.phase,
+      url: row.phase === 'results' ? `${clubUrl}/results/${row.id}` : clubUrl
+    },
+    winner: row.winner_title ? {
+      title: row.winner_title,
+      year: row.winner_year,
+      tmdb_id: row.winner_tmdb_id,
+      poster_url: posterUrl(row.winner_poster_path),
+      nominated_by: row.winner_nominated_by,
+      points: row.winner_points !== null ? Number(row.winner_points) : null
+    } : null,
+    films
+  };
+}
+
+// Queue an event for every active webhook in the club that wants it. Runs in the caller's
+// transaction; call deliverWebhooksSoon() after committing. Returns how many were queued.
+async function queueWebhookEvent(db, clubId, event, cycleId) {
+  if (!WEBHOOK_EVENTS.includes(event)) {
+    throw new Error(`Unknown webhook event: ${event}`);
+  }
+
+  const hooks = await db.query(
+    'SELECT id FROM club_webhooks WHERE club_id = $1 AND is_active = true AND $2 = ANY(events)',
+    [clubId, event]
+  );
+
+  if (hooks.rows.length === 0) {
+    return 0;
+  }
+
+  const payload = await buildCyclePayload(db, event, cycleId);
+
+  await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     SELECT unnest($1::int[]), $2, $3`,
+    [hooks.rows.map(row => row.id), event, JSON.stringify(payload)]
+  );
+
+  return hooks.rows.length;
+}
+
+// A cycle changed phase: phase_advanced, plus results_published when results came out
+async function queuePhaseWebhooks(db, clubId, cycleId, phase) {
+  let queued = await queueWebhookEvent(db, clubId, 'phase_advanced', cycleId);
+
+  if (phase === 'results') {
+    queued += await queueWebhookEvent(db, clubId, 'results_published', cycleId);
+  }
+
+  return queued;
+}
+
+// Post one delivery. Socket errors aren't passed on as-is: they would tell a producer what is
+// listening where.
+async function postDelivery(delivery) {
+  const targetError = await checkWebhookTarget(delivery.url);
+
+  if (targetError) {
+    return { responseStatus: null, error: targetError };
+  }
+
+  const body = JSON.stringify(renderWebhookBody(delivery.format, delivery.payload));
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Ocularr-Webhooks/1.0',
+        'X-Ocularr-Event': delivery.event,
+        'X-Ocularr-Delivery': String(delivery.id),
+        'X-Ocularr-Timestamp': timestamp,
+        'X-Ocularr-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`
+      },
+      httpAgent,
+      httpsAgent,
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+    return { responseStatus: response.status, error: ok ? null : `Receiver responded with HTTP ${response.status}` };
+  } catch (requestError) {
+    return { responseStatus: null, error: requestError.code === 'EPRIVATETARGET' ? PRIVATE_TARGET_ERROR : UNREACHABLE_ERROR };
+  }
+}
+
+// Post one delivery and record the outcome. Test deliveries get a single attempt.
+async function attemptDelivery(delivery, { retry = true } = {}) {
+  const { responseStatus, error } = await postDelivery(delivery);
+
+  const attempts = delivery.attempts + 1;
+  const succeeded = !error;
+  const gaveUp = !succeeded && (!retry || attempts >= MAX_ATTEMPTS);
+  const nextAttemptAt = succeeded || gaveUp
+    ? null
+    : new Date(Date.now() + RETRY_BASE_MS * Math.pow(4, attempts - 1));
+
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $1, attempts = $2, last_attempt_at = CURRENT_TIMESTAMP, next_attempt_at = $3,
+         response_status = $4, error = $5
+     WHERE id = $6`,
+    [succeeded ? 'succeeded' : gaveUp ? 'failed' : 'pending', attempts, nextAttemptAt, responseStatus, error, delivery.id]
+  );
+
+  return { succeeded, responseStatus, error };
+}
+
+let workerTimer = null;
+let workerRunning = false;
+
+// Send every delivery that is due. Deliveries are claimed by pushing their next attempt out,
+// so one stuck on a slow receiver isn't picked up twice. Deliveries still waiting on a webhook
+// that has since been deactivated are given up on rather than retried.
+async function processPendingDeliveries() {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  try {
+    await pool.query(
+      `UPDATE webhook_deliveries d
+       SET status = 'failed', next_attempt_at = NULL, error = 'Webhook was deactivated'
+       FROM club_webhooks w
+       WHERE w.id = d.webhook_id AND d.status = 'pending' AND w.is_active = false`
+    );
+
+    const claimed = await pool.query(
+      `UPDATE webhook_deliveries d
+       SET next_attempt_at = CURRENT_TIMESTAMP + INTERVAL '5 minutes'
+       FROM club_webhooks w
+       WHERE w.id = d.webhook_id AND w.is_active = true AND d.id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING d.id, d.event, d.payload, d.attempts, w.url, w.secret, w.format`,
+      [DELIVERY_BATCH_SIZE]
+    );
+
+    for (const delivery of claimed.rows) {
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    console.error('Webhook delivery error:', error);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+// Send newly queued deliveries now instead of waiting for the next worker tick
+const deliverWebhooksSoon = () => {
+  setImmediate(processPendingDeliveries);
+};
+
+const startWebhookWorker = () => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(processPendingDeliveries, WORKER_INTERVAL_MS);
+};
+
+const stopWebhookWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+// Send a 'test' event to one webhook right away, built from the club's latest cycle when it
+// has one. It is logged with the webhook's other deliveries. Resolves with the outcome.
+async function sendTestDelivery(db, webhook) {
+  const cycleResult = await db.query(
+    'SELECT id FROM cycles WHERE club_id = $1 ORDER BY cycle_number DESC LIMIT 1',
+    [webhook.club_id]
+  );
+
+  let payload;
+
+  if (cycleResult.rows.length > 0) {
+    payload = await buildCyclePayload(db, 'test', cycleResult.rows[0].id);
+  } else {
+    const clubResult = await db.query('SELECT id, name, url_slug FROM clubs WHERE id = $1', [webhook.club_id]);
+    const club = clubResult.rows[0];
+
+    payload = {
+      event: 'test',
+      occurred_at: new Date().toISOString(),
+      club: { id: club.id, name: club.name, url: `${APP_URL}/club/${club.url_slug}` },
+      cycle: null,
+      winner: null,
+      films: null
+    };
+  }
+
+  const deliveryResult = await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+     VALUES ($1, 'test', $2, NULL)
+     RETURNING id, event, payload, attempts`,
+    [webhook.id, JSON.stringify(payload)]
+  );
+
+  return attemptDelivery({ ...deliveryResult.rows[0], url: webhook.url, secret: webhook.secret, format: webhook.format }, { retry: false });
+}
+
+// Recent deliveries for a webhook, newest first
+async function listDeliveries(db, webhookId, limit = 50) {
+  const result = await db.query(
+    `SELECT id, event, status, attempts, response_status, error, created_at, last_attempt_at, next_attempt_at
+     FROM webhook_deliveries
+     WHERE webhook_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [webhookId, Math.min(Math.max(parseInt(limit) || 50, 1), 200)]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  MAX_WEBHOOKS_PER_CLUB,
+  generateSecret,
+  signPayload,
+  parseWebhookInput,
+  checkWebhookTarget,
+  queueWebhookEvent,
+  queuePhaseWebhooks,
+  deliverWebhooksSoon,
+  sendTestDelivery,
+  processPendingDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker,
+  listDeliveries
+};
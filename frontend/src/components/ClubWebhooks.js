@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from 'react';
+import { clubAPI, handleApiError } from '../services/api';
+
+const EVENT_LABELS = {
+  cycle_started: 'Cycle started',
+  phase_advanced: 'Phase advanced',
+  results_published: 'Results published',
+  test: 'Test message'
+};
+
+const FORMAT_LABELS = {
+  json: 'Generic JSON',
+  discord: 'Discord',
+  matrix: 'Matrix'
+};
+
+const STATUS_COLORS = {
+  succeeded: 'text-green-400',
+  pending: 'text-yellow-400',
+  failed: 'text-red-400'
+};
+
+// Producer-only webhook manager for the club settings page (see services/webhooks.js on the backend)
+const ClubWebhooks = ({ clubId }) => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [formats, setFormats] = useState([]);
+  const [newWebhook, setNewWebhook] = useState({ url: '', events: [], format: 'json' });
+  const [visibleSecrets, setVisibleSecrets] = useState({}); // keyed by webhook id
+  const [deliveries, setDeliveries] = useState({}); // open delivery logs, keyed by webhook id
+  const [testResults, setTestResults] = useState({}); // last test message outcome, keyed by webhook id
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [clubId]);
+
+  const fetchWebhooks = async () => {
+    try {
+      const response = await clubAPI.getWebhooks(clubId);
+      setWebhooks(response.data.webhooks);
+      setEvents(response.data.events);
+      setFormats(response.data.formats);
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to load webhooks'));
+    }
+  };
+
+  const replaceWebhook = (webhook) => {
+    setWebhooks(prev => prev.map(w => (w.id === webhook.id ? webhook : w)));
+  };
+
+  const toggleEvent = (list, event) => (
+    list.includes(event) ? list.filter(e => e !== event) : [...list, event]
+  );
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await clubAPI.createWebhook(clubId, newWebhook);
+      setWebhooks(prev => [...prev, response.data.webhook]);
+      setVisibleSecrets(prev => ({ ...prev, [response.data.webhook.id]: true }));
+      setNewWebhook({ url: '', events: [], format: 'json' });
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to add webhook'));
+    }
+  };
+
+  const handleUpdate = async (webhook, changes) => {
+    setError('');
+
+    try {
+      const response = await clubAPI.updateWebhook(clubId, webhook.id, changes);
+      replaceWebhook(response.data.webhook);
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to update webhook'));
+    }
+  };
+
+  const handleRegenerateSecret = async (webhook) => {
+    if (!window.confirm('Generate a new signing secret? Receivers using the old one will reject deliveries until updated.')) return;
+
+    await handleUpdate(webhook, { regenerateSecret: true });
+    setVisibleSecrets(prev => ({ ...prev, [webhook.id]: true }));
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Remove the webhook for ${webhook.url}?`)) return;
+
+    try {
+      await clubAPI.deleteWebhook(clubId, webhook.id);
+      setWebhooks(prev => prev.filter(w => w.id !== webhook.id));
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to remove webhook'));
+    }
+  };
+
+  const loadDeliveries = async (webhook) => {
+    try {
+      const response = await clubAPI.getWebhookDeliveries(clubId, webhook.id);
+      setDeliveries(prev => ({ ...prev, [webhook.id]: response.data.deliveries }));
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to load deliveries'));
+    }
+  };
+
+  const toggleDeliveries = (webhook) => {
+    if (deliveries[webhook.id]) {
+      setDeliveries(prev => ({ ...prev, [webhook.id]: null }));
+      return;
+    }
+
+    loadDeliveries(webhook);
+  };
+
+  const handleTest = async (webhook) => {
+    setError('');
+    setTestResults(prev => ({ ...prev, [webhook.id]: { sending: true } }));
+
+    try {
+      const response = await clubAPI.testWebhook(clubId, webhook.id);
+      setTestResults(prev => ({ ...prev, [webhook.id]: response.data }));
+
+      if (deliveries[webhook.id]) {
+        loadDeliveries(webhook);
+      }
+    } catch (err) {
+      setTestResults(prev => ({ ...prev, [webhook.id]: null }));
+      setError(handleApiError(err, 'Failed to send test message'));
+    }
+  };
+
+  return (
+    <div>
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      <div className="space-y-4 mb-6">
+        {webhooks.length === 0 && <p className="text-gray-500 text-sm">No webhooks yet.</p>}
+        {webhooks.map(webhook => (
+          <div key={webhook.id} className="bg-gray-900 rounded-lg p-4">
+            <div className="flex justify-between items-start gap-4 mb-3">
+              <span className="font-mono text-sm break-all">{webhook.url}</span>
+              <label className="flex items-center gap-2 text-sm whitespace-nowrap">
+                <input
+                  type="checkbox"
+                  checked={webhook.is_active}
+                  onChange={(e) => handleUpdate(webhook, { isActive: e.target.checked })}
+                />
+                Active
+              </label>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4 mb-3">
+              <select
+                value={webhook.format}
+                onChange={(e) => handleUpdate(webhook, { format: e.target.value })}
+                className="bg-gray-800 px-2 py-1 rounded text-sm"
+              >
+                {formats.map(format => (
+                  <option key={format} value={format}>{FORMAT_LABELS[format] || format}</option>
+                ))}
+              </select>
+              {events.map(event => (
+                <label key={event} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={webhook.events.includes(event)}
+                    onChange={() => handleUpdate(webhook, { events: toggleEvent(webhook.events, event) })}
+                  />
+                  {EVENT_LABELS[event] || event}
+                </label>
+              ))}
+            </div>
+
+            <div className="text-sm text-gray-400 mb-3">
+              Signing secret:{' '}
+              <span className="font-mono text-gray-300 break-all">
+                {visibleSecrets[webhook.id] ? webhook.secret : '••••••••••••'}
+              </span>
+              <button
+                onClick={() => setVisibleSecrets(prev => ({ ...prev, [webhook.id]: !prev[webhook.id] }))}
+                className="ml-3 text-blue-400 hover:text-blue-300"
+              >
+                {visibleSecrets[webhook.id] ? 'Hide' : 'Show'}
+              </button>
+              <button onClick={() => handleRegenerateSecret(webhook)} className="ml-3 text-blue-400 hover:text-blue-300">
+                Regenerate
+              </button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4 text-sm">
+              <button
+                onClick={() => handleTest(webhook)}
+                disabled={testResults[webhook.id]?.sending}
+                className="text-blue-400 hover:text-blue-300 disabled:text-gray-500"
+              >
+                {testResults[webhook.id]?.sending ? 'Sending...' : 'Send test message'}
+              </button>
+              <button onClick={() => toggleDeliveries(webhook)} className="text-gray-300 hover:text-white">
+                {deliveries[webhook.id] ? 'Hide delivery log' : 'Delivery log'}
+              </button>
+              <button onClick={() => handleDelete(webhook)} className="text-red-400 hover:text-red-300">
+                Remove
+              </button>
+              {testResults[webhook.id] && !testResults[webhook.id].sending && (
+                <span className={testResults[webhook.id].succeeded ? 'text-green-400' : 'text-red-400'}>
+                  {testResults[webhook.id].message}
+                </span>
+              )}
+            </div>
+
+            {deliveries[webhook.id] && (
+              <div className="mt-3 border-t border-gray-700 pt-3">
+                {deliveries[webhook.id].length === 0 ? (
+                  <p className="text-sm text-gray-500">Nothing has been sent yet.</p>
+                ) : (
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-gray-500 text-left">
+                        <th className="py-1">Event</th>
+                        <th className="py-1">Status</th>
+                        <th className="py-1">Attempts</th>
+                        <th className="py-1">Response</th>
+                        <th className="py-1">Queued</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {deliveries[webhook.id].map(delivery => (
+                        <tr key={delivery.id} className="border-t border-gray-800">
+                          <td className="py-1">{EVENT_LABELS[delivery.event] || delivery.event}</td>
+                          <td className={`py-1 ${STATUS_COLORS[delivery.status]}`}>
+                            {delivery.status}
+                            {delivery.status === 'pending' && delivery.next_attempt_at && delivery.attempts > 0 && (
+                              <span className="text-gray-500"> (retry {new Date(delivery.next_attempt_at).toLocaleTimeString()})</span>
+                            )}
+                          </td>
+                          <td className="py-1">{delivery.attempts}</td>
+                          <td className="py-1 text-gray-400">{delivery.error || delivery.response_status || '—'}</td>
+                          <td className="py-1 text-gray-400">{new Date(delivery.created_at).toLocaleString()}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleAdd} className="space-y-3">
+        <input
+          type="url"
+          value={newWebhook.url}
+          onChange={(e) => setNewWebhook(prev => ({ ...prev, url: e.target.value }))}
+          placeholder="https://example.com/webhook"
+          className="w-full bg-gray-900 px-3 py-2 rounded"
+          required
+        />
+        <div className="flex flex-wrap items-center gap-4">
+          <select
+            value={newWebhook.format}
+            onChange={(e) => setNewWebhook(prev => ({ ...prev, format: e.target.value }))}
+            className="bg-gray-900 px-2 py-1 rounded text-sm"
+          >
+            {formats.map(format => (
+              <option key={format} value={format}>{FORMAT_LABELS[format] || format}</option>
+            ))}
+          </select>
+          {events.map(event => (
+            <label key={event} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={newWebhook.events.includes(event)}
+                onChange={() => setNewWebhook(prev => ({ ...prev, events: toggleEvent(prev.events, event) }))}
+              />
+              {EVENT_LABELS[event] || event}
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          disabled={!newWebhook.url.trim() || newWebhook.events.length === 0}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed px-6 py-2 rounded font-medium transition-colors"
+        >
+          Add Webhook
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ClubWebhooks;
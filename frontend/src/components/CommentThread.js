@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// Discussion thread for one nomination. Spoilers are written as [spoiler]...[/spoiler];
+// the server leaves their text out for members who haven't watched the film yet.
+const CommentThread = ({ cycleId, nominationId, canModerate = false }) => {
+  const [comments, setComments] = useState([]);
+  const [spoilersVisible, setSpoilersVisible] = useState(false);
+  const [revealed, setRevealed] = useState({}); // spoilers clicked open, keyed by comment id
+  const [draft, setDraft] = useState('');
+  const [editing, setEditing] = useState(null); // { id, body }
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchComments();
+  }, [cycleId, nominationId]);
+
+  const fetchComments = async () => {
+    try {
+      const response = await api.get(`/cycles/${cycleId}/nominations/${nominationId}/comments`);
+      setComments(response.data.comments);
+      setSpoilersVisible(response.data.spoilers_visible);
+    } catch (err) {
+      console.error('Error fetching comments:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePost = async () => {
+    try {
+      await api.post(`/cycles/${cycleId}/nominations/${nominationId}/comments`, { body: draft });
+      setDraft('');
+      await fetchComments();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to post comment');
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    try {
+      await api.put(`/cycles/${cycleId}/nominations/${nominationId}/comments/${editing.id}`, { body: editing.body });
+      setEditing(null);
+      await fetchComments();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to update comment');
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      await api.delete(`/cycles/${cycleId}/nominations/${nominationId}/comments/${comment.id}`);
+      await fetchComments();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to delete comment');
+    }
+  };
+
+  const renderSegments = (comment) => comment.segments.map((segment, index) => {
+    if (!segment.spoiler) {
+      return <span key={index}>{segment.text}</span>;
+    }
+
+    if (segment.hidden) {
+      return (
+        <span key={index} className="bg-gray-700 text-gray-400 text-xs px-2 py-0.5 rounded mx-1">
+          Spoiler hidden until you've watched this
+        </span>
+      );
+    }
+
+    // Spoilers you're allowed to read still stay covered until clicked
+    return revealed[comment.id] ? (
+      <span key={index} className="bg-gray-700 px-1 rounded">{segment.text}</span>
+    ) : (
+      <button
+        key={index}
+        onClick={() => setRevealed(prev => ({ ...prev, [comment.id]: true }))}
+        className="bg-gray-600 hover:bg-gray-500 text-gray-300 text-xs px-2 py-0.5 rounded mx-1"
+      >
+        Show spoiler
+      </button>
+    );
+  });
+
+  if (loading) {
+    return <p className="text-gray-500">Loading discussion...</p>;
+  }
+
+  return (
+    <div>
+      {!spoilersVisible && (
+        <p className="text-xs text-yellow-400 mb-3">
+          Mark this film watched to see the spoilers in this thread.
+        </p>
+      )}
+
+      <div className="space-y-3 mb-4">
+        {comments.length === 0 && <p className="text-gray-500">No comments yet. Start the discussion!</p>}
+        {comments.map(comment => (
+          <div key={comment.id} className="bg-gray-900 rounded-lg p-3">
+            <div className="flex justify-between items-baseline mb-1">
+              <span className="text-sm font-medium">
+                {comment.club_display_name || comment.display_name || comment.username}
+              </span>
+              <span className="text-xs text-gray-500">
+                {new Date(comment.created_at).toLocaleString()}
+                {comment.updated_at !== comment.created_at && ' (edited)'}
+              </span>
+            </div>
+
+            {editing?.id === comment.id ? (
+              <div>
+                <textarea
+                  value={editing.body}
+                  onChange={(e) => setEditing(prev => ({ ...prev, body: e.target.value }))}
+                  rows={3}
+                  maxLength={2000}
+                  className="w-full bg-gray-800 px-3 py-2 rounded text-sm"
+                />
+                <div className="flex justify-end gap-2 mt-2">
+                  <button onClick={() => setEditing(null)} className="text-sm text-gray-400 hover:text-white">
+                    Cancel
+                  </button>
+                  <button onClick={handleSaveEdit} className="text-sm text-blue-400 hover:text-blue-300">
+                    Save
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-300 whitespace-pre-line">{renderSegments(comment)}</p>
+            )}
+
+            {editing?.id !== comment.id && (comment.is_own || canModerate) && (
+              <div className="flex justify-end gap-3 mt-1">
+                {comment.is_own && (
+                  <button
+                    onClick={() => setEditing({ id: comment.id, body: comment.body })}
+                    className="text-xs text-gray-400 hover:text-white"
+                  >
+                    Edit
+                  </button>
+                )}
+                <button onClick={() => handleDelete(comment)} className="text-xs text-red-400 hover:text-red-300">
+                  Delete
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        rows={3}
+        maxLength={2000}
+        placeholder="Add to the discussion..."
+        className="w-full bg-gray-900 px-3 py-2 rounded text-sm"
+      />
+      <div className="flex justify-between items-center mt-2">
+        <span className="text-xs text-gray-500">Wrap spoilers in [spoiler]...[/spoiler]</span>
+        <button
+          onClick={handlePost}
+          disabled={!draft.trim()}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-4 py-2 rounded text-sm font-medium"
+        >
+          Post
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CommentThread;
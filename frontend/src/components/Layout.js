@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Link, Outlet, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const Layout = () => {
   const { user, logout } = useAuth();
@@ -69,6 +70,8 @@ const Layout = () => {
 
             {/* User Menu */}
             <div className="flex items-center space-x-4">
+              <NotificationBell />
+
               <Link
                 to={`/profile/${user?.username}`}
                 className={`hidden md:flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-all duration-200 ${
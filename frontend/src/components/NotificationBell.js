@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { notificationAPI, subscribeToClubEvents } from '../services/api';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Bell in the nav bar with the unread count and a dropdown of recent notifications.
+// Refreshes on navigation, when a club phase changes, and once a minute for the rest.
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await notificationAPI.getNotifications();
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unread_count);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [location.pathname]);
+
+  useEffect(() => {
+    const timer = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    const unsubscribe = subscribeToClubEvents((type) => {
+      if (type === 'phase_changed') {
+        fetchNotifications();
+      }
+    });
+
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, []);
+
+  // Close the dropdown when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleOpenNotification = async (notification) => {
+    setOpen(false);
+
+    if (!notification.read_at) {
+      try {
+        await notificationAPI.markRead(notification.id);
+        fetchNotifications();
+      } catch (err) {
+        console.error('Error marking notification read:', err);
+      }
+    }
+
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      fetchNotifications();
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 rounded-md text-gray-300 hover:text-white hover:bg-gray-700 transition-colors"
+        aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}
+      >
+        <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 bg-red-600 text-white text-xs font-bold rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-gray-800 border border-gray-700 rounded-lg shadow-lg z-50">
+          <div className="flex justify-between items-center px-4 py-3 border-b border-gray-700">
+            <span className="font-semibold">Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs text-blue-400 hover:text-blue-300">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet.</p>
+            ) : (
+              notifications.map(notification => (
+                <button
+                  key={notification.id}
+                  onClick={() => handleOpenNotification(notification)}
+                  className={`block w-full text-left px-4 py-3 border-b border-gray-700 last:border-b-0 hover:bg-gray-700 transition-colors ${
+                    notification.read_at ? 'text-gray-400' : 'text-white'
+                  }`}
+                >
+                  <div className="flex gap-2">
+                    {!notification.read_at && <span className="mt-1.5 w-2 h-2 rounded-full bg-blue-500 flex-shrink-0" />}
+                    <div className="min-w-0">
+                      <p className="text-sm">{notification.message}</p>
+                      <p className="text-xs text-gray-500 mt-1">{new Date(notification.created_at).toLocaleString()}</p>
+                    </div>
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// Reviews as returned by the API (services/reviews.js on the backend).
+// showFilm adds the film and cycle to each review; showAuthor links to the author's profile.
+const ReviewList = ({ reviews, showFilm = true, showAuthor = true, showClub = false, emptyText = 'No reviews yet.' }) => {
+  if (!reviews || reviews.length === 0) {
+    return <p className="text-gray-500">{emptyText}</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {reviews.map(review => (
+        <div key={review.id} className="bg-gray-900 rounded-lg p-4 flex gap-4">
+          {showFilm && (
+            review.poster_path ? (
+              <img
+                src={`https://image.tmdb.org/t/p/w92${review.poster_path}`}
+                alt={review.title}
+                className="w-12 h-18 object-cover rounded"
+              />
+            ) : (
+              <div className="w-12 h-18 bg-gray-700 rounded" />
+            )
+          )}
+          <div className="flex-1 min-w-0">
+            <div className="flex justify-between items-baseline gap-4">
+              <div className="min-w-0">
+                {showFilm && (
+                  <h4 className="font-medium truncate">
+                    {review.title}{review.year ? ` (${review.year})` : ''}
+                  </h4>
+                )}
+                <p className="text-xs text-gray-500">
+                  {showAuthor && (
+                    <Link to={`/profile/${review.username}`} className="text-blue-400 hover:text-blue-300">
+                      {review.club_display_name || review.display_name || review.username}
+                    </Link>
+                  )}
+                  {showAuthor && ' · '}
+                  {showClub && `${review.club_name} · `}
+                  Cycle #{review.cycle_number}: {review.theme_text}
+                  {' · '}{new Date(review.reviewed_at).toLocaleDateString()}
+                </p>
+              </div>
+              {review.rating !== null && (
+                <span className="text-yellow-400 font-semibold whitespace-nowrap">★ {review.rating}/10</span>
+              )}
+            </div>
+            {review.review && (
+              <p className="text-sm text-gray-300 mt-2 whitespace-pre-line">{review.review}</p>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReviewList;
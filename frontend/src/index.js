@@ -1,35 +1,35 @@
-import React from 'react';
-import ReactDOM from 'react-dom/client';
-import './index.css';
-import App from './App';
-
-console.log('Index.js is running!');
-
-const rootElement = document.getElementById('root');
-console.log('Root element found:', rootElement);
-
-if (rootElement) {
-  const root = ReactDOM.createRoot(rootElement);
-  console.log('Root created:', root);
-  
-  root.render(
-    <React.StrictMode>
-      <App />
-    </React.StrictMode>
-  );
-  
-  console.log('Render called!');
-} else {
-  console.error('Root element not found!');
-}
-
-// Remove loading screen after app loads
-window.addEventListener('load', () => {
-  setTimeout(() => {
-    document.body.classList.add('app-loaded');
-    const loadingScreen = document.getElementById('loading-screen');
-    if (loadingScreen) {
-      loadingScreen.remove();
-    }
-  }, 100);
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import './index.css';
+import App from './App';
+
+console.log('Index.js is running!');
+
+const rootElement = document.getElementById('root');
+console.log('Root element found:', rootElement);
+
+if (rootElement) {
+  const root = ReactDOM.createRoot(rootElement);
+  console.log('Root created:', root);
+  
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+  
+  console.log('Render called!');
+} else {
+  console.error('Root element not found!');
+}
+
+// Remove loading screen after app loads
+window.addEventListener('load', () => {
+  setTimeout(() => {
+    document.body.classList.add('app-loaded');
+    const loadingScreen = document.getElementById('loading-screen');
+    if (loadingScreen) {
+      loadingScreen.remove();
+    }
+  }, 100);
 });
\ No newline at end of file
@@ -1,780 +1,1603 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { useAuth } from '../contexts/AuthContext';
-import api, { handleApiError } from '../services/api';
-import LoadingSpinner from '../components/LoadingSpinner';
-import MovieSearch from '../components/MovieSearch';
-
-const ClubPage = () => {
-  const { clubname } = useParams(); // Using clubname from URL params
-  const { user } = useAuth();
-  const navigate = useNavigate();
-  const [club, setClub] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
-  const [activeTab, setActiveTab] = useState('overview');
-  const [members, setMembers] = useState([]);
-  const [themes, setThemes] = useState([]);
-  const [clubStats, setClubStats] = useState(null);
-  const [showNominationModal, setShowNominationModal] = useState(false);
-  const [selectedMovie, setSelectedMovie] = useState(null);
-  const [showThemeModal, setShowThemeModal] = useState(false);
-  const [newTheme, setNewTheme] = useState('');
-  const [currentCycle, setCurrentCycle] = useState(null);
-  const [nominations, setNominations] = useState([]);
-  const [watchProgress, setWatchProgress] = useState([]);
-
-  useEffect(() => {
-    if (clubname) {
-      fetchClubData();
-    }
-  }, [clubname]);
-
-  const fetchClubData = async () => {
-    try {
-      setLoading(true);
-      setError('');
-      
-      // Fetch club by name using the correct endpoint
-      const response = await api.get(`/clubs/by-name/${clubname}`);
-      setClub(response.data.club);
-      
-      // Fetch additional data based on active tab
-      if (response.data.club.current_cycle) {
-        fetchCycleData(response.data.club.current_cycle.id);
-      }
-    } catch (err) {
-      console.error('Error fetching club:', err);
-      setError(handleApiError(err, 'Failed to load club'));
-      // Don't automatically navigate away - let user see the error
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const fetchMembers = async () => {
-    try {
-      const response = await api.get(`/clubs/${club.id}/members`);
-      setMembers(response.data.members);
-    } catch (err) {
-      console.error('Error fetching members:', err);
-    }
-  };
-
-  const fetchThemes = async () => {
-    try {
-      const response = await api.get(`/clubs/${club.id}/themes`);
-      setThemes(response.data.themes);
-    } catch (err) {
-      console.error('Error fetching themes:', err);
-    }
-  };
-
-  const fetchClubStats = async () => {
-    try {
-      const response = await api.get(`/clubs/${club.id}/stats`);
-      setClubStats(response.data);
-    } catch (err) {
-      console.error('Error fetching club stats:', err);
-    }
-  };
-
-  const fetchCycleData = async (cycleId) => {
-    try {
-      const response = await api.get(`/cycles/${club.id}/current`);
-      if (response.data.cycle) {
-        setCurrentCycle(response.data.cycle);
-        setNominations(response.data.cycle.nominations || []);
-        setWatchProgress(response.data.cycle.user_progress || []);
-      }
-    } catch (err) {
-      console.error('Error fetching cycle data:', err);
-    }
-  };
-
-  const handleStartCycle = async () => {
-    try {
-      await api.post(`/cycles/${club.id}/start`);
-      await fetchClubData();
-    } catch (err) {
-      alert(err.response?.data?.error || 'Failed to start cycle');
-    }
-  };
-
-  const handleProgressPhase = async () => {
-    try {
-      await api.put(`/cycles/${currentCycle.id}/phase`, { action: 'next' });
-      await fetchClubData();
-    } catch (err) {
-      alert(err.response?.data?.error || 'Failed to progress phase');
-    }
-  };
-
-  const handleNominate = async () => {
-    if (!selectedMovie) return;
-    
-    try {
-      await api.post(`/cycles/${currentCycle.id}/nominate`, {
-        tmdbId: selectedMovie.id,
-        title: selectedMovie.title,
-        posterPath: selectedMovie.poster_path,
-        overview: selectedMovie.overview,
-        releaseDate: selectedMovie.release_date
-      });
-      setShowNominationModal(false);
-      setSelectedMovie(null);
-      await fetchCycleData(currentCycle.id);
-    } catch (err) {
-      alert(err.response?.data?.error || 'Failed to nominate movie');
-    }
-  };
-
-  const handleAddTheme = async () => {
-    if (!newTheme.trim()) return;
-    
-    try {
-      await api.post(`/clubs/${club.id}/themes`, {
-        themeText: newTheme
-      });
-      setShowThemeModal(false);
-      setNewTheme('');
-      await fetchThemes();
-    } catch (err) {
-      alert(err.response?.data?.error || 'Failed to add theme');
-    }
-  };
-
-  const handleMarkWatched = async (movieId) => {
-    try {
-      await api.put(`/cycles/${currentCycle.id}/watch/${movieId}`, { watched: true });
-      await fetchCycleData(currentCycle.id);
-    } catch (err) {
-      alert('Failed to update watch status');
-    }
-  };
-
-  const handleLeaveClub = async () => {
-    if (!window.confirm('Are you sure you want to leave this club?')) return;
-    
-    try {
-      await api.post(`/clubs/${club.id}/leave`);
-      navigate('/dashboard');
-    } catch (err) {
-      alert(err.response?.data?.error || 'Failed to leave club');
-    }
-  };
-
-  // Get image URL using nginx proxy
-  const getImageUrl = (imagePath) => {
-    if (!imagePath) return null;
-    // Use relative path - nginx will proxy to backend
-    return imagePath;
-  };
-
-  useEffect(() => {
-    if (club && activeTab === 'members' && members.length === 0) {
-      fetchMembers();
-    }
-    if (club && activeTab === 'themes' && themes.length === 0) {
-      fetchThemes();
-    }
-    if (club && activeTab === 'stats' && !clubStats) {
-      fetchClubStats();
-    }
-  }, [activeTab, club]);
-  if (loading) return <LoadingSpinner />;
-
-  if (error) {
-    return (
-      <div className="max-w-7xl mx-auto px-4 py-8">
-        <div className="bg-gray-800 rounded-lg p-8 text-center">
-          <p className="text-red-400 mb-4">{error}</p>
-          <button 
-            onClick={() => navigate('/dashboard')}
-            className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-medium"
-          >
-            Back to Dashboard
-          </button>
-        </div>
-      </div>
-    );
-  }
-
-  if (!club) {
-    return (
-      <div className="max-w-7xl mx-auto px-4 py-8">
-        <div className="bg-gray-800 rounded-lg p-8 text-center">
-          <p className="text-gray-400 mb-4">Club not found</p>
-          <button 
-            onClick={() => navigate('/dashboard')}
-            className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-medium"
-          >
-            Back to Dashboard
-          </button>
-        </div>
-      </div>
-    );
-  }
-
-  const canManageClub = club.user_role === 'director' || club.user_role === 'producer';
-  const canStartCycle = canManageClub && (!currentCycle || currentCycle.phase === 'idle');
-  const canProgressPhase = canManageClub && currentCycle && currentCycle.phase !== 'idle';
-
-  return (
-    <div className="max-w-7xl mx-auto px-4 py-8">
-      {/* Error Message */}
-      {error && (
-        <div className="bg-red-900/50 border border-red-600 text-red-200 p-4 rounded-lg mb-6">
-          {error}
-          <button
-            onClick={fetchClubData}
-            className="ml-4 text-red-300 hover:text-red-100 underline"
-          >
-            Try again
-          </button>
-        </div>
-      )}
-
-      {/* Club Header */}
-      <div className="bg-gray-800 rounded-lg p-6 mb-6">
-        <div className="flex items-start gap-6">
-          {club.club_picture ? (
-            <img 
-              src={getImageUrl(club.club_picture)}
-              alt={club.name}
-              className="w-32 h-32 rounded-lg object-cover"
-            />
-          ) : (
-            <div className="w-32 h-32 bg-gray-700 rounded-lg flex items-center justify-center">
-              <span className="text-4xl font-bold text-gray-500">
-                {club.name.charAt(0).toUpperCase()}
-              </span>
-            </div>
-          )}
-          
-          <div className="flex-1">
-            <h1 className="text-3xl font-bold mb-2">{club.name}</h1>
-            {club.description && (
-              <p className="text-gray-400 mb-4">{club.description}</p>
-            )}
-            
-            <div className="flex flex-wrap gap-4 text-sm">
-              <div>
-                <span className="text-gray-500">Members:</span>
-                <span className="ml-2 font-medium">{club.member_count || 0}</span>
-              </div>
-              <div>
-                <span className="text-gray-500">Total Cycles:</span>
-                <span className="ml-2 font-medium">{club.total_cycles || 0}</span>
-              </div>
-              <div>
-                <span className="text-gray-500">Your Role:</span>
-                <span className="ml-2 font-medium capitalize">{club.user_role}</span>
-              </div>
-              {club.invite_code && canManageClub && (
-                <div>
-                  <span className="text-gray-500">Invite Code:</span>
-                  <span className="ml-2 font-mono font-medium bg-gray-700 px-2 py-1 rounded">
-                    {club.invite_code}
-                  </span>
-                </div>
-              )}
-            </div>
-          </div>
-          
-          <div className="flex flex-col gap-2">
-            {canStartCycle && (
-              <button 
-                onClick={handleStartCycle}
-                className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded font-medium transition-colors"
-              >
-                Start New Cycle
-              </button>
-            )}
-            {canProgressPhase && (
-              <button 
-                onClick={handleProgressPhase}
-                className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-medium transition-colors"
-              >
-                Next Phase
-              </button>
-            )}
-            {canManageClub && (
-              <button 
-                onClick={() => navigate(`/club/${clubname}/settings`)}
-                className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded font-medium transition-colors"
-              >
-                Settings
-              </button>
-            )}
-            {club.user_role === 'critic' && (
-              <button 
-                onClick={handleLeaveClub}
-                className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded font-medium transition-colors"
-              >
-                Leave Club
-              </button>
-            )}
-          </div>
-        </div>
-      </div>
-
-      {/* Tabs */}
-      <div className="bg-gray-800 rounded-lg">
-        <div className="border-b border-gray-700">
-          <nav className="flex -mb-px">
-            {['overview', 'current-cycle', 'members', 'themes', 'stats', 'history'].map((tab) => (
-              <button
-                key={tab}
-                onClick={() => setActiveTab(tab)}
-                className={`px-6 py-3 border-b-2 font-medium text-sm capitalize transition-colors ${
-                  activeTab === tab
-                    ? 'border-blue-500 text-blue-500'
-                    : 'border-transparent text-gray-400 hover:text-white hover:border-gray-300'
-                }`}
-              >
-                {tab.replace('-', ' ')}
-              </button>
-            ))}
-          </nav>
-        </div>
-
-        <div className="p-6">
-          {/* Overview Tab */}
-          {activeTab === 'overview' && (
-            <div>
-              <h2 className="text-xl font-semibold mb-4">Club Overview</h2>
-              {currentCycle && currentCycle.phase !== 'idle' ? (
-                <div className="bg-gray-900 rounded-lg p-4 mb-4">
-                  <h3 className="font-medium mb-2">Current Cycle</h3>
-                  <p className="text-gray-400">Theme: {currentCycle.theme_text}</p>
-                  <p className="text-gray-400">Phase: <span className="capitalize">{currentCycle.phase}</span></p>
-                  <p className="text-gray-400">Started: {new Date(currentCycle.started_at).toLocaleDateString()}</p>
-                </div>
-              ) : (
-                <p className="text-gray-500">No active cycle. {canManageClub ? 'Start a new cycle to begin!' : 'Waiting for a director to start a new cycle.'}</p>
-              )}
-              
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-6">
-                <div className="bg-gray-900 rounded-lg p-4 text-center">
-                  <div className="text-2xl font-bold">{club.member_count || 0}</div>
-                  <div className="text-sm text-gray-500">Active Members</div>
-                </div>
-                <div className="bg-gray-900 rounded-lg p-4 text-center">
-                  <div className="text-2xl font-bold">{club.total_cycles || 0}</div>
-                  <div className="text-sm text-gray-500">Completed Cycles</div>
-                </div>
-                <div className="bg-gray-900 rounded-lg p-4 text-center">
-                  <div className="text-2xl font-bold">{themes.filter(t => !t.is_used).length || '?'}</div>
-                  <div className="text-sm text-gray-500">Available Themes</div>
-                </div>
-              </div>
-            </div>
-          )}
-
-          {/* Current Cycle Tab */}
-          {activeTab === 'current-cycle' && (
-            <div>
-              <h2 className="text-xl font-semibold mb-4">Current Cycle</h2>
-              {currentCycle && currentCycle.phase !== 'idle' ? (
-                <div>
-                  <div className="bg-gray-900 rounded-lg p-4 mb-6">
-                    <h3 className="text-lg font-medium mb-2">{currentCycle.theme_text}</h3>
-                    <div className="flex gap-4 text-sm text-gray-400">
-                      <span>Phase: <span className="capitalize text-white">{currentCycle.phase}</span></span>
-                      <span>Cycle #{currentCycle.cycle_number}</span>
-                    </div>
-                  </div>
-
-                  {/* Nomination Phase */}
-                  {currentCycle.phase === 'nomination' && (
-                    <div>
-                      <div className="flex justify-between items-center mb-4">
-                        <h3 className="font-medium">Nominations</h3>
-                        {!nominations.find(n => n.user_id === user.id) && (
-                          <button 
-                            onClick={() => setShowNominationModal(true)}
-                            className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded text-sm font-medium"
-                          >
-                            Nominate a Movie
-                          </button>
-                        )}
-                      </div>
-                      
-                      {nominations.length === 0 ? (
-                        <p className="text-gray-500">No nominations yet. Be the first!</p>
-                      ) : (
-                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                          {nominations.map(nom => (
-                            <div key={nom.id} className="bg-gray-900 rounded-lg p-3">
-                              <div className="text-sm font-medium mb-1">
-                                {nom.user_id === user.id ? 'Your Nomination' : 'Nominated'}
-                              </div>
-                              <div className="text-xs text-gray-500">Hidden until watching phase</div>
-                            </div>
-                          ))}
-                        </div>
-                      )}
-                    </div>
-                  )}
-
-                  {/* Watching Phase */}
-                  {currentCycle.phase === 'watching' && (
-                    <div>
-                      <h3 className="font-medium mb-4">Movies to Watch</h3>
-                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                        {nominations.map(nom => {
-                          const watched = watchProgress.find(w => w.nomination_id === nom.id)?.watched;
-                          
-                          return (
-                            <div key={nom.id} className="bg-gray-900 rounded-lg overflow-hidden">
-                              {nom.poster_path && (
-                                <img 
-                                  src={`https://image.tmdb.org/t/p/w200${nom.poster_path}`}
-                                  alt={nom.title}
-                                  className="w-full"
-                                />
-                              )}
-                              <div className="p-3">
-                                <h4 className="font-medium text-sm mb-2">{nom.title}</h4>
-                                {nom.user_id === user.id ? (
-                                  <span className="text-xs text-blue-500">Your nomination</span>
-                                ) : (
-                                  <button
-                                    onClick={() => handleMarkWatched(nom.id)}
-                                    className={`w-full text-xs py-1 px-2 rounded ${
-                                      watched 
-                                        ? 'bg-green-600 text-white' 
-                                        : 'bg-gray-700 hover:bg-gray-600'
-                                    }`}
-                                  >
-                                    {watched ? '✓ Watched' : 'Mark Watched'}
-                                  </button>
-                                )}
-                              </div>
-                            </div>
-                          );
-                        })}
-                      </div>
-                    </div>
-                  )}
-
-                  {/* Ranking Phase */}
-                  {currentCycle.phase === 'ranking' && (
-                    <div>
-                      <h3 className="font-medium mb-4">Time to Rank!</h3>
-                      <button 
-                        onClick={() => navigate(`/club/${clubname}/ranking`)}
-                        className="bg-blue-600 hover:bg-blue-700 px-6 py-3 rounded font-medium"
-                      >
-                        Submit Your Rankings
-                      </button>
-                    </div>
-                  )}
-
-                  {/* Results Phase */}
-                  {currentCycle.phase === 'results' && (
-                    <div>
-                      <h3 className="font-medium mb-4">Cycle Results</h3>
-                      <button 
-                        onClick={() => navigate(`/club/${clubname}/results/${currentCycle.id}`)}
-                        className="bg-blue-600 hover:bg-blue-700 px-6 py-3 rounded font-medium"
-                      >
-                        View Results
-                      </button>
-                    </div>
-                  )}
-                </div>
-              ) : (
-                <p className="text-gray-500">No active cycle.</p>
-              )}
-            </div>
-          )}
-          {/* Members Tab */}
-          {activeTab === 'members' && (
-            <div>
-              <h2 className="text-xl font-semibold mb-4">Members ({members.length})</h2>
-              <div className="space-y-3">
-                {members.map(member => (
-                  <div key={member.id} className="bg-gray-900 rounded-lg p-4 flex items-center justify-between">
-                    <div className="flex items-center gap-3">
-                      {member.profile_picture ? (
-                        <img 
-                          src={getImageUrl(member.profile_picture)}
-                          alt={member.display_name || member.username}
-                          className="w-10 h-10 rounded-full object-cover"
-                        />
-                      ) : (
-                        <div className="w-10 h-10 bg-gray-700 rounded-full flex items-center justify-center">
-                          <span className="font-medium">
-                            {(member.display_name || member.username).charAt(0).toUpperCase()}
-                          </span>
-                        </div>
-                      )}
-                      <div>
-                        <div className="font-medium">{member.display_name || member.username}</div>
-                        <div className="text-sm text-gray-500 capitalize">{member.role}</div>
-                      </div>
-                    </div>
-                    <div className="text-right text-sm">
-                      <div className="text-gray-400">Avg Points: {parseFloat(member.average_points || 0).toFixed(1)}</div>
-                      <div className="text-gray-400">Wins: {member.cycles_won || 0}</div>
-                    </div>
-                  </div>
-                ))}
-              </div>
-            </div>
-          )}
-
-          {/* Themes Tab */}
-          {activeTab === 'themes' && (
-            <div>
-              <div className="flex justify-between items-center mb-4">
-                <h2 className="text-xl font-semibold">Theme Pool</h2>
-                <button 
-                  onClick={() => setShowThemeModal(true)}
-                  className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded text-sm font-medium"
-                >
-                  Submit Theme
-                </button>
-              </div>
-              
-              <div className="space-y-2">
-                {themes.length === 0 ? (
-                  <p className="text-gray-500">No themes yet. Submit one!</p>
-                ) : (
-                  themes.map(theme => (
-                    <div 
-                      key={theme.id} 
-                      className={`bg-gray-900 rounded-lg p-3 ${theme.is_used ? 'opacity-50' : ''}`}
-                    >
-                      <div className="flex justify-between items-start">
-                        <div>
-                          <p className="font-medium">{theme.theme_text}</p>
-                          <p className="text-sm text-gray-500 mt-1">
-                            Submitted by {theme.submitted_by_display_name || theme.submitted_by_username}
-                          </p>
-                        </div>
-                        {theme.is_used && (
-                          <span className="text-xs bg-gray-700 px-2 py-1 rounded">Used</span>
-                        )}
-                      </div>
-                    </div>
-                  ))
-                )}
-              </div>
-            </div>
-          )}
-
-          {/* Stats Tab with Enhanced User Table */}
-          {activeTab === 'stats' && (
-            <div>
-              <h2 className="text-xl font-semibold mb-4">Club Statistics</h2>
-              
-              {/* Season Stats Table */}
-              <div className="bg-gray-900 rounded-lg p-6">
-                <h3 className="text-lg font-medium mb-4">Season Leaderboard</h3>
-                
-                {clubStats && clubStats.seasonStats && clubStats.seasonStats.length > 0 ? (
-                  <div className="overflow-x-auto">
-                    <table className="w-full text-sm">
-                      <thead>
-                        <tr className="border-b border-gray-700">
-                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
-                            Rank
-                          </th>
-                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
-                            Player
-                          </th>
-                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
-                            Points
-                          </th>
-                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
-                            Avg Points
-                          </th>
-                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
-                            Cycles
-                          </th>
-                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
-                            Wins
-                          </th>
-                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
-                            Win Rate
-                          </th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {clubStats.seasonStats
-                          .sort((a, b) => parseFloat(b.total_points) - parseFloat(a.total_points))
-                          .map((stat, index) => (
-                            <tr key={stat.user_id} className={`border-b border-gray-800 hover:bg-gray-800 ${stat.user_id === user.id ? 'bg-blue-900/20' : ''}`}>
-                              <td className="py-3 px-4">
-                                <span className={`font-medium ${index === 0 ? 'text-yellow-500' : index === 1 ? 'text-gray-400' : index === 2 ? 'text-orange-600' : ''}`}>
-                                  #{index + 1}
-                                </span>
-                              </td>
-                              <td className="py-3 px-4">
-                                <div className="flex items-center gap-2">
-                                  {stat.profile_picture ? (
-                                    <img 
-                                      src={getImageUrl(stat.profile_picture)}
-                                      alt={stat.display_name || stat.username}
-                                      className="w-6 h-6 rounded-full object-cover"
-                                    />
-                                  ) : (
-                                    <div className="w-6 h-6 bg-gray-700 rounded-full flex items-center justify-center">
-                                      <span className="text-xs font-medium">
-                                        {(stat.display_name || stat.username).charAt(0).toUpperCase()}
-                                      </span>
-                                    </div>
-                                  )}
-                                  <span className={`font-medium ${stat.user_id === user.id ? 'text-blue-400' : ''}`}>
-                                    {stat.display_name || stat.username}
-                                    {stat.user_id === user.id && <span className="text-xs text-blue-400 ml-1">(You)</span>}
-                                  </span>
-                                </div>
-                              </td>
-                              <td className="py-3 px-4 font-medium">{Math.round(parseFloat(stat.total_points || 0))}</td>
-                              <td className="py-3 px-4">{parseFloat(stat.average_points || 0).toFixed(1)}</td>
-                              <td className="py-3 px-4">{stat.cycles_participated || 0}</td>
-                              <td className="py-3 px-4">{stat.cycles_won || 0}</td>
-                              <td className="py-3 px-4">
-                                {stat.cycles_participated > 0 
-                                  ? `${Math.round((stat.cycles_won / stat.cycles_participated) * 100)}%`
-                                  : '0%'
-                                }
-                              </td>
-                            </tr>
-                          ))}
-                      </tbody>
-                    </table>
-                  </div>
-                ) : (
-                  <p className="text-gray-500 text-center py-8">No season statistics available yet. Complete some cycles to see stats!</p>
-                )}
-              </div>
-
-              {/* Overall Club Stats */}
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6">
-                <div className="bg-gray-900 rounded-lg p-4 text-center">
-                  <div className="text-2xl font-bold text-blue-500">{clubStats?.totalCycles || club.total_cycles || 0}</div>
-                  <div className="text-sm text-gray-500">Total Cycles</div>
-                </div>
-                <div className="bg-gray-900 rounded-lg p-4 text-center">
-                  <div className="text-2xl font-bold text-green-500">{clubStats?.totalMovies || 0}</div>
-                  <div className="text-sm text-gray-500">Movies Watched</div>
-                </div>
-                <div className="bg-gray-900 rounded-lg p-4 text-center">
-                  <div className="text-2xl font-bold text-purple-500">{club.member_count || 0}</div>
-                  <div className="text-sm text-gray-500">Active Members</div>
-                </div>
-                <div className="bg-gray-900 rounded-lg p-4 text-center">
-                  <div className="text-2xl font-bold text-yellow-500">{themes.filter(t => !t.is_used).length || 0}</div>
-                  <div className="text-sm text-gray-500">Available Themes</div>
-                </div>
-              </div>
-            </div>
-          )}
-
-          {/* History Tab */}
-          {activeTab === 'history' && (
-            <div>
-              <h2 className="text-xl font-semibold mb-4">Cycle History</h2>
-              <p className="text-gray-500">Coming soon...</p>
-            </div>
-          )}
-        </div>
-      </div>
-
-      {/* Nomination Modal */}
-      {showNominationModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-gray-800 rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[80vh] overflow-y-auto">
-            <h2 className="text-xl font-semibold mb-4">Nominate a Movie</h2>
-            <MovieSearch onSelectMovie={setSelectedMovie} />
-            
-            {selectedMovie && (
-              <div className="mt-4 bg-gray-900 rounded-lg p-4">
-                <div className="flex gap-4">
-                  {selectedMovie.poster_path && (
-                    <img 
-                      src={`https://image.tmdb.org/t/p/w200${selectedMovie.poster_path}`}
-                      alt={selectedMovie.title}
-                      className="w-24 rounded"
-                    />
-                  )}
-                  <div>
-                    <h3 className="font-medium">{selectedMovie.title}</h3>
-                    <p className="text-sm text-gray-400">{selectedMovie.release_date?.split('-')[0]}</p>
-                    <p className="text-sm text-gray-400 mt-2">{selectedMovie.overview}</p>
-                  </div>
-                </div>
-              </div>
-            )}
-            
-            <div className="flex justify-end gap-2 mt-6">
-              <button
-                onClick={() => {
-                  setShowNominationModal(false);
-                  setSelectedMovie(null);
-                }}
-                className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded font-medium"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={handleNominate}
-                disabled={!selectedMovie}
-                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed px-4 py-2 rounded font-medium"
-              >
-                Nominate
-              </button>
-            </div>
-          </div>
-        </div>
-      )}
-
-      {/* Theme Modal */}
-      {showThemeModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-gray-800 rounded-lg p-6 max-w-md w-full mx-4">
-            <h2 className="text-xl font-semibold mb-4">Submit a Theme</h2>
-            <p className="text-sm text-gray-400 mb-4">
-              Themes should be broad enough for multiple movie choices but specific enough to be interesting.
-            </p>
-            <input
-              type="text"
-              value={newTheme}
-              onChange={(e) => setNewTheme(e.target.value)}
-              placeholder="e.g., Movies with plot twists"
-              className="w-full bg-gray-900 px-3 py-2 rounded mb-4"
-              maxLength={200}
-            />
-            <div className="text-sm text-gray-500 mb-4">{newTheme.length}/200 characters</div>
-            
-            <div className="flex justify-end gap-2">
-              <button
-                onClick={() => {
-                  setShowThemeModal(false);
-                  setNewTheme('');
-                }}
-                className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded font-medium"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={handleAddTheme}
-                disabled={!newTheme.trim()}
-                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed px-4 py-2 rounded font-medium"
-              >
-                Submit Theme
-              </button>
-            </div>
-          </div>
-        </div>
-      )}
-    </div>
-  );
-};
-
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import api, { handleApiError, subscribeToClubEvents } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import MovieSearch from '../components/MovieSearch';
+import ReviewList from '../components/ReviewList';
+import CommentThread from '../components/CommentThread';
+
+// Form values for a theme's optional constraints (see services/themes.js on the backend)
+const EMPTY_THEME_CONSTRAINTS = { minYear: '', maxYear: '', maxRuntime: '', genreId: '', originalLanguage: '' };
+
+const ClubPage = () => {
+  const { clubname } = useParams(); // Using clubname from URL params
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [club, setClub] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [activeTab, setActiveTab] = useState('overview');
+  const [members, setMembers] = useState([]);
+  const [themes, setThemes] = useState([]);
+  const [clubStats, setClubStats] = useState(null);
+  const [showNominationModal, setShowNominationModal] = useState(false);
+  const [selectedMovie, setSelectedMovie] = useState(null);
+  const [swapNomination, setSwapNomination] = useState(null); // own nomination being replaced
+  const [showThemeModal, setShowThemeModal] = useState(false);
+  const [newTheme, setNewTheme] = useState('');
+  const [showThemePicker, setShowThemePicker] = useState(false); // director_pick clubs choose the theme
+  const [pickedThemeId, setPickedThemeId] = useState('');
+  const [editingTheme, setEditingTheme] = useState(null); // theme a director is editing in the theme modal
+  const [themeConstraints, setThemeConstraints] = useState(EMPTY_THEME_CONSTRAINTS);
+  const [genres, setGenres] = useState([]);
+  const [currentCycle, setCurrentCycle] = useState(null);
+  const [nominations, setNominations] = useState([]);
+  const [watchProgress, setWatchProgress] = useState([]);
+  const [clubReviews, setClubReviews] = useState(null);
+  const [reviewingNomination, setReviewingNomination] = useState(null); // film the user is reviewing
+  const [reviewForm, setReviewForm] = useState({ rating: '', review: '' });
+  const [filmReviews, setFilmReviews] = useState(null); // { nomination, reviews } shown in the reviews modal
+  const [discussionNomination, setDiscussionNomination] = useState(null); // film whose comment thread is open
+  const [showDeadlineModal, setShowDeadlineModal] = useState(false);
+  const [deadlineForm, setDeadlineForm] = useState({
+    nominationDeadline: '',
+    watchingDeadline: '',
+    rankingDeadline: ''
+  });
+
+  useEffect(() => {
+    if (clubname) {
+      fetchClubData();
+    }
+  }, [clubname]);
+
+  // Live updates: events only say what changed, so refetch the affected data
+  useEffect(() => {
+    if (!club?.id) return;
+
+    return subscribeToClubEvents((type, event) => {
+      if (event.club_id !== club.id) return;
+
+      if (type === 'phase_changed') {
+        // Stats and reviews change when a cycle finishes; reload them next time they're shown
+        setClubStats(null);
+        setClubReviews(null);
+        fetchClubData(true);
+      } else if (type === 'theme_added') {
+        fetchThemes();
+      } else {
+        fetchCycleData();
+      }
+    });
+  }, [club?.id]);
+
+  // silent: refresh in place without the full-page spinner (used for live updates)
+  const fetchClubData = async (silent = false) => {
+    try {
+      if (!silent) setLoading(true);
+      setError('');
+      
+      // Fetch club by name using the correct endpoint
+      const response = await api.get(`/clubs/by-name/${clubname}`);
+      setClub(response.data.club);
+      
+      // Fetch additional data based on active tab
+      if (response.data.club.current_cycle) {
+        fetchCycleData(response.data.club.current_cycle.id);
+      } else {
+        setCurrentCycle(null);
+      }
+    } catch (err) {
+      console.error('Error fetching club:', err);
+      setError(handleApiError(err, 'Failed to load club'));
+      // Don't automatically navigate away - let user see the error
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchMembers = async () => {
+    try {
+      const response = await api.get(`/clubs/${club.id}/members`);
+      setMembers(response.data.members);
+    } catch (err) {
+      console.error('Error fetching members:', err);
+    }
+  };
+
+  const fetchThemes = async () => {
+    try {
+      const response = await api.get(`/clubs/${club.id}/themes`);
+      setThemes(response.data.themes);
+      setGenres(response.data.genres || []);
+    } catch (err) {
+      console.error('Error fetching themes:', err);
+    }
+  };
+
+  const fetchClubStats = async () => {
+    try {
+      const response = await api.get(`/clubs/${club.id}/stats`);
+      setClubStats(response.data);
+    } catch (err) {
+      console.error('Error fetching club stats:', err);
+    }
+  };
+
+  const fetchClubReviews = async () => {
+    try {
+      const response = await api.get(`/clubs/${club.id}/reviews`);
+      setClubReviews(response.data.reviews);
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+    }
+  };
+
+  const fetchCycleData = async (cycleId) => {
+    try {
+      const response = await api.get(`/cycles/${club.id}/current`);
+      if (response.data.cycle) {
+        setCurrentCycle(response.data.cycle);
+        setNominations(response.data.cycle.nominations || []);
+        setWatchProgress(response.data.cycle.user_progress || []);
+      }
+    } catch (err) {
+      console.error('Error fetching cycle data:', err);
+    }
+  };
+
+  const handleStartCycle = async () => {
+    if (club.settings?.theme_selection === 'director_pick' && !showThemePicker) {
+      await fetchThemes();
+      setPickedThemeId('');
+      setShowThemePicker(true);
+      return;
+    }
+
+    try {
+      await api.post(`/cycles/${club.id}/start`, showThemePicker ? { themeId: pickedThemeId } : {});
+      setShowThemePicker(false);
+      await fetchClubData();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to start cycle');
+    }
+  };
+
+  const handleProgressPhase = async () => {
+    try {
+      await api.put(`/cycles/${currentCycle.id}/phase`, { action: 'next' });
+      await fetchClubData();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to progress phase');
+    }
+  };
+
+  const handleRerollTheme = async () => {
+    try {
+      await api.post(`/cycles/${currentCycle.id}/theme-draft/reroll`);
+      await fetchCycleData(currentCycle.id);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to re-roll theme');
+    }
+  };
+
+  const handleThemeVeto = async (veto) => {
+    try {
+      if (veto) {
+        await api.post(`/cycles/${currentCycle.id}/theme-draft/veto`);
+      } else {
+        await api.delete(`/cycles/${currentCycle.id}/theme-draft/veto`);
+      }
+      await fetchCycleData(currentCycle.id);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to update veto');
+    }
+  };
+
+  const openDeadlineModal = () => {
+    setDeadlineForm({
+      nominationDeadline: toDateTimeInput(currentCycle.nomination_deadline),
+      watchingDeadline: toDateTimeInput(currentCycle.watching_deadline),
+      rankingDeadline: toDateTimeInput(currentCycle.ranking_deadline)
+    });
+    setShowDeadlineModal(true);
+  };
+
+  const handleSaveDeadlines = async () => {
+    try {
+      // Empty inputs clear the deadline; datetime-local values are in the viewer's timezone
+      const payload = {};
+      Object.entries(deadlineForm).forEach(([key, value]) => {
+        payload[key] = value ? new Date(value).toISOString() : null;
+      });
+
+      await api.put(`/cycles/${currentCycle.id}/deadlines`, payload);
+      setShowDeadlineModal(false);
+      await fetchCycleData(currentCycle.id);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to update deadlines');
+    }
+  };
+
+  const handleNominate = async (override = false) => {
+    if (!selectedMovie) return;
+    
+    try {
+      const movieData = {
+        tmdbId: selectedMovie.id,
+        title: selectedMovie.title,
+        posterPath: selectedMovie.poster_path,
+        overview: selectedMovie.overview,
+        releaseDate: selectedMovie.release_date,
+        override
+      };
+
+      const res = swapNomination
+        ? await api.put(`/cycles/${currentCycle.id}/nominations/${swapNomination.id}`, movieData)
+        : await api.post(`/cycles/${currentCycle.id}/nominate`, movieData);
+      closeNominationModal();
+      await fetchCycleData(currentCycle.id);
+      if (res.data.warning) {
+        alert(res.data.warning);
+      }
+    } catch (err) {
+      // Directors can push through a movie that breaks the theme's constraints
+      if (err.response?.data?.violations && canManageClub && !override
+        && window.confirm(`${err.response.data.error}\n\nNominate it anyway?`)) {
+        return handleNominate(true);
+      }
+      alert(err.response?.data?.error || 'Failed to nominate movie');
+    }
+  };
+
+  const handleAllowNomination = async (nomination) => {
+    try {
+      await api.put(`/cycles/${currentCycle.id}/nominations/${nomination.id}/override`);
+      await fetchCycleData(currentCycle.id);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to allow nomination');
+    }
+  };
+
+  const openSwapModal = (nomination) => {
+    setSwapNomination(nomination);
+    setShowNominationModal(true);
+  };
+
+  const closeNominationModal = () => {
+    setShowNominationModal(false);
+    setSelectedMovie(null);
+    setSwapNomination(null);
+  };
+
+  const handleWithdrawNomination = async (nomination) => {
+    if (!window.confirm(`Withdraw ${nomination.title}?`)) return;
+
+    try {
+      await api.delete(`/cycles/${currentCycle.id}/nominations/${nomination.id}`);
+      await fetchCycleData(currentCycle.id);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to withdraw nomination');
+    }
+  };
+
+  const openEditThemeModal = (theme) => {
+    const constraints = theme.constraints || {};
+    setEditingTheme(theme);
+    setNewTheme(theme.theme_text);
+    setThemeConstraints({
+      minYear: constraints.minYear || '',
+      maxYear: constraints.maxYear || '',
+      maxRuntime: constraints.maxRuntime || '',
+      genreId: constraints.genreIds?.[0] || '',
+      originalLanguage: constraints.originalLanguage || ''
+    });
+    setShowThemeModal(true);
+  };
+
+  const closeThemeModal = () => {
+    setShowThemeModal(false);
+    setNewTheme('');
+    setEditingTheme(null);
+    setThemeConstraints(EMPTY_THEME_CONSTRAINTS);
+  };
+
+  const handleDeleteTheme = async (theme) => {
+    if (!window.confirm(`Delete the theme "${theme.theme_text}"?`)) return;
+
+    try {
+      await api.delete(`/clubs/${club.id}/themes/${theme.id}`);
+      await fetchThemes();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to delete theme');
+    }
+  };
+
+  // action is 'archive' or 'restore' (return to pool)
+  const handleThemeAction = async (theme, action) => {
+    try {
+      await api.post(`/clubs/${club.id}/themes/${theme.id}/${action}`);
+      await fetchThemes();
+    } catch (err) {
+      alert(err.response?.data?.error || `Failed to ${action} theme`);
+    }
+  };
+
+  // Clicking your current vote again clears it
+  const handleThemeVote = async (theme, vote) => {
+    try {
+      const response = await api.put(`/clubs/${club.id}/themes/${theme.id}/vote`, {
+        vote: theme.my_vote === vote ? 0 : vote
+      });
+      setThemes(prev => prev.map(t => (t.id === theme.id ? { ...t, ...response.data } : t)));
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to vote on theme');
+    }
+  };
+
+  const handleAddTheme = async () => {
+    if (!newTheme.trim()) return;
+    
+    try {
+      const { genreId, ...constraints } = themeConstraints;
+      const themeData = {
+        themeText: newTheme,
+        constraints: { ...constraints, genreIds: genreId ? [genreId] : [] }
+      };
+
+      if (editingTheme) {
+        await api.put(`/clubs/${club.id}/themes/${editingTheme.id}`, themeData);
+      } else {
+        await api.post(`/clubs/${club.id}/themes`, themeData);
+      }
+      closeThemeModal();
+      await fetchThemes();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to save theme');
+    }
+  };
+
+  const handleMarkWatched = async (movieId) => {
+    try {
+      await api.put(`/cycles/${currentCycle.id}/watch/${movieId}`, { watched: true });
+      await fetchCycleData(currentCycle.id);
+    } catch (err) {
+      alert('Failed to update watch status');
+    }
+  };
+
+  const openReviewModal = (nomination) => {
+    const progress = watchProgress.find(w => w.nomination_id === nomination.id);
+    setReviewForm({
+      rating: progress?.rating ?? '',
+      review: progress?.personal_notes || ''
+    });
+    setReviewingNomination(nomination);
+  };
+
+  // Saving an empty form removes the review
+  const handleSaveReview = async (remove = false) => {
+    try {
+      await api.put(
+        `/cycles/${currentCycle.id}/nominations/${reviewingNomination.id}/review`,
+        remove ? {} : reviewForm
+      );
+      setReviewingNomination(null);
+      setClubReviews(null);
+      await fetchCycleData(currentCycle.id);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to save review');
+    }
+  };
+
+  const openFilmReviews = async (nomination) => {
+    try {
+      const response = await api.get(`/cycles/${currentCycle.id}/nominations/${nomination.id}/reviews`);
+      setFilmReviews({ nomination, reviews: response.data.reviews });
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to load reviews');
+    }
+  };
+
+  const handleLeaveClub = async () => {
+    if (!window.confirm('Are you sure you want to leave this club?')) return;
+    
+    try {
+      await api.post(`/clubs/${club.id}/leave`);
+      navigate('/dashboard');
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to leave club');
+    }
+  };
+
+  // Convert an API timestamp into the value a datetime-local input expects
+  const toDateTimeInput = (timestamp) => {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  };
+
+  const formatDeadline = (timestamp) => {
+    return new Date(timestamp).toLocaleString(undefined, {
+      weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+  };
+
+  const formatRuntime = (minutes) => {
+    if (!minutes) return '';
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+  };
+
+  // Get image URL using nginx proxy
+  const getImageUrl = (imagePath) => {
+    if (!imagePath) return null;
+    // Use relative path - nginx will proxy to backend
+    return imagePath;
+  };
+
+  useEffect(() => {
+    if (club && activeTab === 'members' && members.length === 0) {
+      fetchMembers();
+    }
+    if (club && activeTab === 'themes' && themes.length === 0) {
+      fetchThemes();
+    }
+    if (club && activeTab === 'stats' && !clubStats) {
+      fetchClubStats();
+    }
+    if (club && activeTab === 'reviews' && !clubReviews) {
+      fetchClubReviews();
+    }
+  }, [activeTab, club]);
+  if (loading) return <LoadingSpinner />;
+
+  if (error) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        <div className="bg-gray-800 rounded-lg p-8 text-center">
+          <p className="text-red-400 mb-4">{error}</p>
+          <button 
+            onClick={() => navigate('/dashboard')}
+            className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-medium"
+          >
+            Back to Dashboard
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!club) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        <div className="bg-gray-800 rounded-lg p-8 text-center">
+          <p className="text-gray-400 mb-4">Club not found</p>
+          <button 
+            onClick={() => navigate('/dashboard')}
+            className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-medium"
+          >
+            Back to Dashboard
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const canManageClub = club.user_role === 'director' || club.user_role === 'producer';
+  const poolThemes = themes.filter(t => !t.is_used && !t.archived_at);
+  const usedThemes = themes.filter(t => t.is_used && !t.archived_at);
+  const archivedThemes = themes.filter(t => t.archived_at);
+
+  // One row in the themes tab; the actions on offer depend on where the theme sits and who you are
+  const renderThemeRow = (theme) => {
+    const inPool = !theme.is_used && !theme.archived_at;
+    const canDelete = canManageClub || (inPool && theme.submitted_by === user.id);
+
+    return (
+      <div
+        key={theme.id}
+        className={`bg-gray-900 rounded-lg p-3 ${inPool ? '' : 'opacity-75'}`}
+      >
+        <div className="flex justify-between items-start gap-4">
+          <div className="flex items-start gap-3 flex-1">
+            {inPool && (
+              <div className="flex flex-col items-center text-sm">
+                <button
+                  onClick={() => handleThemeVote(theme, 1)}
+                  className={theme.my_vote === 1 ? 'text-green-400' : 'text-gray-500 hover:text-white'}
+                  title="Upvote"
+                >
+                  ▲
+                </button>
+                <span className="font-medium">{theme.score}</span>
+                <button
+                  onClick={() => handleThemeVote(theme, -1)}
+                  className={theme.my_vote === -1 ? 'text-red-400' : 'text-gray-500 hover:text-white'}
+                  title="Downvote"
+                >
+                  ▼
+                </button>
+              </div>
+            )}
+            <div className="flex-1">
+              <p className="font-medium">{theme.theme_text}</p>
+              {theme.constraint_summary?.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {theme.constraint_summary.map(line => (
+                    <span key={line} className="text-xs bg-gray-800 text-gray-300 px-2 py-0.5 rounded">{line}</span>
+                  ))}
+                </div>
+              )}
+              <p className="text-sm text-gray-500 mt-1">
+                Submitted by {theme.submitted_by_display_name || theme.submitted_by_username}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-3 text-sm">
+            {theme.is_used && (
+              <span className="text-xs bg-gray-700 px-2 py-1 rounded">Used</span>
+            )}
+            {canManageClub && inPool && (
+              <button
+                onClick={() => openEditThemeModal(theme)}
+                className="text-gray-400 hover:text-white"
+              >
+                Edit
+              </button>
+            )}
+            {canManageClub && !theme.archived_at && (
+              <button onClick={() => handleThemeAction(theme, 'archive')} className="text-gray-400 hover:text-white">
+                Archive
+              </button>
+            )}
+            {canManageClub && !inPool && (
+              <button onClick={() => handleThemeAction(theme, 'restore')} className="text-blue-400 hover:text-blue-300">
+                Return to Pool
+              </button>
+            )}
+            {canDelete && (
+              <button onClick={() => handleDeleteTheme(theme)} className="text-red-400 hover:text-red-300">
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+  const canStartCycle = canManageClub && (!currentCycle || currentCycle.phase === 'idle');
+  const canProgressPhase = canManageClub && currentCycle && currentCycle.phase !== 'idle';
+  const currentDeadline = currentCycle && {
+    nomination: currentCycle.nomination_deadline,
+    watching: currentCycle.watching_deadline,
+    ranking: currentCycle.ranking_deadline
+  }[currentCycle.phase];
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-8">
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-900/50 border border-red-600 text-red-200 p-4 rounded-lg mb-6">
+          {error}
+          <button
+            onClick={fetchClubData}
+            className="ml-4 text-red-300 hover:text-red-100 underline"
+          >
+            Try again
+          </button>
+        </div>
+      )}
+
+      {/* Club Header */}
+      <div className="bg-gray-800 rounded-lg p-6 mb-6">
+        <div className="flex items-start gap-6">
+          {club.club_picture ? (
+            <img 
+              src={getImageUrl(club.club_picture)}
+              alt={club.name}
+              className="w-32 h-32 rounded-lg object-cover"
+            />
+          ) : (
+            <div className="w-32 h-32 bg-gray-700 rounded-lg flex items-center justify-center">
+              <span className="text-4xl font-bold text-gray-500">
+                {club.name.charAt(0).toUpperCase()}
+              </span>
+            </div>
+          )}
+          
+          <div className="flex-1">
+            <h1 className="text-3xl font-bold mb-2">{club.name}</h1>
+            {club.description && (
+              <p className="text-gray-400 mb-4">{club.description}</p>
+            )}
+            
+            <div className="flex flex-wrap gap-4 text-sm">
+              <div>
+                <span className="text-gray-500">Members:</span>
+                <span className="ml-2 font-medium">{club.member_count || 0}</span>
+              </div>
+              <div>
+                <span className="text-gray-500">Total Cycles:</span>
+                <span className="ml-2 font-medium">{club.total_cycles || 0}</span>
+              </div>
+              <div>
+                <span className="text-gray-500">Your Role:</span>
+                <span className="ml-2 font-medium capitalize">{club.user_role}</span>
+              </div>
+              {club.invite_code && canManageClub && (
+                <div>
+                  <span className="text-gray-500">Invite Code:</span>
+                  <span className="ml-2 font-mono font-medium bg-gray-700 px-2 py-1 rounded">
+                    {club.invite_code}
+                  </span>
+                </div>
+              )}
+            </div>
+          </div>
+          
+          <div className="flex flex-col gap-2">
+            {canStartCycle && (
+              <button 
+                onClick={handleStartCycle}
+                className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded font-medium transition-colors"
+              >
+                Start New Cycle
+              </button>
+            )}
+            {canProgressPhase && (
+              <button 
+                onClick={handleProgressPhase}
+                className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-medium transition-colors"
+              >
+                Next Phase
+              </button>
+            )}
+            {canManageClub && (
+              <button 
+                onClick={() => navigate(`/club/${clubname}/settings`)}
+                className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded font-medium transition-colors"
+              >
+                Settings
+              </button>
+            )}
+            {club.user_role === 'critic' && (
+              <button 
+                onClick={handleLeaveClub}
+                className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded font-medium transition-colors"
+              >
+                Leave Club
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Tabs */}
+      <div className="bg-gray-800 rounded-lg">
+        <div className="border-b border-gray-700">
+          <nav className="flex -mb-px">
+            {['overview', 'current-cycle', 'members', 'themes', 'stats', 'reviews', 'history'].map((tab) => (
+              <button
+                key={tab}
+                onClick={() => setActiveTab(tab)}
+                className={`px-6 py-3 border-b-2 font-medium text-sm capitalize transition-colors ${
+                  activeTab === tab
+                    ? 'border-blue-500 text-blue-500'
+                    : 'border-transparent text-gray-400 hover:text-white hover:border-gray-300'
+                }`}
+              >
+                {tab.replace('-', ' ')}
+              </button>
+            ))}
+          </nav>
+        </div>
+
+        <div className="p-6">
+          {/* Overview Tab */}
+          {activeTab === 'overview' && (
+            <div>
+              <h2 className="text-xl font-semibold mb-4">Club Overview</h2>
+              {currentCycle && currentCycle.phase !== 'idle' ? (
+                <div className="bg-gray-900 rounded-lg p-4 mb-4">
+                  <h3 className="font-medium mb-2">Current Cycle</h3>
+                  <p className="text-gray-400">Theme: {currentCycle.theme_text}</p>
+                  <p className="text-gray-400">Phase: <span className="capitalize">{currentCycle.phase.replace('_', ' ')}</span></p>
+                  <p className="text-gray-400">Started: {new Date(currentCycle.started_at).toLocaleDateString()}</p>
+                  {currentDeadline && (
+                    <p className="text-gray-400">Phase ends: {formatDeadline(currentDeadline)}</p>
+                  )}
+                </div>
+              ) : (
+                <p className="text-gray-500">No active cycle. {canManageClub ? 'Start a new cycle to begin!' : 'Waiting for a director to start a new cycle.'}</p>
+              )}
+              
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-6">
+                <div className="bg-gray-900 rounded-lg p-4 text-center">
+                  <div className="text-2xl font-bold">{club.member_count || 0}</div>
+                  <div className="text-sm text-gray-500">Active Members</div>
+                </div>
+                <div className="bg-gray-900 rounded-lg p-4 text-center">
+                  <div className="text-2xl font-bold">{club.total_cycles || 0}</div>
+                  <div className="text-sm text-gray-500">Completed Cycles</div>
+                </div>
+                <div className="bg-gray-900 rounded-lg p-4 text-center">
+                  <div className="text-2xl font-bold">{poolThemes.length || '?'}</div>
+                  <div className="text-sm text-gray-500">Available Themes</div>
+                </div>
+              </div>
+
+              {/* Genre and director breakdown */}
+              {(clubStats?.genreBreakdown?.length > 0 || clubStats?.directorBreakdown?.length > 0) && (
+                <div className="grid md:grid-cols-2 gap-4 mt-6">
+                  <div className="bg-gray-900 rounded-lg p-6">
+                    <h3 className="text-lg font-medium mb-4">Genres</h3>
+                    <div className="space-y-2 text-sm">
+                      {clubStats.genreBreakdown.map(genre => (
+                        <div key={genre.genre_id} className="flex justify-between">
+                          <span>{genre.genre}</span>
+                          <span className="text-gray-400">
+                            {genre.nominations} nominated · {genre.wins} won
+                            {genre.average_rank && ` · avg rank ${parseFloat(genre.average_rank).toFixed(1)}`}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="bg-gray-900 rounded-lg p-6">
+                    <h3 className="text-lg font-medium mb-4">Directors</h3>
+                    <div className="space-y-2 text-sm">
+                      {clubStats.directorBreakdown.map(director => (
+                        <div key={director.director} className="flex justify-between">
+                          <span>{director.director}</span>
+                          <span className="text-gray-400">
+                            {director.nominations} nominated · {director.wins} won
+                            {director.average_rank && ` · avg rank ${parseFloat(director.average_rank).toFixed(1)}`}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Current Cycle Tab */}
+          {activeTab === 'current-cycle' && (
+            <div>
+              <h2 className="text-xl font-semibold mb-4">Current Cycle</h2>
+              {currentCycle && currentCycle.phase !== 'idle' ? (
+                <div>
+                  <div className="bg-gray-900 rounded-lg p-4 mb-6">
+                    <div className="flex justify-between items-start">
+                      <h3 className="text-lg font-medium mb-2">{currentCycle.theme_text}</h3>
+                      {canManageClub && (
+                        <button
+                          onClick={openDeadlineModal}
+                          className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-sm font-medium"
+                        >
+                          Deadlines
+                        </button>
+                      )}
+                    </div>
+                    {currentCycle.theme_constraint_summary?.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mb-2">
+                        {currentCycle.theme_constraint_summary.map(line => (
+                          <span key={line} className="text-xs bg-gray-800 text-gray-300 px-2 py-0.5 rounded">{line}</span>
+                        ))}
+                      </div>
+                    )}
+                    <div className="flex gap-4 text-sm text-gray-400">
+                      <span>Phase: <span className="capitalize text-white">{currentCycle.phase.replace('_', ' ')}</span></span>
+                      <span>Cycle #{currentCycle.cycle_number}</span>
+                      {currentDeadline && (
+                        <span>Ends: <span className="text-white">{formatDeadline(currentDeadline)}</span></span>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Theme Draft */}
+                  {currentCycle.phase === 'theme_draft' && currentCycle.theme_draft && (
+                    <div className="bg-gray-900 rounded-lg p-6 text-center">
+                      <p className="text-sm text-gray-400 mb-1">The drawn theme is</p>
+                      <h3 className="text-2xl font-bold mb-4">{currentCycle.theme_text}</h3>
+                      {currentCycle.theme_draft.veto_quorum && (
+                        <p className="text-sm text-gray-400 mb-4">
+                          {currentCycle.theme_draft.vetoes >= currentCycle.theme_draft.veto_quorum
+                            ? 'Vetoed, but there are no other themes left to draw. A director can still open nominations with it.'
+                            : `${currentCycle.theme_draft.vetoes} of ${currentCycle.theme_draft.veto_quorum} vetoes needed to re-roll`}
+                        </p>
+                      )}
+                      <div className="flex justify-center gap-2">
+                        {currentCycle.theme_draft.veto_quorum && (
+                          <button
+                            onClick={() => handleThemeVeto(!currentCycle.theme_draft.vetoed_by_me)}
+                            className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded text-sm font-medium"
+                          >
+                            {currentCycle.theme_draft.vetoed_by_me ? 'Withdraw Veto' : 'Veto Theme'}
+                          </button>
+                        )}
+                        {canManageClub && (
+                          <>
+                            <button
+                              onClick={handleRerollTheme}
+                              disabled={currentCycle.theme_draft.rerolls_left === 0}
+                              className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed px-4 py-2 rounded text-sm font-medium"
+                            >
+                              Re-roll ({currentCycle.theme_draft.rerolls_left} left)
+                            </button>
+                            <button
+                              onClick={handleProgressPhase}
+                              className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded text-sm font-medium"
+                            >
+                              Open Nominations
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Nomination Phase */}
+                  {currentCycle.phase === 'nomination' && (
+                    <div>
+                      <div className="flex justify-between items-center mb-4">
+                        <h3 className="font-medium">Nominations</h3>
+                        {nominations.filter(n => n.is_own).length < (club.settings?.nominations_per_member || 1) && (
+                          <button 
+                            onClick={() => setShowNominationModal(true)}
+                            className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded text-sm font-medium"
+                          >
+                            Nominate a Movie
+                          </button>
+                        )}
+                      </div>
+                      
+                      {nominations.length === 0 ? (
+                        <p className="text-gray-500">No nominations yet. Be the first!</p>
+                      ) : (
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                          {nominations.map(nom => (
+                            <div key={nom.id} className="bg-gray-900 rounded-lg p-3">
+                              <div className="text-sm font-medium mb-1">
+                                {nom.is_own ? 'Your Nomination' : 'Nominated'}
+                              </div>
+                              {nom.constraint_flags && (nom.is_own || canManageClub) && (
+                                <div className={`text-xs mb-2 ${nom.constraint_overridden ? 'text-gray-500' : 'text-yellow-400'}`}>
+                                  {!nom.is_own && <div className="text-gray-300">{nom.title}</div>}
+                                  {nom.constraint_flags.map(flag => <div key={flag}>⚠ {flag}</div>)}
+                                  {nom.constraint_overridden ? (
+                                    <div>Allowed by a director</div>
+                                  ) : canManageClub && (
+                                    <button
+                                      onClick={() => handleAllowNomination(nom)}
+                                      className="text-blue-400 hover:text-blue-300"
+                                    >
+                                      Allow anyway
+                                    </button>
+                                  )}
+                                </div>
+                              )}
+                              {nom.is_own ? (
+                                <>
+                                  <div className="text-xs text-gray-300 mb-2">{nom.title}</div>
+                                  <div className="flex gap-2">
+                                    <button
+                                      onClick={() => openSwapModal(nom)}
+                                      className="text-xs text-blue-400 hover:text-blue-300"
+                                    >
+                                      Swap
+                                    </button>
+                                    <button
+                                      onClick={() => handleWithdrawNomination(nom)}
+                                      className="text-xs text-red-400 hover:text-red-300"
+                                    >
+                                      Withdraw
+                                    </button>
+                                  </div>
+                                </>
+                              ) : (
+                                <div className="text-xs text-gray-500">Hidden until watching phase</div>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Watching Phase */}
+                  {currentCycle.phase === 'watching' && (
+                    <div>
+                      <div className="flex justify-between items-baseline mb-4">
+                        <h3 className="font-medium">Movies to Watch</h3>
+                        {nominations.some(nom => nom.runtime) && (
+                          <span className="text-sm text-gray-400">
+                            Total runtime: {formatRuntime(nominations.reduce((sum, nom) => sum + (nom.runtime || 0), 0))}
+                          </span>
+                        )}
+                      </div>
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        {nominations.map(nom => {
+                          const watched = watchProgress.find(w => w.nomination_id === nom.id)?.watched;
+                          
+                          return (
+                            <div key={nom.id} className="bg-gray-900 rounded-lg overflow-hidden">
+                              {nom.poster_path && (
+                                <img 
+                                  src={`https://image.tmdb.org/t/p/w200${nom.poster_path}`}
+                                  alt={nom.title}
+                                  className="w-full"
+                                />
+                              )}
+                              <div className="p-3">
+                                <h4 className="font-medium text-sm">{nom.title}</h4>
+                                <p className="text-xs text-gray-500 mb-2">
+                                  {[nom.year, nom.director, formatRuntime(nom.runtime)].filter(Boolean).join(' · ')}
+                                </p>
+                                {nom.is_own ? (
+                                  <span className="text-xs text-blue-500">Your nomination</span>
+                                ) : (
+                                  <button
+                                    onClick={() => handleMarkWatched(nom.id)}
+                                    className={`w-full text-xs py-1 px-2 rounded ${
+                                      watched 
+                                        ? 'bg-green-600 text-white' 
+                                        : 'bg-gray-700 hover:bg-gray-600'
+                                    }`}
+                                  >
+                                    {watched ? '✓ Watched' : 'Mark Watched'}
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => setDiscussionNomination(nom)}
+                                  className="w-full text-xs py-1 px-2 rounded bg-gray-700 hover:bg-gray-600 mt-2"
+                                >
+                                  Discuss
+                                </button>
+                                {/* Reviews open up once you've seen the film (your own nomination counts) */}
+                                {(watched || nom.is_own) && (
+                                  <div className="flex gap-2 mt-2">
+                                    {!nom.is_own && (
+                                      <button
+                                        onClick={() => openReviewModal(nom)}
+                                        className="flex-1 text-xs py-1 px-2 rounded bg-gray-700 hover:bg-gray-600"
+                                      >
+                                        {watchProgress.find(w => w.nomination_id === nom.id)?.reviewed_at ? 'Edit Review' : 'Review'}
+                                      </button>
+                                    )}
+                                    <button
+                                      onClick={() => openFilmReviews(nom)}
+                                      className="flex-1 text-xs py-1 px-2 rounded bg-gray-700 hover:bg-gray-600"
+                                    >
+                                      Reviews
+                                    </button>
+                                  </div>
+                                )}
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+
+                      {currentCycle.watch_status && nominations.length > 0 && (
+                        <div className="mt-6">
+                          <h3 className="font-medium mb-3">
+                            Watch Progress
+                            <span className="text-sm text-gray-400 font-normal ml-2">
+                              {currentCycle.watch_status.filter(m => m.completion === 100).length} of {currentCycle.watch_status.length} members done
+                            </span>
+                          </h3>
+                          <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                              <thead>
+                                <tr className="text-gray-400">
+                                  <th className="text-left font-normal py-2 pr-4">Member</th>
+                                  {currentCycle.nominations_blind ? (
+                                    <th className="font-normal py-2 px-2">Watched</th>
+                                  ) : nominations.map(nom => (
+                                    <th key={nom.id} className="font-normal py-2 px-2 max-w-[8rem] truncate" title={nom.title}>
+                                      {nom.title}
+                                    </th>
+                                  ))}
+                                  <th className="text-right font-normal py-2 pl-4">Done</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {currentCycle.watch_status.map(member => (
+                                  <tr key={member.user_id} className="border-t border-gray-700">
+                                    <td className="py-2 pr-4">{member.club_display_name || member.display_name || member.username}</td>
+                                    {currentCycle.nominations_blind ? (
+                                      <td className="py-2 px-2 text-center text-gray-300">
+                                        {member.watched_count} of {member.to_watch_count}
+                                      </td>
+                                    ) : nominations.map(nom => (
+                                      <td key={nom.id} className="py-2 px-2 text-center">
+                                        {nom.user_id === member.user_id ? (
+                                          <span className="text-gray-500" title="Their nomination">—</span>
+                                        ) : member.watched.includes(nom.id) ? (
+                                          <span className="text-green-500">✓</span>
+                                        ) : (
+                                          <span className="text-gray-600">·</span>
+                                        )}
+                                      </td>
+                                    ))}
+                                    <td className={`py-2 pl-4 text-right ${member.completion === 100 ? 'text-green-500' : 'text-gray-300'}`}>
+                                      {member.completion}%
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Ranking Phase */}
+                  {currentCycle.phase === 'ranking' && (
+                    <div>
+                      <h3 className="font-medium mb-4">Time to Rank!</h3>
+                      <button 
+                        onClick={() => navigate(`/club/${clubname}/ranking`)}
+                        className="bg-blue-600 hover:bg-blue-700 px-6 py-3 rounded font-medium"
+                      >
+                        {currentCycle.user_ranking_submitted ? 'View Your Rankings' : 'Rank the Movies'}
+                      </button>
+                      {currentCycle.ranking_status && (
+                        <p className="text-sm text-gray-400 mt-3">
+                          {currentCycle.ranking_status.filter(m => m.locked_in).length} of {currentCycle.ranking_status.length} members locked in
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Results Phase */}
+                  {currentCycle.phase === 'results' && (
+                    <div>
+                      <h3 className="font-medium mb-4">Cycle Results</h3>
+                      <button 
+                        onClick={() => navigate(`/club/${clubname}/results/${currentCycle.id}`)}
+                        className="bg-blue-600 hover:bg-blue-700 px-6 py-3 rounded font-medium"
+                      >
+                        View Results
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <p className="text-gray-500">No active cycle.</p>
+              )}
+            </div>
+          )}
+          {/* Members Tab */}
+          {activeTab === 'members' && (
+            <div>
+              <h2 className="text-xl font-semibold mb-4">Members ({members.length})</h2>
+              <div className="space-y-3">
+                {members.map(member => (
+                  <div key={member.id} className="bg-gray-900 rounded-lg p-4 flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                      {member.profile_picture ? (
+                        <img 
+                          src={getImageUrl(member.profile_picture)}
+                          alt={member.display_name || member.username}
+                          className="w-10 h-10 rounded-full object-cover"
+                        />
+                      ) : (
+                        <div className="w-10 h-10 bg-gray-700 rounded-full flex items-center justify-center">
+                          <span className="font-medium">
+                            {(member.display_name || member.username).charAt(0).toUpperCase()}
+                          </span>
+                        </div>
+                      )}
+                      <div>
+                        <div className="font-medium">{member.display_name || member.username}</div>
+                        <div className="text-sm text-gray-500 capitalize">{member.role}</div>
+                      </div>
+                    </div>
+                    <div className="text-right text-sm">
+                      <div className="text-gray-400">Avg Points: {parseFloat(member.average_points || 0).toFixed(1)}</div>
+                      <div className="text-gray-400">Wins: {member.cycles_won || 0}</div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Themes Tab */}
+          {activeTab === 'themes' && (
+            <div>
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold">Theme Pool</h2>
+                <button 
+                  onClick={() => setShowThemeModal(true)}
+                  className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded text-sm font-medium"
+                >
+                  Submit Theme
+                </button>
+              </div>
+              
+              <div className="space-y-2">
+                {poolThemes.length === 0 ? (
+                  <p className="text-gray-500">No themes in the pool. Submit one!</p>
+                ) : (
+                  poolThemes.map(renderThemeRow)
+                )}
+              </div>
+
+              {usedThemes.length > 0 && (
+                <>
+                  <h3 className="text-lg font-medium mt-6 mb-2">Used</h3>
+                  <div className="space-y-2">{usedThemes.map(renderThemeRow)}</div>
+                </>
+              )}
+
+              {archivedThemes.length > 0 && (
+                <>
+                  <h3 className="text-lg font-medium mt-6 mb-2">Archive</h3>
+                  <div className="space-y-2">{archivedThemes.map(renderThemeRow)}</div>
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Stats Tab with Enhanced User Table */}
+          {activeTab === 'stats' && (
+            <div>
+              <h2 className="text-xl font-semibold mb-4">Club Statistics</h2>
+              
+              {/* Season Stats Table */}
+              <div className="bg-gray-900 rounded-lg p-6">
+                <h3 className="text-lg font-medium mb-4">Season Leaderboard</h3>
+                
+                {clubStats && clubStats.seasonStats && clubStats.seasonStats.length > 0 ? (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-gray-700">
+                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
+                            Rank
+                          </th>
+                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
+                            Player
+                          </th>
+                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
+                            Points
+                          </th>
+                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
+                            Avg Points
+                          </th>
+                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
+                            Cycles
+                          </th>
+                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
+                            Wins
+                          </th>
+                          <th className="text-left py-3 px-4 cursor-pointer hover:text-blue-400">
+                            Win Rate
+                          </th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {clubStats.seasonStats
+                          .sort((a, b) => parseFloat(b.total_points) - parseFloat(a.total_points))
+                          .map((stat, index) => (
+                            <tr key={stat.user_id} className={`border-b border-gray-800 hover:bg-gray-800 ${stat.user_id === user.id ? 'bg-blue-900/20' : ''}`}>
+                              <td className="py-3 px-4">
+                                <span className={`font-medium ${index === 0 ? 'text-yellow-500' : index === 1 ? 'text-gray-400' : index === 2 ? 'text-orange-600' : ''}`}>
+                                  #{index + 1}
+                                </span>
+                              </td>
+                              <td className="py-3 px-4">
+                                <div className="flex items-center gap-2">
+                                  {stat.profile_picture ? (
+                                    <img 
+                                      src={getImageUrl(stat.profile_picture)}
+                                      alt={stat.display_name || stat.username}
+                                      className="w-6 h-6 rounded-full object-cover"
+                                    />
+                                  ) : (
+                                    <div className="w-6 h-6 bg-gray-700 rounded-full flex items-center justify-center">
+                                      <span className="text-xs font-medium">
+                                        {(stat.display_name || stat.username).charAt(0).toUpperCase()}
+                                      </span>
+                                    </div>
+                                  )}
+                                  <span className={`font-medium ${stat.user_id === user.id ? 'text-blue-400' : ''}`}>
+                                    {stat.display_name || stat.username}
+                                    {stat.user_id === user.id && <span className="text-xs text-blue-400 ml-1">(You)</span>}
+                                  </span>
+                                </div>
+                              </td>
+                              <td className="py-3 px-4 font-medium">{Math.round(parseFloat(stat.total_points || 0))}</td>
+                              <td className="py-3 px-4">{parseFloat(stat.average_points || 0).toFixed(1)}</td>
+                              <td className="py-3 px-4">{stat.cycles_participated || 0}</td>
+                              <td className="py-3 px-4">{stat.cycles_won || 0}</td>
+                              <td className="py-3 px-4">
+                                {stat.cycles_participated > 0 
+                                  ? `${Math.round((stat.cycles_won / stat.cycles_participated) * 100)}%`
+                                  : '0%'
+                                }
+                              </td>
+                            </tr>
+                          ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <p className="text-gray-500 text-center py-8">No season statistics available yet. Complete some cycles to see stats!</p>
+                )}
+              </div>
+
+              {/* Overall Club Stats */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6">
+                <div className="bg-gray-900 rounded-lg p-4 text-center">
+                  <div className="text-2xl font-bold text-blue-500">{clubStats?.totalCycles || club.total_cycles || 0}</div>
+                  <div className="text-sm text-gray-500">Total Cycles</div>
+                </div>
+                <div className="bg-gray-900 rounded-lg p-4 text-center">
+                  <div className="text-2xl font-bold text-green-500">{clubStats?.totalMovies || 0}</div>
+                  <div className="text-sm text-gray-500">Movies Watched</div>
+                </div>
+                <div className="bg-gray-900 rounded-lg p-4 text-center">
+                  <div className="text-2xl font-bold text-purple-500">{club.member_count || 0}</div>
+                  <div className="text-sm text-gray-500">Active Members</div>
+                </div>
+                <div className="bg-gray-900 rounded-lg p-4 text-center">
+                  <div className="text-2xl font-bold text-yellow-500">{poolThemes.length || 0}</div>
+                  <div className="text-sm text-gray-500">Available Themes</div>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Reviews Tab */}
+          {activeTab === 'reviews' && (
+            <div>
+              <h2 className="text-xl font-semibold mb-2">Reviews</h2>
+              <p className="text-sm text-gray-400 mb-4">
+                Reviews of films you haven't watched stay hidden until the cycle's results are out.
+              </p>
+              {clubReviews ? (
+                <ReviewList reviews={clubReviews} />
+              ) : (
+                <p className="text-gray-500">Loading reviews...</p>
+              )}
+            </div>
+          )}
+
+          {/* History Tab */}
+          {activeTab === 'history' && (
+            <div>
+              <h2 className="text-xl font-semibold mb-4">Cycle History</h2>
+              <p className="text-gray-500">Coming soon...</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Nomination Modal */}
+      {showNominationModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-gray-800 rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[80vh] overflow-y-auto">
+            <h2 className="text-xl font-semibold mb-4">
+              {swapNomination ? `Swap ${swapNomination.title}` : 'Nominate a Movie'}
+            </h2>
+            <MovieSearch clubId={club.id} onSelectMovie={setSelectedMovie} />
+            
+            {selectedMovie && (
+              <div className="mt-4 bg-gray-900 rounded-lg p-4">
+                <div className="flex gap-4">
+                  {selectedMovie.poster_path && (
+                    <img 
+                      src={`https://image.tmdb.org/t/p/w200${selectedMovie.poster_path}`}
+                      alt={selectedMovie.title}
+                      className="w-24 rounded"
+                    />
+                  )}
+                  <div>
+                    <h3 className="font-medium">{selectedMovie.title}</h3>
+                    <p className="text-sm text-gray-400">{selectedMovie.release_date?.split('-')[0]}</p>
+                    {selectedMovie.past_nominations?.map(past => (
+                      <p key={past.cycle_id} className="text-sm text-yellow-400">
+                        {past.description.replace(/^p/, 'P')}
+                      </p>
+                    ))}
+                    <p className="text-sm text-gray-400 mt-2">{selectedMovie.overview}</p>
+                  </div>
+                </div>
+              </div>
+            )}
+            
+            <div className="flex justify-end gap-2 mt-6">
+              <button
+                onClick={closeNominationModal}
+                className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => handleNominate()}
+                disabled={!selectedMovie}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed px-4 py-2 rounded font-medium"
+              >
+                {swapNomination ? 'Swap' : 'Nominate'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Deadline Modal */}
+      {showDeadlineModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-gray-800 rounded-lg p-6 max-w-md w-full mx-4">
+            <h2 className="text-xl font-semibold mb-4">Phase Deadlines</h2>
+            <p className="text-sm text-gray-400 mb-4">
+              When a deadline passes the cycle moves on automatically. Members who haven't finished get the club's grace period first.
+            </p>
+            {[
+              { key: 'nominationDeadline', label: 'Nominations close' },
+              { key: 'watchingDeadline', label: 'Watching ends' },
+              { key: 'rankingDeadline', label: 'Rankings close' }
+            ].map(field => (
+              <div key={field.key} className="mb-4">
+                <label className="block text-sm font-medium text-gray-300 mb-1">{field.label}</label>
+                <input
+                  type="datetime-local"
+                  value={deadlineForm[field.key]}
+                  onChange={(e) => setDeadlineForm(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  className="w-full bg-gray-900 px-3 py-2 rounded"
+                />
+              </div>
+            ))}
+
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => setShowDeadlineModal(false)}
+                className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveDeadlines}
+                className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-medium"
+              >
+                Save Deadlines
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Review Modal */}
+      {reviewingNomination && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-gray-800 rounded-lg p-6 max-w-md w-full mx-4">
+            <h2 className="text-xl font-semibold mb-4">Review {reviewingNomination.title}</h2>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-300 mb-1">Rating (0-10)</label>
+              <input
+                type="number"
+                min="0"
+                max="10"
+                step="0.5"
+                value={reviewForm.rating}
+                onChange={(e) => setReviewForm(prev => ({ ...prev, rating: e.target.value }))}
+                className="w-32 bg-gray-900 px-3 py-2 rounded"
+              />
+            </div>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-300 mb-1">Review</label>
+              <textarea
+                value={reviewForm.review}
+                onChange={(e) => setReviewForm(prev => ({ ...prev, review: e.target.value }))}
+                rows={5}
+                maxLength={5000}
+                placeholder="What did you think?"
+                className="w-full bg-gray-900 px-3 py-2 rounded"
+              />
+            </div>
+
+            <div className="flex justify-between gap-2">
+              <button
+                onClick={() => handleSaveReview(true)}
+                className="text-red-400 hover:text-red-300 text-sm"
+              >
+                Remove Review
+              </button>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setReviewingNomination(null)}
+                  className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={() => handleSaveReview()}
+                  className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-medium"
+                >
+                  Save Review
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Film Reviews Modal */}
+      {filmReviews && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-gray-800 rounded-lg p-6 max-w-lg w-full mx-4">
+            <h2 className="text-xl font-semibold mb-4">Reviews of {filmReviews.nomination.title}</h2>
+            <div className="max-h-96 overflow-y-auto mb-4">
+              <ReviewList reviews={filmReviews.reviews} showFilm={false} emptyText="Nobody has reviewed this film yet." />
+            </div>
+            <div className="flex justify-end">
+              <button
+                onClick={() => setFilmReviews(null)}
+                className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded font-medium"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Discussion Modal */}
+      {discussionNomination && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-gray-800 rounded-lg p-6 max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-semibold">Discuss {discussionNomination.title}</h2>
+              <button
+                onClick={() => setDiscussionNomination(null)}
+                className="text-gray-400 hover:text-white"
+                aria-label="Close"
+              >
+                ✕
+              </button>
+            </div>
+            <CommentThread
+              cycleId={currentCycle.id}
+              nominationId={discussionNomination.id}
+              canModerate={canManageClub}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Theme Picker Modal (director_pick clubs) */}
+      {showThemePicker && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-gray-800 rounded-lg p-6 max-w-md w-full mx-4">
+            <h2 className="text-xl font-semibold mb-4">Pick This Cycle's Theme</h2>
+            <div className="space-y-2 max-h-80 overflow-y-auto mb-4">
+              {poolThemes.length === 0 ? (
+                <p className="text-gray-500">No unused themes in the pool.</p>
+              ) : (
+                poolThemes.map(theme => (
+                  <label key={theme.id} className="flex items-center gap-3 bg-gray-900 rounded p-3 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="pickedTheme"
+                      value={theme.id}
+                      checked={String(pickedThemeId) === String(theme.id)}
+                      onChange={(e) => setPickedThemeId(e.target.value)}
+                    />
+                    <span className="flex-1">{theme.theme_text}</span>
+                    <span className="text-sm text-gray-500">{theme.score > 0 ? `+${theme.score}` : theme.score}</span>
+                  </label>
+                ))
+              )}
+            </div>
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => setShowThemePicker(false)}
+                className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleStartCycle}
+                disabled={!pickedThemeId}
+                className="bg-green-600 hover:bg-green-700 disabled:bg-gray-700 disabled:cursor-not-allowed px-4 py-2 rounded font-medium"
+              >
+                Start Cycle
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Theme Modal */}
+      {showThemeModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-gray-800 rounded-lg p-6 max-w-md w-full mx-4">
+            <h2 className="text-xl font-semibold mb-4">{editingTheme ? 'Edit Theme' : 'Submit a Theme'}</h2>
+            <p className="text-sm text-gray-400 mb-4">
+              Themes should be broad enough for multiple movie choices but specific enough to be interesting.
+            </p>
+            <input
+              type="text"
+              value={newTheme}
+              onChange={(e) => setNewTheme(e.target.value)}
+              placeholder="e.g., Movies with plot twists"
+              className="w-full bg-gray-900 px-3 py-2 rounded mb-4"
+              maxLength={200}
+            />
+            <div className="text-sm text-gray-500 mb-4">{newTheme.length}/200 characters</div>
+
+            <h3 className="text-sm font-medium text-gray-300 mb-1">Rules (optional)</h3>
+            <p className="text-xs text-gray-500 mb-2">Nominations are checked against these using TMDB data.</p>
+            <div className="grid grid-cols-2 gap-2 mb-4 text-sm">
+              <input
+                type="number"
+                value={themeConstraints.minYear}
+                onChange={(e) => setThemeConstraints({ ...themeConstraints, minYear: e.target.value })}
+                placeholder="Released from (year)"
+                className="bg-gray-900 px-3 py-2 rounded"
+              />
+              <input
+                type="number"
+                value={themeConstraints.maxYear}
+                onChange={(e) => setThemeConstraints({ ...themeConstraints, maxYear: e.target.value })}
+                placeholder="Released until (year)"
+                className="bg-gray-900 px-3 py-2 rounded"
+              />
+              <input
+                type="number"
+                value={themeConstraints.maxRuntime}
+                onChange={(e) => setThemeConstraints({ ...themeConstraints, maxRuntime: e.target.value })}
+                placeholder="Max runtime (minutes)"
+                className="bg-gray-900 px-3 py-2 rounded"
+              />
+              <input
+                type="text"
+                value={themeConstraints.originalLanguage}
+                onChange={(e) => setThemeConstraints({ ...themeConstraints, originalLanguage: e.target.value })}
+                placeholder="Language code (e.g. fr)"
+                className="bg-gray-900 px-3 py-2 rounded"
+                maxLength={2}
+              />
+              <select
+                value={themeConstraints.genreId}
+                onChange={(e) => setThemeConstraints({ ...themeConstraints, genreId: e.target.value })}
+                className="col-span-2 bg-gray-900 px-3 py-2 rounded"
+              >
+                <option value="">Any genre</option>
+                {genres.map(genre => (
+                  <option key={genre.id} value={genre.id}>{genre.name}</option>
+                ))}
+              </select>
+            </div>
+            
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={closeThemeModal}
+                className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleAddTheme}
+                disabled={!newTheme.trim()}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed px-4 py-2 rounded font-medium"
+              >
+                {editingTheme ? 'Save Theme' : 'Submit Theme'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 export default ClubPage;
\ No newline at end of file
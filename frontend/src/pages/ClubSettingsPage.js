@@ -1,198 +1,630 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { useAuth } from '../contexts/AuthContext';
-import { clubAPI, handleApiError } from '../services/api';
-import LoadingSpinner from '../components/LoadingSpinner';
-import ConfirmDialog from '../components/ConfirmDialog';
-
-const ClubSettingsPage = () => {
-  const { clubname } = useParams();
-  const { user } = useAuth();
-  const navigate = useNavigate();
-  
-  const [club, setClub] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [members, setMembers] = useState([]);
-  const [error, setError] = useState('');
-  const [showConfirmLeave, setShowConfirmLeave] = useState(false);
-
-  useEffect(() => {
-    if (clubname) {
-      fetchClubDetails();
-    }
-  }, [clubname]);
-
-  const fetchClubDetails = async () => {
-    try {
-      setLoading(true);
-      const response = await clubAPI.getClubByName(clubname);
-      const clubData = response.data.club;
-      
-      // Check permissions
-      if (clubData.user_role !== 'director' && clubData.user_role !== 'producer') {
-        navigate(`/club/${clubname}`);
-        return;
-      }
-      
-      setClub(clubData);
-      
-      // Fetch members
-      const membersResponse = await clubAPI.getMembers(clubData.id);
-      setMembers(membersResponse.data.members);
-      
-    } catch (err) {
-      console.error('Error fetching club:', err);
-      navigate('/dashboard');
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const handleLeaveClub = async () => {
-    try {
-      await clubAPI.leaveClub(club.id);
-      navigate('/dashboard');
-    } catch (err) {
-      setError(handleApiError(err, 'Failed to leave club'));
-    }
-  };
-
-  const getRoleDisplayName = (role) => {
-    return role.charAt(0).toUpperCase() + role.slice(1);
-  };
-
-  const getRoleBadgeColor = (role) => {
-    switch(role) {
-      case 'producer': return 'bg-purple-600';
-      case 'director': return 'bg-blue-600';
-      case 'critic': return 'bg-gray-600';
-      default: return 'bg-gray-600';
-    }
-  };
-
-  if (loading) return <LoadingSpinner />;
-  if (!club) return null;
-
-  return (
-    <div className="max-w-4xl mx-auto px-4 py-8">
-      <div className="mb-8">
-        <button
-          onClick={() => navigate(`/club/${clubname}`)}
-          className="text-gray-400 hover:text-white mb-4 inline-flex items-center transition-colors"
-        >
-          ← Back to Club
-        </button>
-        <h1 className="text-3xl font-bold">Club Settings</h1>
-        <p className="text-gray-400 mt-2">{club.name}</p>
-      </div>
-
-      {error && (
-        <div className="bg-red-900/50 border border-red-600 text-red-200 p-4 rounded-lg mb-6">
-          {error}
-        </div>
-      )}
-
-      {/* Club Information */}
-      <div className="bg-gray-800 rounded-lg p-6 mb-6">
-        <h2 className="text-xl font-semibold mb-4">Club Information</h2>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-300 mb-1">Club Name</label>
-            <div className="bg-gray-900 p-3 rounded border text-gray-200">{club.name}</div>
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-300 mb-1">Invite Code</label>
-            <div className="bg-gray-900 p-3 rounded border text-gray-200 font-mono">{club.invite_code}</div>
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-300 mb-1">Visibility</label>
-            <div className="bg-gray-900 p-3 rounded border text-gray-200">
-              {club.is_public ? 'Public' : 'Private'}
-            </div>
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-300 mb-1">Members</label>
-            <div className="bg-gray-900 p-3 rounded border text-gray-200">
-              {club.member_count} / {club.max_members}
-            </div>
-          </div>
-        </div>
-        {club.description && (
-          <div className="mt-4">
-            <label className="block text-sm font-medium text-gray-300 mb-1">Description</label>
-            <div className="bg-gray-900 p-3 rounded border text-gray-200">{club.description}</div>
-          </div>
-        )}
-      </div>
-
-      {/* Members List */}
-      <div className="bg-gray-800 rounded-lg p-6 mb-6">
-        <h2 className="text-xl font-semibold mb-4">Members ({members.length})</h2>
-        <div className="space-y-3">
-          {members.map(member => (
-            <div key={member.id} className="bg-gray-900 rounded-lg p-4 flex items-center justify-between">
-              <div className="flex items-center gap-3">
-                <div className="w-12 h-12 bg-gray-700 rounded-full flex items-center justify-center">
-                  {member.profile_picture ? (
-                    <img 
-                      src={`${process.env.REACT_APP_API_URL || 'http://localhost:3001'}${member.profile_picture}`}
-                      alt={member.display_name || member.username}
-                      className="w-12 h-12 rounded-full object-cover"
-                    />
-                  ) : (
-                    <span className="text-lg font-medium">
-                      {(member.display_name || member.username).charAt(0).toUpperCase()}
-                    </span>
-                  )}
-                </div>
-                <div>
-                  <div className="font-medium text-white">{member.display_name || member.username}</div>
-                  <div className="text-sm text-gray-400">@{member.username}</div>
-                  <div className="text-xs text-gray-500">
-                    Member since {new Date(member.joined_at).toLocaleDateString()}
-                  </div>
-                </div>
-              </div>
-              <div className="flex items-center gap-3">
-                <span className={`px-3 py-1 rounded-full text-xs font-medium text-white ${getRoleBadgeColor(member.role)}`}>
-                  {getRoleDisplayName(member.role)}
-                </span>
-                <div className="text-right text-sm">
-                  <div className="text-gray-300">{member.cycles_won || 0} wins</div>
-                  <div className="text-gray-500">{Math.round(member.average_points || 0)} avg pts</div>
-                </div>
-              </div>
-            </div>
-          ))}
-        </div>
-      </div>
-
-      {/* Danger Zone */}
-      <div className="bg-gray-800 rounded-lg p-6 border border-red-900">
-        <h2 className="text-xl font-semibold mb-4 text-red-400">Danger Zone</h2>
-        <p className="text-gray-300 mb-4">
-          Leaving this club will remove you from all current and future activities. This action cannot be undone.
-        </p>
-        <button
-          onClick={() => setShowConfirmLeave(true)}
-          className="bg-red-600 hover:bg-red-700 px-6 py-2 rounded font-medium transition-colors"
-        >
-          Leave Club
-        </button>
-      </div>
-
-      {/* Confirm Leave Dialog */}
-      <ConfirmDialog
-        isOpen={showConfirmLeave}
-        onClose={() => setShowConfirmLeave(false)}
-        onConfirm={handleLeaveClub}
-        title="Leave Club"
-        message={`Are you sure you want to leave ${club.name}? This action cannot be undone.`}
-        confirmText="Leave Club"
-        confirmStyle="bg-red-600 hover:bg-red-700"
-      />
-    </div>
-  );
-};
-
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { clubAPI, handleApiError } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ConfirmDialog from '../components/ConfirmDialog';
+import ClubWebhooks from '../components/ClubWebhooks';
+
+const TIEBREAKER_LABELS = {
+  first_place_votes: 'Most first-place votes',
+  guess_accuracy: "Nominator's guess accuracy",
+  head_to_head: 'Head-to-head',
+  coin_flip: 'Coin flip'
+};
+
+const ClubSettingsPage = () => {
+  const { clubname } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  
+  const [club, setClub] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [members, setMembers] = useState([]);
+  const [error, setError] = useState('');
+  const [showConfirmLeave, setShowConfirmLeave] = useState(false);
+  const [settingsForm, setSettingsForm] = useState(null);
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [settingsMessage, setSettingsMessage] = useState('');
+  const [rebuildingStats, setRebuildingStats] = useState(false);
+  const [statsMessage, setStatsMessage] = useState('');
+
+  useEffect(() => {
+    if (clubname) {
+      fetchClubDetails();
+    }
+  }, [clubname]);
+
+  const fetchClubDetails = async () => {
+    try {
+      setLoading(true);
+      const response = await clubAPI.getClubByName(clubname);
+      const clubData = response.data.club;
+      
+      // Check permissions
+      if (clubData.user_role !== 'director' && clubData.user_role !== 'producer') {
+        navigate(`/club/${clubname}`);
+        return;
+      }
+      
+      setClub(clubData);
+      setSettingsForm(toSettingsForm(clubData.settings));
+      
+      // Fetch members
+      const membersResponse = await clubAPI.getMembers(clubData.id);
+      setMembers(membersResponse.data.members);
+      
+    } catch (err) {
+      console.error('Error fetching club:', err);
+      navigate('/dashboard');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Map the API's settings row onto form fields (empty string = no default duration)
+  const toSettingsForm = (settings) => ({
+    nominationDays: settings.nomination_days ?? '',
+    watchingDays: settings.watching_days ?? '',
+    rankingDays: settings.ranking_days ?? '',
+    nominationsPerMember: settings.nominations_per_member,
+    guessingEnabled: settings.guessing_enabled,
+    minParticipants: settings.min_participants,
+    deadlineGraceHours: settings.deadline_grace_hours,
+    missedDeadlinePolicy: settings.missed_deadline_policy,
+    scoringStrategy: settings.scoring_strategy,
+    tiebreakers: settings.tiebreakers,
+    themeSelection: settings.theme_selection,
+    themeConstraintMode: settings.theme_constraint_mode,
+    themeDraftEnabled: settings.theme_draft_enabled,
+    themeRerolls: settings.theme_rerolls,
+    themeVetoQuorum: settings.theme_veto_quorum ?? '',
+    hideNominatorsFromDirectors: settings.hide_nominators_from_directors,
+    repeatNominationPolicy: settings.repeat_nomination_policy,
+    repeatNominationScope: settings.repeat_nomination_scope,
+    watchProgressVisibility: settings.watch_progress_visibility,
+    rankingWatchRule: settings.ranking_watch_rule
+  });
+
+  const handleSettingsChange = (field, value) => {
+    setSettingsForm(prev => ({ ...prev, [field]: value }));
+    setSettingsMessage('');
+  };
+
+  const moveTiebreaker = (index, offset) => {
+    const next = [...settingsForm.tiebreakers];
+    const [moved] = next.splice(index, 1);
+    next.splice(index + offset, 0, moved);
+    handleSettingsChange('tiebreakers', next);
+  };
+
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    setSavingSettings(true);
+    setError('');
+
+    try {
+      const toNumber = (value) => (value === '' ? null : Number(value));
+      const response = await clubAPI.updateSettings(club.id, {
+        ...settingsForm,
+        nominationDays: toNumber(settingsForm.nominationDays),
+        watchingDays: toNumber(settingsForm.watchingDays),
+        rankingDays: toNumber(settingsForm.rankingDays),
+        nominationsPerMember: Number(settingsForm.nominationsPerMember),
+        minParticipants: Number(settingsForm.minParticipants),
+        deadlineGraceHours: Number(settingsForm.deadlineGraceHours),
+        themeRerolls: Number(settingsForm.themeRerolls),
+        themeVetoQuorum: toNumber(settingsForm.themeVetoQuorum)
+      });
+      setSettingsForm(toSettingsForm(response.data.settings));
+      setSettingsMessage('Cycle rules saved');
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to save cycle rules'));
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const handleLeaveClub = async () => {
+    try {
+      await clubAPI.leaveClub(club.id);
+      navigate('/dashboard');
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to leave club'));
+    }
+  };
+
+  const handleRebuildStats = async () => {
+    setRebuildingStats(true);
+    setStatsMessage('');
+    setError('');
+
+    try {
+      const response = await clubAPI.rebuildStats(club.id);
+      const seasons = response.data.seasons.map(s => s.season_year).join(', ');
+      setStatsMessage(seasons ? `Rebuilt stats for ${seasons}` : 'No seasons to rebuild yet');
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to rebuild stats'));
+    } finally {
+      setRebuildingStats(false);
+    }
+  };
+
+  const getRoleDisplayName = (role) => {
+    return role.charAt(0).toUpperCase() + role.slice(1);
+  };
+
+  const getRoleBadgeColor = (role) => {
+    switch(role) {
+      case 'producer': return 'bg-purple-600';
+      case 'director': return 'bg-blue-600';
+      case 'critic': return 'bg-gray-600';
+      default: return 'bg-gray-600';
+    }
+  };
+
+  if (loading) return <LoadingSpinner />;
+  if (!club) return null;
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      <div className="mb-8">
+        <button
+          onClick={() => navigate(`/club/${clubname}`)}
+          className="text-gray-400 hover:text-white mb-4 inline-flex items-center transition-colors"
+        >
+          ← Back to Club
+        </button>
+        <h1 className="text-3xl font-bold">Club Settings</h1>
+        <p className="text-gray-400 mt-2">{club.name}</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/50 border border-red-600 text-red-200 p-4 rounded-lg mb-6">
+          {error}
+        </div>
+      )}
+
+      {/* Club Information */}
+      <div className="bg-gray-800 rounded-lg p-6 mb-6">
+        <h2 className="text-xl font-semibold mb-4">Club Information</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Club Name</label>
+            <div className="bg-gray-900 p-3 rounded border text-gray-200">{club.name}</div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Invite Code</label>
+            <div className="bg-gray-900 p-3 rounded border text-gray-200 font-mono">{club.invite_code}</div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Visibility</label>
+            <div className="bg-gray-900 p-3 rounded border text-gray-200">
+              {club.is_public ? 'Public' : 'Private'}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Members</label>
+            <div className="bg-gray-900 p-3 rounded border text-gray-200">
+              {club.member_count} / {club.max_members}
+            </div>
+          </div>
+        </div>
+        {club.description && (
+          <div className="mt-4">
+            <label className="block text-sm font-medium text-gray-300 mb-1">Description</label>
+            <div className="bg-gray-900 p-3 rounded border text-gray-200">{club.description}</div>
+          </div>
+        )}
+      </div>
+
+      {/* Cycle Rules */}
+      {settingsForm && (
+        <form onSubmit={handleSaveSettings} className="bg-gray-800 rounded-lg p-6 mb-6">
+          <h2 className="text-xl font-semibold mb-4">Cycle Rules</h2>
+
+          <h3 className="text-sm font-medium text-gray-400 uppercase tracking-wide mb-2">Phase Lengths</h3>
+          <p className="text-sm text-gray-500 mb-3">
+            Each new phase gets a deadline this many days out. Leave blank for no automatic deadline.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            {[
+              { key: 'nominationDays', label: 'Nomination (days)' },
+              { key: 'watchingDays', label: 'Watching (days)' },
+              { key: 'rankingDays', label: 'Ranking (days)' }
+            ].map(field => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-300 mb-1">{field.label}</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="90"
+                  value={settingsForm[field.key]}
+                  onChange={(e) => handleSettingsChange(field.key, e.target.value)}
+                  placeholder="No deadline"
+                  className="w-full bg-gray-900 px-3 py-2 rounded"
+                />
+              </div>
+            ))}
+          </div>
+
+          <h3 className="text-sm font-medium text-gray-400 uppercase tracking-wide mb-2">Participation</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Nominations per member</label>
+              <select
+                value={settingsForm.nominationsPerMember}
+                onChange={(e) => handleSettingsChange('nominationsPerMember', e.target.value)}
+                className="w-full bg-gray-900 px-3 py-2 rounded"
+              >
+                {[1, 2, 3, 4, 5].map(n => (
+                  <option key={n} value={n}>{n}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Minimum members to start a cycle</label>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={settingsForm.minParticipants}
+                onChange={(e) => handleSettingsChange('minParticipants', e.target.value)}
+                className="w-full bg-gray-900 px-3 py-2 rounded"
+              />
+            </div>
+          </div>
+          <label className="flex items-center gap-2 mb-3 text-gray-300">
+            <input
+              type="checkbox"
+              checked={settingsForm.guessingEnabled}
+              onChange={(e) => handleSettingsChange('guessingEnabled', e.target.checked)}
+              className="rounded"
+            />
+            Members guess who nominated each movie when ranking
+          </label>
+          <label className="flex items-center gap-2 mb-3 text-gray-300">
+            <input
+              type="checkbox"
+              checked={settingsForm.hideNominatorsFromDirectors}
+              onChange={(e) => handleSettingsChange('hideNominatorsFromDirectors', e.target.checked)}
+              className="rounded"
+            />
+            Hide who nominated what from directors too (members never see it before results)
+          </label>
+          <label className="flex items-center gap-2 mb-4 text-gray-300">
+            <input
+              type="checkbox"
+              checked={settingsForm.watchProgressVisibility === 'directors'}
+              onChange={(e) => handleSettingsChange('watchProgressVisibility', e.target.checked ? 'directors' : 'members')}
+              className="rounded"
+            />
+            Only directors see everyone's watch progress during the watching phase
+          </label>
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-300 mb-1">Ranking unwatched movies</label>
+            <select
+              value={settingsForm.rankingWatchRule}
+              onChange={(e) => handleSettingsChange('rankingWatchRule', e.target.value)}
+              className="w-full md:w-1/2 bg-gray-900 px-3 py-2 rounded"
+            >
+              <option value="none">Members rank every movie, watched or not</option>
+              <option value="watch_all">Members must watch every movie before ranking</option>
+              <option value="watched_only">Members only rank the movies they watched</option>
+            </select>
+          </div>
+
+          <h3 className="text-sm font-medium text-gray-400 uppercase tracking-wide mb-2">Repeat Nominations</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Films from earlier cycles</label>
+              <select
+                value={settingsForm.repeatNominationPolicy}
+                onChange={(e) => handleSettingsChange('repeatNominationPolicy', e.target.value)}
+                className="w-full bg-gray-900 px-3 py-2 rounded"
+              >
+                <option value="allow">Allow</option>
+                <option value="warn">Allow with a warning</option>
+                <option value="forbid">Don't allow</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Applies to</label>
+              <select
+                value={settingsForm.repeatNominationScope}
+                onChange={(e) => handleSettingsChange('repeatNominationScope', e.target.value)}
+                disabled={settingsForm.repeatNominationPolicy === 'allow'}
+                className="w-full bg-gray-900 px-3 py-2 rounded disabled:opacity-50"
+              >
+                <option value="nominated">Any film nominated before</option>
+                <option value="won">Only past winners</option>
+              </select>
+            </div>
+          </div>
+
+          <h3 className="text-sm font-medium text-gray-400 uppercase tracking-wide mb-2">Missed Deadlines</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Grace period (hours)</label>
+              <input
+                type="number"
+                min="0"
+                max="168"
+                value={settingsForm.deadlineGraceHours}
+                onChange={(e) => handleSettingsChange('deadlineGraceHours', e.target.value)}
+                className="w-full bg-gray-900 px-3 py-2 rounded"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">After the grace period</label>
+              <select
+                value={settingsForm.missedDeadlinePolicy}
+                onChange={(e) => handleSettingsChange('missedDeadlinePolicy', e.target.value)}
+                className="w-full bg-gray-900 px-3 py-2 rounded"
+              >
+                <option value="skip">Move on without late members</option>
+                <option value="hold">Wait for a director</option>
+              </select>
+            </div>
+          </div>
+
+          <h3 className="text-sm font-medium text-gray-400 uppercase tracking-wide mb-2">Themes</h3>
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-300 mb-1">How the next theme is chosen</label>
+            <select
+              value={settingsForm.themeSelection}
+              onChange={(e) => handleSettingsChange('themeSelection', e.target.value)}
+              className="w-full md:w-1/2 bg-gray-900 px-3 py-2 rounded"
+            >
+              <option value="weighted">Random, weighted by votes</option>
+              <option value="random">Pure random</option>
+              <option value="top_voted">Top voted</option>
+              <option value="director_pick">Director picks</option>
+            </select>
+            <p className="text-sm text-gray-500 mt-1">
+              Members can upvote and downvote themes in the pool from the club's Themes tab.
+            </p>
+          </div>
+
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-300 mb-1">Nominations that break a theme's rules</label>
+            <select
+              value={settingsForm.themeConstraintMode}
+              onChange={(e) => handleSettingsChange('themeConstraintMode', e.target.value)}
+              className="w-full md:w-1/2 bg-gray-900 px-3 py-2 rounded"
+            >
+              <option value="reject">Hold them for a director</option>
+              <option value="flag">Accept and flag them</option>
+            </select>
+            <p className="text-sm text-gray-500 mt-1">
+              Directors can always allow a nomination that doesn't fit. Held nominations that
+              aren't allowed by the nomination deadline are dropped.
+            </p>
+          </div>
+
+          <label className="flex items-center gap-2 mb-3 text-gray-300">
+            <input
+              type="checkbox"
+              checked={settingsForm.themeDraftEnabled}
+              onChange={(e) => handleSettingsChange('themeDraftEnabled', e.target.checked)}
+              className="rounded"
+            />
+            Reveal the drawn theme before nominations open (theme draft)
+          </label>
+          {settingsForm.themeDraftEnabled && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Director re-rolls per draft</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="10"
+                  value={settingsForm.themeRerolls}
+                  onChange={(e) => handleSettingsChange('themeRerolls', e.target.value)}
+                  className="w-full bg-gray-900 px-3 py-2 rounded"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Veto quorum (% of members)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={settingsForm.themeVetoQuorum}
+                  onChange={(e) => handleSettingsChange('themeVetoQuorum', e.target.value)}
+                  placeholder="No vetoes"
+                  className="w-full bg-gray-900 px-3 py-2 rounded"
+                />
+              </div>
+            </div>
+          )}
+
+          <h3 className="text-sm font-medium text-gray-400 uppercase tracking-wide mb-2">Scoring</h3>
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-300 mb-1">How winners are decided</label>
+            <select
+              value={settingsForm.scoringStrategy}
+              onChange={(e) => handleSettingsChange('scoringStrategy', e.target.value)}
+              className="w-full md:w-1/2 bg-gray-900 px-3 py-2 rounded"
+            >
+              <option value="average_rank">Average rank</option>
+              <option value="borda">Borda count</option>
+              <option value="schulze">Schulze (head-to-head)</option>
+              <option value="points_guess_bonus">Points + guess bonus</option>
+            </select>
+            <p className="text-sm text-gray-500 mt-1">
+              Applies to cycles scored from now on. Finished cycles can be compared under any rule on their results page.
+            </p>
+          </div>
+
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-300 mb-1">Tiebreakers</label>
+            <p className="text-sm text-gray-500 mb-2">
+              Tried in order when films finish on the same score. Films still tied afterwards share the place and split its points.
+            </p>
+            <div className="space-y-2 md:w-1/2">
+              {settingsForm.tiebreakers.map((key, index) => (
+                <div key={key} className="flex items-center gap-2 bg-gray-900 px-3 py-2 rounded">
+                  <span className="text-gray-500 w-5">{index + 1}.</span>
+                  <span className="flex-1">{TIEBREAKER_LABELS[key]}</span>
+                  <button
+                    type="button"
+                    onClick={() => moveTiebreaker(index, -1)}
+                    disabled={index === 0}
+                    className="text-gray-400 hover:text-white disabled:opacity-30 px-1"
+                  >
+                    ▲
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveTiebreaker(index, 1)}
+                    disabled={index === settingsForm.tiebreakers.length - 1}
+                    className="text-gray-400 hover:text-white disabled:opacity-30 px-1"
+                  >
+                    ▼
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleSettingsChange('tiebreakers', settingsForm.tiebreakers.filter(k => k !== key))}
+                    className="text-red-400 hover:text-red-300 px-1"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              {settingsForm.tiebreakers.length < Object.keys(TIEBREAKER_LABELS).length && (
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && handleSettingsChange('tiebreakers', [...settingsForm.tiebreakers, e.target.value])}
+                  className="w-full bg-gray-900 px-3 py-2 rounded text-gray-400"
+                >
+                  <option value="">Add a tiebreaker...</option>
+                  {Object.entries(TIEBREAKER_LABELS)
+                    .filter(([key]) => !settingsForm.tiebreakers.includes(key))
+                    .map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                </select>
+              )}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-end gap-4">
+            {settingsMessage && <span className="text-sm text-green-400">{settingsMessage}</span>}
+            <button
+              type="submit"
+              disabled={savingSettings}
+              className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed px-6 py-2 rounded font-medium transition-colors"
+            >
+              {savingSettings ? 'Saving...' : 'Save Rules'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Members List */}
+      <div className="bg-gray-800 rounded-lg p-6 mb-6">
+        <h2 className="text-xl font-semibold mb-4">Members ({members.length})</h2>
+        <div className="space-y-3">
+          {members.map(member => (
+            <div key={member.id} className="bg-gray-900 rounded-lg p-4 flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                <div className="w-12 h-12 bg-gray-700 rounded-full flex items-center justify-center">
+                  {member.profile_picture ? (
+                    <img 
+                      src={`${process.env.REACT_APP_API_URL || 'http://localhost:3001'}${member.profile_picture}`}
+                      alt={member.display_name || member.username}
+                      className="w-12 h-12 rounded-full object-cover"
+                    />
+                  ) : (
+                    <span className="text-lg font-medium">
+                      {(member.display_name || member.username).charAt(0).toUpperCase()}
+                    </span>
+                  )}
+                </div>
+                <div>
+                  <div className="font-medium text-white">{member.display_name || member.username}</div>
+                  <div className="text-sm text-gray-400">@{member.username}</div>
+                  <div className="text-xs text-gray-500">
+                    Member since {new Date(member.joined_at).toLocaleDateString()}
+                  </div>
+                </div>
+              </div>
+              <div className="flex items-center gap-3">
+                <span className={`px-3 py-1 rounded-full text-xs font-medium text-white ${getRoleBadgeColor(member.role)}`}>
+                  {getRoleDisplayName(member.role)}
+                </span>
+                <div className="text-right text-sm">
+                  <div className="text-gray-300">{member.cycles_won || 0} wins</div>
+                  <div className="text-gray-500">{Math.round(member.average_points || 0)} avg pts</div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Season Stats (Producer only) */}
+      {club.user_role === 'producer' && (
+        <div className="bg-gray-800 rounded-lg p-6 mb-6">
+          <h2 className="text-xl font-semibold mb-2">Season Stats</h2>
+          <p className="text-gray-400 text-sm mb-4">
+            Leaderboards update automatically as cycles move through their phases. If they ever look wrong,
+            recalculate them from the recorded results, guesses and watch progress.
+          </p>
+          <div className="flex items-center gap-4">
+            <button
+              onClick={handleRebuildStats}
+              disabled={rebuildingStats}
+              className="bg-gray-700 hover:bg-gray-600 disabled:cursor-not-allowed px-6 py-2 rounded font-medium transition-colors"
+            >
+              {rebuildingStats ? 'Rebuilding...' : 'Rebuild Stats'}
+            </button>
+            {statsMessage && <span className="text-sm text-green-400">{statsMessage}</span>}
+          </div>
+        </div>
+      )}
+
+      {/* Webhooks (Producer only) */}
+      {club.user_role === 'producer' && (
+        <div className="bg-gray-800 rounded-lg p-6 mb-6">
+          <h2 className="text-xl font-semibold mb-2">Webhooks</h2>
+          <p className="text-gray-400 text-sm mb-4">
+            Post club events to another service, such as your group chat. Pick Discord or Matrix to send a
+            ready-made chat message, or Generic JSON for your own receiver. Each request is signed with the
+            webhook's secret in the X-Ocularr-Signature header, and failed deliveries are retried.
+          </p>
+          <ClubWebhooks clubId={club.id} />
+        </div>
+      )}
+
+      {/* Danger Zone */}
+      <div className="bg-gray-800 rounded-lg p-6 border border-red-900">
+        <h2 className="text-xl font-semibold mb-4 text-red-400">Danger Zone</h2>
+        <p className="text-gray-300 mb-4">
+          Leaving this club will remove you from all current and future activities. This action cannot be undone.
+        </p>
+        <button
+          onClick={() => setShowConfirmLeave(true)}
+          className="bg-red-600 hover:bg-red-700 px-6 py-2 rounded font-medium transition-colors"
+        >
+          Leave Club
+        </button>
+      </div>
+
+      {/* Confirm Leave Dialog */}
+      {showConfirmLeave && (
+        <ConfirmDialog
+          onCancel={() => setShowConfirmLeave(false)}
+          onConfirm={handleLeaveClub}
+          title="Leave Club"
+          message={`Are you sure you want to leave ${club.name}? This action cannot be undone.`}
+          confirmText="Leave Club"
+          type="danger"
+        />
+      )}
+    </div>
+  );
+};
+
 export default ClubSettingsPage;
\ No newline at end of file
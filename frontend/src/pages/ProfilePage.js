@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { userAPI, handleApiError } from '../services/api';
+import api, { userAPI, handleApiError } from '../services/api';
 import MovieSearch from '../components/MovieSearch';
+import ReviewList from '../components/ReviewList';
 import LoadingSpinner from '../components/LoadingSpinner';
 
 const ProfilePage = () => {
@@ -15,6 +16,8 @@ const ProfilePage = () => {
   const [editing, setEditing] = useState(false);
   const [favoriteMovies, setFavoriteMovies] = useState([]);
   const [watchlist, setWatchlist] = useState([]);
+  const [reviews, setReviews] = useState([]);
+  const [emailPreferences, setEmailPreferences] = useState(null);
   const [error, setError] = useState('');
   
   // Edit form state
@@ -72,6 +75,33 @@ const ProfilePage = () => {
     }
   };
 
+  // Reviews are filtered on the server to the ones the viewer is allowed to read
+  useEffect(() => {
+    if (!profile?.id) return;
+
+    api.get(`/users/reviews/${profile.id}`)
+      .then(response => setReviews(response.data.reviews || []))
+      .catch(err => console.error('Error fetching reviews:', err));
+  }, [profile?.id]);
+
+  // Email preferences are private, so they're only loaded on your own profile
+  useEffect(() => {
+    if (!profile?.id || profile.id !== user?.id) return;
+
+    api.get('/users/email-preferences')
+      .then(response => setEmailPreferences(response.data.preferences))
+      .catch(err => console.error('Error fetching email preferences:', err));
+  }, [profile?.id, user?.id]);
+
+  const handleEmailPreferenceChange = async (key, value) => {
+    try {
+      const response = await api.put('/users/email-preferences', { [key]: value });
+      setEmailPreferences(response.data.preferences);
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to update email preferences'));
+    }
+  };
+
   const handleEditSubmit = async (e) => {
     e.preventDefault();
     setUploadingPicture(true);
@@ -390,6 +420,31 @@ const ProfilePage = () => {
                 </div>
               </div>
             </div>
+
+            {isOwnProfile && emailPreferences && (
+              <div className="border-t border-gray-700 pt-4 mt-4">
+                <h4 className="font-semibold mb-3">Email Notifications</h4>
+                <div className="space-y-2 text-sm">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={emailPreferences.email_phase_changes}
+                      onChange={(e) => handleEmailPreferenceChange('phaseChanges', e.target.checked)}
+                    />
+                    <span>When a club cycle moves to a new phase</span>
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={emailPreferences.email_deadline_reminders}
+                      onChange={(e) => handleEmailPreferenceChange('deadlineReminders', e.target.checked)}
+                    />
+                    <span>Reminders before a deadline I haven't met</span>
+                  </label>
+                  <p className="text-xs text-gray-500">Sent to {emailPreferences.email}</p>
+                </div>
+              </div>
+            )}
           </div>
         </div>
 
@@ -528,6 +583,17 @@ const ProfilePage = () => {
             </div>
           </div>
 
+          {/* Reviews */}
+          <div className="bg-gray-800 rounded-lg p-6">
+            <h3 className="text-xl font-semibold mb-4">Reviews</h3>
+            <ReviewList
+              reviews={reviews}
+              showAuthor={false}
+              showClub
+              emptyText={isOwnProfile ? "You haven't reviewed any club films yet." : 'No reviews to show'}
+            />
+          </div>
+
           {/* Stats */}
           <div className="bg-gray-800 rounded-lg p-6">
             <h3 className="text-xl font-semibold mb-4">Statistics</h3>
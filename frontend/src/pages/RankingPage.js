@@ -0,0 +1,406 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { clubAPI, cycleAPI, handleApiError } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const RankingPage = () => {
+  const { clubname } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const [club, setClub] = useState(null);
+  const [cycle, setCycle] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [order, setOrder] = useState([]);
+  const [unwatched, setUnwatched] = useState([]);
+  const [guesses, setGuesses] = useState({});
+  const [locked, setLocked] = useState(false);
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (clubname) {
+      fetchRankingData();
+    }
+  }, [clubname]);
+
+  const fetchRankingData = async () => {
+    try {
+      setLoading(true);
+      const clubResponse = await clubAPI.getClubByName(clubname);
+      const clubData = clubResponse.data.club;
+      setClub(clubData);
+
+      const [cycleResponse, membersResponse] = await Promise.all([
+        cycleAPI.getCurrentCycle(clubData.id),
+        clubAPI.getMembers(clubData.id)
+      ]);
+
+      const currentCycle = cycleResponse.data.cycle;
+      if (!currentCycle || currentCycle.phase !== 'ranking') {
+        navigate(`/club/${clubname}`);
+        return;
+      }
+
+      setCycle(currentCycle);
+      setMembers(membersResponse.data.members);
+
+      // Clubs can require watching every film first, or only let members rank what they watched
+      const watchRule = clubData.settings?.ranking_watch_rule || 'none';
+      const watchedIds = new Set((currentCycle.user_progress || []).filter(p => p.watched).map(p => p.nomination_id));
+      const others = currentCycle.nominations.filter(nom => !nom.is_own);
+      const rankable = watchRule === 'watched_only' ? others.filter(nom => watchedIds.has(nom.id)) : others;
+      setUnwatched(watchRule === 'none' ? [] : others.filter(nom => !watchedIds.has(nom.id)));
+
+      // Restore the saved draft, with any films it hasn't placed yet at the bottom
+      const myResponse = await cycleAPI.getMyRankings(currentCycle.id);
+      const positions = new Map(myResponse.data.rankings.map(r => [r.nominationId, r.rankPosition]));
+      const positionOf = (nom) => positions.get(nom.id) || Number.MAX_SAFE_INTEGER;
+
+      setOrder([...rankable].sort((a, b) => positionOf(a) - positionOf(b)));
+      setGuesses(Object.fromEntries(
+        myResponse.data.guesses.map(g => [g.nominationId, g.guessedNominatorId])
+      ));
+      setLocked(myResponse.data.locked);
+
+    } catch (err) {
+      console.error('Error fetching ranking data:', err);
+      setError(handleApiError(err, 'Failed to load rankings'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const guessingEnabled = club?.settings?.guessing_enabled ?? true;
+  const watchRule = club?.settings?.ranking_watch_rule || 'none';
+
+  const getMemberName = (member) => member.club_display_name || member.display_name || member.username;
+
+  const moveItem = (from, to) => {
+    if (to < 0 || to >= order.length || from === to) return;
+    setMessage('');
+
+    setOrder(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  const handleDragStart = (index) => {
+    setDraggedIndex(index);
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    if (draggedIndex === null || draggedIndex === index) return;
+
+    moveItem(draggedIndex, index);
+    setDraggedIndex(index);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedIndex(null);
+  };
+
+  const handleGuessChange = (nominationId, value) => {
+    setGuesses(prev => ({ ...prev, [nominationId]: value ? parseInt(value) : undefined }));
+    setError('');
+    setMessage('');
+  };
+
+  // Catch up on a film while ranking is open; under watched_only it joins the bottom of the list
+  const handleMarkWatched = async (nom) => {
+    try {
+      await cycleAPI.markWatched(cycle.id, nom.id);
+      setUnwatched(prev => prev.filter(other => other.id !== nom.id));
+      if (watchRule === 'watched_only') {
+        setOrder(prev => [...prev, nom]);
+      }
+      setError('');
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to update watch status'));
+    }
+  };
+
+  const buildBallot = () => ({
+    rankings: order.map((nom, index) => ({
+      nominationId: nom.id,
+      rankPosition: index + 1
+    })),
+    guesses: guessingEnabled
+      ? order.filter(nom => guesses[nom.id]).map(nom => ({ nominationId: nom.id, guessedNominatorId: guesses[nom.id] }))
+      : []
+  });
+
+  // Mirrors the server's ballot rules so mistakes show up before submitting
+  const validateBallot = () => {
+    if (watchRule === 'watch_all' && unwatched.length > 0) {
+      return 'Mark every movie watched before locking in';
+    }
+
+    if (order.length === 0) {
+      return watchRule === 'watched_only'
+        ? 'Mark at least one movie watched to rank it'
+        : 'There are no movies for you to rank';
+    }
+
+    if (guessingEnabled && order.some(nom => !guesses[nom.id])) {
+      return 'Guess who nominated every movie before submitting';
+    }
+
+    return null;
+  };
+
+  const handleSaveDraft = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const { rankings, guesses: guessList } = buildBallot();
+      await cycleAPI.saveDraftRankings(cycle.id, rankings, guessList);
+      setMessage('Draft saved. You can keep editing until you lock in.');
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to save draft'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLockIn = async () => {
+    const validationError = validateBallot();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const { rankings, guesses: guessList } = buildBallot();
+      await cycleAPI.submitRankings(cycle.id, rankings, guessList);
+      setLocked(true);
+      setMessage('');
+      fetchRankingData();
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to lock in rankings'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnlock = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      await cycleAPI.unlockRankings(cycle.id);
+      setLocked(false);
+      fetchRankingData();
+    } catch (err) {
+      setError(handleApiError(err, 'Failed to unlock rankings'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <LoadingSpinner />;
+  if (!club || !cycle) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        {error && (
+          <div className="bg-red-900/50 border border-red-600 text-red-200 p-4 rounded-lg">
+            {error}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const guessOptions = members.filter(member => member.id !== user.id);
+  const rankingStatus = cycle.ranking_status || [];
+  const lockedInCount = rankingStatus.filter(member => member.locked_in).length;
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      <div className="mb-8">
+        <button
+          onClick={() => navigate(`/club/${clubname}`)}
+          className="text-gray-400 hover:text-white mb-4 inline-flex items-center transition-colors"
+        >
+          ← Back to Club
+        </button>
+        <h1 className="text-3xl font-bold">Rank the Movies</h1>
+        <p className="text-gray-400 mt-2">
+          {club.name} · Cycle #{cycle.cycle_number}: {cycle.theme_text}
+        </p>
+      </div>
+
+      {locked ? (
+        <div className="bg-green-900/50 border border-green-600 text-green-200 p-4 rounded-lg mb-6 flex items-center justify-between gap-4">
+          <span>Your rankings are locked in. Results are revealed when the ranking phase ends.</span>
+          <button
+            onClick={handleUnlock}
+            disabled={saving}
+            className="bg-gray-700 hover:bg-gray-600 disabled:bg-gray-600 px-4 py-2 rounded text-sm font-medium whitespace-nowrap"
+          >
+            Unlock to Edit
+          </button>
+        </div>
+      ) : (
+        <p className="text-gray-400 mb-6">
+          Drag the movies into order, best at the top. Your own nomination isn't listed
+          {watchRule === 'watched_only' ? ", and only movies you've watched are ranked." : '.'}
+          {guessingEnabled && ' Then guess who nominated each one.'}
+          {' '}Save a draft as often as you like, and lock in when you're happy.
+        </p>
+      )}
+
+      {message && (
+        <div className="bg-blue-900/50 border border-blue-600 text-blue-200 p-4 rounded-lg mb-6">
+          {message}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-900/50 border border-red-600 text-red-200 p-4 rounded-lg mb-6">
+          {error}
+        </div>
+      )}
+
+      {!locked && unwatched.length > 0 && (
+        <div className="bg-yellow-900/30 border border-yellow-700 p-4 rounded-lg mb-6">
+          <p className="text-yellow-200 mb-3">
+            {watchRule === 'watch_all'
+              ? 'This club asks you to watch every movie before ranking. Still to watch:'
+              : 'Not watched yet, so not on your ballot:'}
+          </p>
+          <div className="space-y-2">
+            {unwatched.map(nom => (
+              <div key={nom.id} className="flex items-center justify-between gap-4">
+                <span>{nom.title}{nom.year ? ` (${nom.year})` : ''}</span>
+                <button
+                  onClick={() => handleMarkWatched(nom)}
+                  className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-sm whitespace-nowrap"
+                >
+                  Mark Watched
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-3 mb-6">
+        {order.map((nom, index) => (
+          <div
+            key={nom.id}
+            draggable={!locked}
+            onDragStart={() => handleDragStart(index)}
+            onDragOver={(e) => handleDragOver(e, index)}
+            onDragEnd={handleDragEnd}
+            className={`bg-gray-800 rounded-lg p-4 flex items-center gap-4 ${
+              locked ? '' : 'cursor-move'
+            } ${draggedIndex === index ? 'opacity-50 ring-2 ring-blue-500' : ''}`}
+          >
+            <div className="text-2xl font-bold text-gray-500 w-8 text-center">{index + 1}</div>
+            {nom.poster_path && (
+              <img
+                src={`https://image.tmdb.org/t/p/w200${nom.poster_path}`}
+                alt={nom.title}
+                className="w-12 h-18 object-cover rounded"
+              />
+            )}
+            <div className="flex-1 min-w-0">
+              <h3 className="font-semibold truncate">{nom.title}</h3>
+              {nom.year && <p className="text-sm text-gray-400">{nom.year}</p>}
+            </div>
+
+            {guessingEnabled && (
+              <select
+                value={guesses[nom.id] || ''}
+                onChange={(e) => handleGuessChange(nom.id, e.target.value)}
+                disabled={locked}
+                className="bg-gray-900 px-3 py-2 rounded text-sm"
+              >
+                <option value="">Who nominated this?</option>
+                {guessOptions.map(member => (
+                  <option key={member.id} value={member.id}>{getMemberName(member)}</option>
+                ))}
+              </select>
+            )}
+
+            {!locked && (
+              <div className="flex flex-col">
+                <button
+                  onClick={() => moveItem(index, index - 1)}
+                  disabled={index === 0}
+                  className="text-gray-400 hover:text-white disabled:opacity-30 px-2"
+                  aria-label="Move up"
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={() => moveItem(index, index + 1)}
+                  disabled={index === order.length - 1}
+                  className="text-gray-400 hover:text-white disabled:opacity-30 px-2"
+                  aria-label="Move down"
+                >
+                  ▼
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {!locked && order.length > 0 && (
+        <div className="flex gap-3 mb-6">
+          <button
+            onClick={handleSaveDraft}
+            disabled={saving}
+            className="flex-1 bg-gray-700 hover:bg-gray-600 disabled:bg-gray-600 px-4 py-3 rounded-lg font-semibold"
+          >
+            Save Draft
+          </button>
+          <button
+            onClick={handleLockIn}
+            disabled={saving}
+            className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-4 py-3 rounded-lg font-semibold"
+          >
+            {saving ? 'Saving...' : 'Lock In Rankings'}
+          </button>
+        </div>
+      )}
+
+      {/* Who has locked in */}
+      {rankingStatus.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-4">
+          <h2 className="font-semibold mb-3">
+            Locked In ({lockedInCount}/{rankingStatus.length})
+          </h2>
+          <div className="flex flex-wrap gap-2">
+            {rankingStatus.map(member => (
+              <span
+                key={member.user_id}
+                className={`px-3 py-1 rounded-full text-sm ${
+                  member.locked_in ? 'bg-green-700 text-white' : 'bg-gray-700 text-gray-400'
+                }`}
+              >
+                {member.locked_in ? '✓ ' : ''}{getMemberName(member)}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RankingPage;
@@ -0,0 +1,377 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { cycleAPI, clubAPI, handleApiError } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const ResultsPage = () => {
+  const { clubname, cycleId } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const [club, setClub] = useState(null);
+  const [cycle, setCycle] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [compareStrategy, setCompareStrategy] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+
+  useEffect(() => {
+    if (clubname && cycleId) {
+      fetchResults();
+    }
+  }, [clubname, cycleId]);
+
+  const fetchResults = async () => {
+    try {
+      setLoading(true);
+      const clubResponse = await clubAPI.getClubByName(clubname);
+      setClub(clubResponse.data.club);
+
+      const resultsResponse = await cycleAPI.getResults(cycleId);
+      setCycle(resultsResponse.data.cycle);
+    } catch (err) {
+      console.error('Error fetching results:', err);
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCompare = async (strategy) => {
+    setCompareStrategy(strategy);
+    setComparison(null);
+    if (!strategy) return;
+
+    setComparing(true);
+    try {
+      const response = await cycleAPI.compareResults(cycleId, strategy);
+      setComparison(response.data.results);
+    } catch (err) {
+      alert(handleApiError(err));
+      setCompareStrategy('');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const getName = (person) => person.club_display_name || person.display_name || person.username;
+
+  const getMedal = (rank) => {
+    switch (rank) {
+      case 1: return '🥇';
+      case 2: return '🥈';
+      case 3: return '🥉';
+      default: return `#${rank}`;
+    }
+  };
+
+  if (loading) return <LoadingSpinner />;
+
+  if (error || !cycle) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        <div className="bg-gray-800 rounded-lg p-8 text-center">
+          <p className="text-red-400 mb-4">{error || 'Results not found'}</p>
+          <button
+            onClick={() => navigate(`/club/${clubname}`)}
+            className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-medium"
+          >
+            Back to Club
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const participantsById = new Map(cycle.participants.map(p => [p.user_id, p]));
+  const voters = cycle.participants.filter(p => cycle.rankings.some(r => r.user_id === p.user_id));
+
+  // rank position each voter gave each film, keyed "voterId:nominationId"
+  const rankLookup = new Map(cycle.rankings.map(r => [`${r.user_id}:${r.nomination_id}`, r.rank_position]));
+  const strategies = cycle.scoring_strategies || [];
+  const usedStrategy = strategies.find(s => s.key === (cycle.scoring_strategy || 'average_rank'));
+  const actualRanks = new Map(cycle.results.map(r => [r.nomination_id, r.final_rank]));
+  const tiebreakerLabels = Object.fromEntries((cycle.tiebreakers || []).map(t => [t.key, t.label]));
+  const titles = new Map(cycle.results.map(r => [r.nomination_id, r.title]));
+  const ties = cycle.tiebreak_log || [];
+
+  const describeTie = (tiebreak) => {
+    if (!tiebreak) return null;
+    if (tiebreak.shared) return 'Shared place';
+    return tiebreak.decided_by ? `Tie broken by ${(tiebreakerLabels[tiebreak.decided_by] || tiebreak.decided_by).toLowerCase()}` : null;
+  };
+
+  const guessesByFilm = cycle.results.map(result => ({
+    ...result,
+    guesses: cycle.guesses.filter(g => g.nomination_id === result.nomination_id)
+  }));
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-8">
+      <div className="mb-8">
+        <button
+          onClick={() => navigate(`/club/${clubname}`)}
+          className="text-gray-400 hover:text-white mb-4 inline-flex items-center transition-colors"
+        >
+          ← Back to Club
+        </button>
+        <h1 className="text-3xl font-bold">Cycle #{cycle.cycle_number} Results</h1>
+        <p className="text-gray-400 mt-2">
+          {club?.name} · {cycle.theme_text} · Season {cycle.season_year}
+        </p>
+        {usedStrategy && (
+          <p className="text-sm text-gray-500 mt-1" title={usedStrategy.description}>
+            Scored by {usedStrategy.label}
+          </p>
+        )}
+      </div>
+
+      {cycle.results.length === 0 ? (
+        <div className="bg-gray-800 rounded-lg p-8 text-center text-gray-400">
+          No rankings were submitted for this cycle.
+        </div>
+      ) : (
+        <>
+          {/* Final Standings */}
+          <div className="bg-gray-800 rounded-lg p-6 mb-6">
+            <h2 className="text-xl font-semibold mb-4">Final Standings</h2>
+            <div className="space-y-3">
+              {cycle.results.map(result => (
+                <div
+                  key={result.nomination_id}
+                  className={`flex items-center gap-4 p-3 rounded-lg ${
+                    result.final_rank === 1 ? 'bg-yellow-900/30 border border-yellow-600' : 'bg-gray-900'
+                  }`}
+                >
+                  <div className="text-2xl font-bold w-12 text-center">{getMedal(result.final_rank)}</div>
+                  {result.poster_path && (
+                    <img
+                      src={`https://image.tmdb.org/t/p/w200${result.poster_path}`}
+                      alt={result.title}
+                      className="w-12 h-18 object-cover rounded"
+                    />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <h3 className="font-semibold truncate">
+                      {result.title} {result.year && <span className="text-gray-400 font-normal">({result.year})</span>}
+                    </h3>
+                    {result.director && (
+                      <p className="text-xs text-gray-500">Directed by {result.director}</p>
+                    )}
+                    <p className="text-sm text-gray-400">
+                      Nominated by <span className="text-white">{getName(result)}</span>
+                      {result.user_id === user.id && ' (you)'}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="font-bold text-blue-400">{parseFloat(result.points_earned)} pts</p>
+                    <p className="text-sm text-gray-400">
+                      Avg rank {parseFloat(result.average_rank).toFixed(2)} · {result.total_votes_received} votes
+                    </p>
+                    {result.tiebreak && (
+                      <p className="text-xs text-yellow-400">{describeTie(result.tiebreak)}</p>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Tie Breaks */}
+          {ties.length > 0 && (
+            <div className="bg-gray-800 rounded-lg p-6 mb-6">
+              <h2 className="text-xl font-semibold mb-4">Ties</h2>
+              <div className="space-y-4">
+                {ties.map(tie => (
+                  <div key={tie.nomination_ids.join('-')} className="bg-gray-900 rounded-lg p-4 text-sm">
+                    <p className="font-medium mb-2">
+                      {tie.nomination_ids.map(id => titles.get(id)).join(' vs ')} finished level on {Math.round(tie.score * 100) / 100}
+                    </p>
+                    {tie.steps.map((step, index) => (
+                      <p key={index} className="text-gray-400">
+                        {tiebreakerLabels[step.tiebreaker] || step.tiebreaker}:{' '}
+                        {step.nomination_ids
+                          .map(id => `${titles.get(id)} ${step.tiebreaker === 'coin_flip'
+                            ? (step.values[id] === Math.max(...Object.values(step.values)) ? 'won the flip' : 'lost the flip')
+                            : Math.round(step.values[id] * 100) / 100}`)
+                          .join(', ')}
+                      </p>
+                    ))}
+                    {tie.unresolved.length > 0 && (
+                      <p className="text-yellow-400 mt-1">
+                        Still tied: {tie.unresolved.map(group => group.map(id => titles.get(id)).join(' & ')).join('; ')} (points split)
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Compare Scoring Rules */}
+          <div className="bg-gray-800 rounded-lg p-6 mb-6">
+            <div className="flex items-center justify-between gap-4 mb-4">
+              <h2 className="text-xl font-semibold">What If?</h2>
+              <select
+                value={compareStrategy}
+                onChange={(e) => handleCompare(e.target.value)}
+                className="bg-gray-900 px-3 py-2 rounded text-sm"
+              >
+                <option value="">Compare with another scoring rule...</option>
+                {strategies
+                  .filter(s => s.key !== usedStrategy?.key)
+                  .map(s => (
+                    <option key={s.key} value={s.key}>{s.label}</option>
+                  ))}
+              </select>
+            </div>
+
+            {comparing && <LoadingSpinner size="sm" />}
+
+            {!compareStrategy && !comparing && (
+              <p className="text-gray-500 text-sm">
+                See how the standings would look if this cycle had been scored differently. Nothing is changed.
+              </p>
+            )}
+
+            {comparison && (
+              <div className="space-y-2">
+                <p className="text-sm text-gray-500 mb-2">
+                  {strategies.find(s => s.key === compareStrategy)?.description}
+                </p>
+                {comparison.map(entry => {
+                  const shift = actualRanks.get(entry.nomination_id) - entry.final_rank;
+                  return (
+                    <div key={entry.nomination_id} className="flex items-center gap-4 bg-gray-900 p-3 rounded">
+                      <span className="w-10 text-center font-bold">{getMedal(entry.final_rank)}</span>
+                      <span className="flex-1 truncate">
+                        {entry.title} <span className="text-gray-400 text-sm">· {getName(entry)}</span>
+                      </span>
+                      <span className="text-sm text-gray-400">score {Math.round(entry.score * 100) / 100}</span>
+                      <span className="text-sm font-medium text-blue-400 w-16 text-right">
+                        {Math.round(entry.points_earned * 100) / 100} pts
+                      </span>
+                      <span className={`text-sm w-10 text-right ${
+                        shift > 0 ? 'text-green-400' : shift < 0 ? 'text-red-400' : 'text-gray-500'
+                      }`}>
+                        {shift > 0 ? `▲${shift}` : shift < 0 ? `▼${-shift}` : '—'}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Ranking Matrix */}
+          <div className="bg-gray-800 rounded-lg p-6 mb-6">
+            <h2 className="text-xl font-semibold mb-4">Who Ranked What Where</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-400">
+                    <th className="text-left p-2">Voter</th>
+                    {cycle.results.map(result => (
+                      <th key={result.nomination_id} className="p-2 text-center font-medium">
+                        {result.title}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {voters.map(voter => (
+                    <tr key={voter.user_id} className="border-t border-gray-700">
+                      <td className="p-2 font-medium">
+                        {getName(voter)}
+                        {voter.user_id === user.id && <span className="text-gray-400"> (you)</span>}
+                      </td>
+                      {cycle.results.map(result => {
+                        const position = rankLookup.get(`${voter.user_id}:${result.nomination_id}`);
+                        return (
+                          <td
+                            key={result.nomination_id}
+                            className={`p-2 text-center ${position === 1 ? 'text-yellow-400 font-bold' : ''}`}
+                          >
+                            {result.user_id === voter.user_id
+                              ? <span className="text-gray-500" title="Their own nomination">★</span>
+                              : position || <span className="text-gray-500">—</span>}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Nominator Reveal */}
+          {cycle.guesses.length > 0 && (
+            <div className="bg-gray-800 rounded-lg p-6 mb-6">
+              <h2 className="text-xl font-semibold mb-4">Who Nominated What</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {guessesByFilm.map(film => (
+                  <div key={film.nomination_id} className="bg-gray-900 rounded-lg p-4">
+                    <h3 className="font-semibold">{film.title}</h3>
+                    <p className="text-sm text-gray-400 mb-3">
+                      Nominated by <span className="text-white font-medium">{getName(film)}</span>
+                    </p>
+                    <div className="space-y-1 text-sm">
+                      {film.guesses.map(guess => {
+                        const guesser = participantsById.get(guess.user_id);
+                        const guessed = participantsById.get(guess.guessed_nominator_id);
+                        return (
+                          <div key={guess.user_id} className="flex justify-between">
+                            <span className="text-gray-300">
+                              {guesser ? getName(guesser) : guess.guesser_username} guessed{' '}
+                              {guessed ? getName(guessed) : guess.guessed_username}
+                            </span>
+                            <span className={guess.is_correct ? 'text-green-400' : 'text-red-400'}>
+                              {guess.is_correct ? '✓' : '✗'}
+                            </span>
+                          </div>
+                        );
+                      })}
+                      {film.guesses.length === 0 && (
+                        <p className="text-gray-500">No guesses</p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Guess Accuracy */}
+          {cycle.guesses.length > 0 && (
+            <div className="bg-gray-800 rounded-lg p-6">
+              <h2 className="text-xl font-semibold mb-4">Guess Accuracy</h2>
+              <div className="space-y-2">
+                {cycle.participants
+                  .filter(p => p.total_guesses > 0)
+                  .map(p => (
+                    <div key={p.user_id} className="flex items-center gap-4">
+                      <span className="w-40 truncate">{getName(p)}</span>
+                      <div className="flex-1 bg-gray-900 rounded-full h-3">
+                        <div
+                          className="bg-green-500 h-3 rounded-full"
+                          style={{ width: `${p.guess_accuracy}%` }}
+                        />
+                      </div>
+                      <span className="text-sm text-gray-400 w-24 text-right">
+                        {p.correct_guesses}/{p.total_guesses} ({p.guess_accuracy}%)
+                      </span>
+                    </div>
+                  ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ResultsPage;
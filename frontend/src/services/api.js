@@ -1,155 +1,274 @@
-import axios from 'axios';
-
-// Use relative path for API calls - nginx will proxy to backend
-// In production builds, REACT_APP_API_URL can be set to full domain
-const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
-
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  headers: {
-    'Content-Type': 'application/json',
-    // Add cache busting headers
-    'Cache-Control': 'no-cache, no-store, must-revalidate',
-    'Pragma': 'no-cache',
-    'Expires': '0'
-  },
-  timeout: 10000 // 10 second timeout
-});
-
-// Add token to requests
-api.interceptors.request.use(
-  config => {
-    const token = localStorage.getItem('ocularr_token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    
-    // CACHE BUSTING: Add timestamp to all requests
-    const timestamp = Date.now();
-    const separator = config.url?.includes('?') ? '&' : '?';
-    config.url += `${separator}_cb=${timestamp}`;
-    
-    // Add no-cache headers to every request
-    config.headers['Cache-Control'] = 'no-cache, no-store, must-revalidate';
-    config.headers['Pragma'] = 'no-cache';
-    config.headers['Expires'] = '0';
-    config.headers['If-Modified-Since'] = '0';
-    
-    return config;
-  },
-  error => {
-    return Promise.reject(error);
-  }
-);
-
-// Handle auth errors and network issues
-api.interceptors.response.use(
-  response => {
-    // Add no-cache headers to response handling
-    if (response.headers) {
-      response.headers['cache-control'] = 'no-cache, no-store, must-revalidate';
-    }
-    return response;
-  },
-  error => {
-    if (error.response?.status === 401) {
-      // Only clear token and redirect on actual auth failures
-      localStorage.removeItem('ocularr_token');
-      if (window.location.pathname !== '/login' && window.location.pathname !== '/register') {
-        window.location.href = '/login';
-      }
-    } else if (error.code === 'ECONNABORTED') {
-      console.error('Request timeout - server may be slow or unreachable');
-    } else if (!error.response) {
-      console.error('Network error - check server connection');
-    }
-    return Promise.reject(error);
-  }
-);
-
-// Error handler function with better error messages
-export const handleApiError = (error) => {
-  if (error.response) {
-    // Server responded with error
-    const status = error.response.status;
-    const message = error.response.data?.error || error.response.data?.message;
-    
-    switch (status) {
-      case 400:
-        return message || 'Invalid request';
-      case 401:
-        return 'Authentication required';
-      case 403:
-        return 'Access denied';
-      case 404:
-        return 'Not found';
-      case 409:
-        return message || 'Conflict - resource already exists';
-      case 413:
-        return 'File too large';
-      case 429:
-        return 'Too many requests - please wait';
-      case 500:
-        return 'Server error - please try again';
-      default:
-        return message || `Error ${status}`;
-    }
-  } else if (error.request) {
-    // Request made but no response
-    if (error.code === 'ECONNABORTED') {
-      return 'Request timeout - server is taking too long to respond';
-    }
-    return 'No response from server - check your connection';
-  } else {
-    // Request setup error
-    return error.message || 'An error occurred';
-  }
-};
-
-// Club API methods
-export const clubAPI = {
-  getUserClubs: () => api.get('/clubs'),
-  getClub: (clubId) => api.get(`/clubs/${clubId}`),
-  createClub: (clubData) => {
-    return api.post('/clubs', clubData, {
-      headers: {
-        'Content-Type': 'multipart/form-data'
-      }
-    });
-  },
-  updateClub: (clubId, clubData) => {
-    return api.put(`/clubs/${clubId}`, clubData, {
-      headers: {
-        'Content-Type': 'multipart/form-data'
-      }
-    });
-  },
-  deleteClub: (clubId) => api.delete(`/clubs/${clubId}`),
-  joinClub: (inviteCode, password = null) => api.post('/clubs/join', { inviteCode, password }),
-  leaveClub: (clubId) => api.delete(`/clubs/${clubId}/leave`),
-  getPublicClubs: (params) => api.get('/clubs/public', { params }),
-  getMembers: (clubId) => api.get(`/clubs/${clubId}/members`),
-  updateMemberRole: (clubId, userId, role) => api.put(`/clubs/${clubId}/members/${userId}/role`, { role }),
-  removeMember: (clubId, userId) => api.delete(`/clubs/${clubId}/members/${userId}`),
-  transferOwnership: (clubId, userId) => api.put(`/clubs/${clubId}/transfer`, { userId }),
-  getThemes: (clubId) => api.get(`/clubs/${clubId}/themes`),
-  submitTheme: (clubId, theme) => api.post(`/clubs/${clubId}/themes`, { theme }),
-  getStats: (clubId, season) => api.get(`/clubs/${clubId}/stats${season ? `?season=${season}` : ''}`)
-};
-
-// Cycle API methods
-export const cycleAPI = {
-  getCurrentCycle: (clubId) => api.get(`/cycles/${clubId}/current`),
-  startCycle: (clubId) => api.post(`/cycles/${clubId}/start`),
-  progressPhase: (cycleId) => api.put(`/cycles/${cycleId}/phase`),
-  nominate: (cycleId, movieData) => api.post(`/cycles/${cycleId}/nominate`, movieData),
-  markWatched: (cycleId, movieId) => api.put(`/cycles/${cycleId}/watch/${movieId}`),
-  submitGuesses: (cycleId, guesses) => api.post(`/cycles/${cycleId}/guesses`, { guesses }),
-  submitRankings: (cycleId, rankings) => api.post(`/cycles/${cycleId}/submit-rankings`, { rankings })
-};
-
-// Export the base API instance and all method collections
-export default api;
-export const authAPI = api;
-export const userAPI = api;
+import axios from 'axios';
+
+// Use relative path for API calls - nginx will proxy to backend
+// In production builds, REACT_APP_API_URL can be set to full domain
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json',
+    // Add cache busting headers
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0'
+  },
+  timeout: 10000 // 10 second timeout
+});
+
+// Add token to requests
+api.interceptors.request.use(
+  config => {
+    const token = localStorage.getItem('ocularr_token');
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    
+    // CACHE BUSTING: Add timestamp to all requests
+    const timestamp = Date.now();
+    const separator = config.url?.includes('?') ? '&' : '?';
+    config.url += `${separator}_cb=${timestamp}`;
+    
+    // Add no-cache headers to every request
+    config.headers['Cache-Control'] = 'no-cache, no-store, must-revalidate';
+    config.headers['Pragma'] = 'no-cache';
+    config.headers['Expires'] = '0';
+    config.headers['If-Modified-Since'] = '0';
+    
+    return config;
+  },
+  error => {
+    return Promise.reject(error);
+  }
+);
+
+// Handle auth errors and network issues
+api.interceptors.response.use(
+  response => {
+    // Add no-cache headers to response handling
+    if (response.headers) {
+      response.headers['cache-control'] = 'no-cache, no-store, must-revalidate';
+    }
+    return response;
+  },
+  error => {
+    if (error.response?.status === 401) {
+      // Only clear token and redirect on actual auth failures
+      localStorage.removeItem('ocularr_token');
+      if (window.location.pathname !== '/login' && window.location.pathname !== '/register') {
+        window.location.href = '/login';
+      }
+    } else if (error.code === 'ECONNABORTED') {
+      console.error('Request timeout - server may be slow or unreachable');
+    } else if (!error.response) {
+      console.error('Network error - check server connection');
+    }
+    return Promise.reject(error);
+  }
+);
+
+// Error handler function with better error messages
+export const handleApiError = (error) => {
+  if (error.response) {
+    // Server responded with error
+    const status = error.response.status;
+    const message = error.response.data?.error || error.response.data?.message;
+    
+    switch (status) {
+      case 400:
+        return message || 'Invalid request';
+      case 401:
+        return 'Authentication required';
+      case 403:
+        return 'Access denied';
+      case 404:
+        return 'Not found';
+      case 409:
+        return message || 'Conflict - resource already exists';
+      case 413:
+        return 'File too large';
+      case 429:
+        return 'Too many requests - please wait';
+      case 500:
+        return 'Server error - please try again';
+      default:
+        return message || `Error ${status}`;
+    }
+  } else if (error.request) {
+    // Request made but no response
+    if (error.code === 'ECONNABORTED') {
+      return 'Request timeout - server is taking too long to respond';
+    }
+    return 'No response from server - check your connection';
+  } else {
+    // Request setup error
+    return error.message || 'An error occurred';
+  }
+};
+
+// Club API methods
+export const clubAPI = {
+  getUserClubs: () => api.get('/clubs'),
+  getClub: (clubId) => api.get(`/clubs/${clubId}`),
+  getClubByName: (clubname) => api.get(`/clubs/by-name/${clubname}`),
+  createClub: (clubData) => {
+    return api.post('/clubs', clubData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+  },
+  updateClub: (clubId, clubData) => {
+    return api.put(`/clubs/${clubId}`, clubData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+  },
+  deleteClub: (clubId) => api.delete(`/clubs/${clubId}`),
+  joinClub: (inviteCode, password = null) => api.post('/clubs/join', { inviteCode, password }),
+  leaveClub: (clubId) => api.delete(`/clubs/${clubId}/leave`),
+  getPublicClubs: (params) => api.get('/clubs/public', { params }),
+  getMembers: (clubId) => api.get(`/clubs/${clubId}/members`),
+  updateMemberRole: (clubId, userId, role) => api.put(`/clubs/${clubId}/members/${userId}/role`, { role }),
+  removeMember: (clubId, userId) => api.delete(`/clubs/${clubId}/members/${userId}`),
+  transferOwnership: (clubId, userId) => api.put(`/clubs/${clubId}/transfer`, { userId }),
+  getThemes: (clubId) => api.get(`/clubs/${clubId}/themes`),
+  submitTheme: (clubId, theme) => api.post(`/clubs/${clubId}/themes`, { theme }),
+  getStats: (clubId, season) => api.get(`/clubs/${clubId}/stats${season ? `?season=${season}` : ''}`),
+  rebuildStats: (clubId) => api.post(`/clubs/${clubId}/stats/rebuild`),
+  getSettings: (clubId) => api.get(`/clubs/${clubId}/settings`),
+  updateSettings: (clubId, settings) => api.put(`/clubs/${clubId}/settings`, settings),
+  getWebhooks: (clubId) => api.get(`/clubs/${clubId}/webhooks`),
+  createWebhook: (clubId, webhook) => api.post(`/clubs/${clubId}/webhooks`, webhook),
+  updateWebhook: (clubId, webhookId, changes) => api.put(`/clubs/${clubId}/webhooks/${webhookId}`, changes),
+  deleteWebhook: (clubId, webhookId) => api.delete(`/clubs/${clubId}/webhooks/${webhookId}`),
+  testWebhook: (clubId, webhookId) => api.post(`/clubs/${clubId}/webhooks/${webhookId}/test`),
+  getWebhookDeliveries: (clubId, webhookId) => api.get(`/clubs/${clubId}/webhooks/${webhookId}/deliveries`)
+};
+
+// Cycle API methods
+export const cycleAPI = {
+  getCurrentCycle: (clubId) => api.get(`/cycles/${clubId}/current`),
+  startCycle: (clubId) => api.post(`/cycles/${clubId}/start`),
+  progressPhase: (cycleId) => api.put(`/cycles/${cycleId}/phase`),
+  nominate: (cycleId, movieData) => api.post(`/cycles/${cycleId}/nominate`, movieData),
+  swapNomination: (cycleId, nominationId, movieData) => api.put(`/cycles/${cycleId}/nominations/${nominationId}`, movieData),
+  withdrawNomination: (cycleId, nominationId) => api.delete(`/cycles/${cycleId}/nominations/${nominationId}`),
+  markWatched: (cycleId, movieId) => api.put(`/cycles/${cycleId}/watch/${movieId}`, { watched: true }),
+  submitRankings: (cycleId, rankings, guesses) => api.post(`/cycles/${cycleId}/submit-rankings`, { rankings, guesses }),
+  getMyRankings: (cycleId) => api.get(`/cycles/${cycleId}/my-rankings`),
+  saveDraftRankings: (cycleId, rankings, guesses) => api.put(`/cycles/${cycleId}/my-rankings`, { rankings, guesses }),
+  unlockRankings: (cycleId) => api.post(`/cycles/${cycleId}/unlock-rankings`),
+  getResults: (cycleId) => api.get(`/cycles/${cycleId}/results`),
+  compareResults: (cycleId, strategy) => api.get(`/cycles/${cycleId}/results/compare`, { params: { strategy } })
+};
+
+// Live club updates (Server-Sent Events). Event names match backend/services/clubEvents.js.
+const CLUB_EVENT_TYPES = [
+  'phase_changed',
+  'theme_draft_updated',
+  'nomination_added',
+  'nomination_swapped',
+  'nomination_removed',
+  'member_watched',
+  'member_ranked',
+  'theme_added'
+];
+
+// One stream is shared by every subscriber on the page and closed when the last one leaves
+let eventSource = null;
+let eventSourceOpening = false;
+let eventSourceRetryTimer = null;
+const eventListeners = new Set();
+
+const EVENT_STREAM_RETRY_MS = 5000;
+
+// EventSource can't set headers, so the stream is opened with a short-lived stream token in the
+// query string (never the login token). The browser's own reconnects reuse that URL and fail once
+// the token expires, so a closed stream is reopened here with a fresh token.
+const openEventSource = async () => {
+  eventSourceRetryTimer = null;
+  eventSourceOpening = true;
+
+  let token = null;
+  try {
+    const response = await api.post('/events/token');
+    token = response.data.token;
+  } catch (err) {
+    console.error('Error opening club event stream:', err);
+  }
+
+  eventSourceOpening = false;
+
+  // Everyone unsubscribed while the token was on its way
+  if (eventListeners.size === 0) {
+    return;
+  }
+
+  if (!token) {
+    eventSourceRetryTimer = setTimeout(openEventSource, EVENT_STREAM_RETRY_MS);
+    return;
+  }
+
+  const source = new EventSource(`${API_BASE_URL}/events?token=${encodeURIComponent(token)}`);
+  eventSource = source;
+
+  CLUB_EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (event) => {
+      const data = JSON.parse(event.data);
+      eventListeners.forEach(listener => {
+        try {
+          listener(type, data);
+        } catch (err) {
+          console.error('Error handling club event:', err);
+        }
+      });
+    });
+  });
+
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED && eventSource === source) {
+      eventSource = null;
+      eventSourceRetryTimer = setTimeout(openEventSource, EVENT_STREAM_RETRY_MS);
+    }
+  };
+};
+
+// Calls onEvent(type, data) for every event in the user's clubs. Returns a function that unsubscribes.
+export const subscribeToClubEvents = (onEvent) => {
+  if (!localStorage.getItem('ocularr_token') || typeof EventSource === 'undefined') {
+    return () => {};
+  }
+
+  eventListeners.add(onEvent);
+
+  if (!eventSource && !eventSourceOpening && !eventSourceRetryTimer) {
+    openEventSource();
+  }
+
+  return () => {
+    eventListeners.delete(onEvent);
+    if (eventListeners.size === 0) {
+      if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+      }
+      clearTimeout(eventSourceRetryTimer);
+      eventSourceRetryTimer = null;
+    }
+  };
+};
+
+// Notification API methods
+export const notificationAPI = {
+  getNotifications: () => api.get('/notifications'),
+  markRead: (notificationId) => api.put(`/notifications/${notificationId}/read`),
+  markAllRead: () => api.put('/notifications/read-all')
+};
+
+// Export the base API instance and all method collections
+export default api;
+export const authAPI = api;
+export const userAPI = api;
 export const tmdbAPI = api;
\ No newline at end of file